@@ -1,8 +1,40 @@
 const React = window.React;
-const { useEffect, useMemo, useRef, useState } = React;
+const { useEffect, useLayoutEffect, useMemo, useRef, useState } = React;
 
 const L = () => (window && window.lumen) || null;
 
+// Pubsub + signing backend, chosen by URL flag in js/transport.js (#transport=local, #signer=soft, …).
+// Falls back to the Lumen host if that script is missing; L() stays in use for IPFS and settings.
+const TRANSPORT = window.PubsubTransport ? window.PubsubTransport.select('pubsub_chat') : null;
+const T = () => TRANSPORT || L();
+
+// Payload codec, guard state and the receive checks live in js/pipeline.js (pure; see test/pipeline.test.js).
+const {
+  LIGHT_POW_TYPES,
+  LIGHT_POW_BITS,
+  MOD_EVENT_TYPES,
+  AUTO_BLOCK_WINDOW_MS,
+  AUTO_BLOCK_MAX_MESSAGES,
+  REACTION_RATE_WINDOW_MS,
+  REACTION_RATE_MAX,
+  MSG_TEXT_MAX,
+  encodePayload,
+  decodePayload,
+  createGuardState,
+  markSeenNonce,
+  isRateLimited,
+  checkText,
+  powBitsAt,
+  modEventTime,
+  replayModLog,
+  ENVELOPE_STAGES,
+  ROOM_STAGES,
+  runPipeline,
+} = window.ChatPipeline;
+
+// Stall detection and resubscribe back-off for each room's subscription (js/link.js).
+const LINK = window.PubsubLink;
+
 function nowMs() {
   return Date.now();
 }
@@ -28,34 +60,18 @@ function shortAddr(addr) {
   return `${a.slice(0, 7)}…${a.slice(-5)}`;
 }
 
-function encodePayload(type, fields) {
-  const entries = Object.entries(fields || {}).map(([k, v]) => [String(k), String(v)]);
-  entries.sort((a, b) => a[0].localeCompare(b[0]));
-  const parts = entries.map(([k, v]) => `${k}=${encodeURIComponent(v)}`);
-  return `pubsub_chat|v1|${type}|` + parts.join('|');
-}
-
-function decodePayload(payload) {
-  const s = String(payload || '');
-  const parts = s.split('|');
-  if (parts.length < 4) return null;
-  if (parts[0] !== 'pubsub_chat' || parts[1] !== 'v1') return null;
-  const type = parts[2];
-  const obj = {};
-  for (const p of parts.slice(3)) {
-    const i = p.indexOf('=');
-    if (i <= 0) continue;
-    const k = p.slice(0, i);
-    const v = p.slice(i + 1);
-    obj[k] = decodeURIComponent(v);
-  }
-  return { type, ...obj };
-}
-
 const BLOCKLIST_KEY_PREFIX = 'lumen.pubsub_chat.blocklist.v1:';
 const MY_NICK_KEY = 'lumen.pubsub_chat.myNick.v1';
+const MY_STATUS_KEY = 'lumen.pubsub_chat.myStatus.v1';
+const DM_THREADS_KEY_PREFIX = 'lumen.pubsub_chat.dmThreads.v1:';
+const JOINED_ROOMS_KEY = 'lumen.pubsub_chat.joinedRooms.v1';
+const RETENTION_KEY = 'lumen.pubsub_chat.retention.v1';
+const READ_RECEIPTS_KEY = 'lumen.pubsub_chat.readReceipts.v1';
+const NOTIFY_KEY = 'lumen.pubsub_chat.notify.v1';
+const LAST_READ_KEY = 'lumen.pubsub_chat.lastRead.v1';
+const ROOM_CONFIG_KEY = 'lumen.pubsub_chat.roomConfig.v1';
 const CHAT_DB_NAME = 'lumen_pubsub_chat_v1';
-const CHAT_DB_VERSION = 1;
+const CHAT_DB_VERSION = 9;
 
 function blocklistStorageKey(topic) {
   return `${BLOCKLIST_KEY_PREFIX}${encodeURIComponent(String(topic || '').trim())}`;
@@ -96,6 +112,197 @@ function saveMyNick(nick) {
   } catch {}
 }
 
+const STATUS_TEXT_MAX = 60;
+
+function cleanStatusText(v) {
+  return String(v || '').replace(/\s+/g, ' ').trim().slice(0, STATUS_TEXT_MAX);
+}
+
+function loadMyStatus() {
+  try {
+    return cleanStatusText(localStorage.getItem(MY_STATUS_KEY));
+  } catch {
+    return '';
+  }
+}
+
+function saveMyStatus(text) {
+  try {
+    const s = cleanStatusText(text);
+    if (s) localStorage.setItem(MY_STATUS_KEY, s);
+    else localStorage.removeItem(MY_STATUS_KEY);
+  } catch {}
+}
+
+function dmThreadsStorageKey(selfAddr) {
+  return `${DM_THREADS_KEY_PREFIX}${encodeURIComponent(String(selfAddr || '').trim())}`;
+}
+
+function loadDmThreads(selfAddr) {
+  try {
+    if (!String(selfAddr || '').trim()) return {};
+    const raw = localStorage.getItem(dmThreadsStorageKey(selfAddr));
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    return parsed;
+  } catch {
+    return {};
+  }
+}
+
+function saveDmThreads(selfAddr, threads) {
+  try {
+    if (!String(selfAddr || '').trim()) return;
+    localStorage.setItem(dmThreadsStorageKey(selfAddr), JSON.stringify(threads || {}));
+  } catch {}
+}
+
+function topicForRoom(room) {
+  return `lumen/pubsub_chat/v1/${String(room || 'lobby').trim().toLowerCase()}`;
+}
+
+function roomForTopic(topic) {
+  return String(topic || '').replace(/^lumen\/pubsub_chat\/v1\//, '') || 'lobby';
+}
+
+// Only the room name and privacy mode are stored; passwords and invite keys are asked for again after a reload.
+function loadJoinedRooms() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(JOINED_ROOMS_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    const out = [];
+    for (const r of parsed) {
+      const room = String(r?.room || '').trim();
+      if (!room || out.some((x) => x.topic === topicForRoom(room))) continue;
+      const keyMode = ['password', 'invite'].includes(r?.keyMode) ? r.keyMode : 'open';
+      out.push({ room, topic: topicForRoom(room), keyMode, live: false });
+    }
+    return out.slice(0, MAX_JOINED_ROOMS);
+  } catch {
+    return [];
+  }
+}
+
+function saveJoinedRooms(list) {
+  try {
+    localStorage.setItem(JOINED_ROOMS_KEY, JSON.stringify((list || []).map((r) => ({ room: r.room, keyMode: r.keyMode }))));
+  } catch {}
+}
+
+const RETENTION_CHOICES = [
+  { id: 'forever', label: 'Keep everything' },
+  { id: 'd7', label: 'Keep 7 days', days: 7 },
+  { id: 'd30', label: 'Keep 30 days', days: 30 },
+  { id: 'd90', label: 'Keep 90 days', days: 90 },
+  { id: 'd365', label: 'Keep 1 year', days: 365 },
+  { id: 'n500', label: 'Keep last 500', count: 500 },
+  { id: 'n2000', label: 'Keep last 2000', count: 2000 },
+  { id: 'n10000', label: 'Keep last 10000', count: 10_000 },
+];
+
+function retentionChoice(id) {
+  return RETENTION_CHOICES.find((c) => c.id === id) || RETENTION_CHOICES[0];
+}
+
+// topic -> retention choice id; rooms without an entry keep everything.
+function loadRetention() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(RETENTION_KEY) || '{}');
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    const out = {};
+    for (const [topic, id] of Object.entries(parsed)) {
+      if (id !== 'forever' && RETENTION_CHOICES.some((c) => c.id === id)) out[topic] = id;
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+function saveRetention(map) {
+  try {
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(map || {}));
+  } catch {}
+}
+
+// Read receipts are on unless turned off.
+function loadReadReceipts() {
+  try {
+    return localStorage.getItem(READ_RECEIPTS_KEY) !== 'off';
+  } catch {
+    return true;
+  }
+}
+
+function saveReadReceipts(on) {
+  try {
+    localStorage.setItem(READ_RECEIPTS_KEY, on ? 'on' : 'off');
+  } catch {}
+}
+
+const NOTIFY_MODES = [
+  { id: 'all', label: 'All messages' },
+  { id: 'mentions', label: 'Mentions only' },
+  { id: 'none', label: 'Nothing' },
+];
+const NOTIFY_DEFAULT_MODE = 'mentions';
+
+// { modes: topic -> NOTIFY_MODES id, dnd: { on, from, to } } with from/to as "HH:MM" local time.
+function loadNotifySettings() {
+  const out = { modes: {}, dnd: { on: false, from: '22:00', to: '08:00' } };
+  try {
+    const v = JSON.parse(localStorage.getItem(NOTIFY_KEY) || 'null');
+    for (const [t, mode] of Object.entries(v?.modes || {})) {
+      if (NOTIFY_MODES.some((m) => m.id === mode)) out.modes[t] = mode;
+    }
+    if (v?.dnd && typeof v.dnd === 'object') {
+      out.dnd.on = !!v.dnd.on;
+      if (minutesOfDay(v.dnd.from) != null) out.dnd.from = v.dnd.from;
+      if (minutesOfDay(v.dnd.to) != null) out.dnd.to = v.dnd.to;
+    }
+  } catch {}
+  return out;
+}
+
+function saveNotifySettings(v) {
+  try {
+    localStorage.setItem(NOTIFY_KEY, JSON.stringify(v || {}));
+  } catch {}
+}
+
+function minutesOfDay(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm || ''));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// DND hours may wrap past midnight (22:00 -> 08:00).
+function inDndHours(dnd, date = new Date()) {
+  if (!dnd?.on) return false;
+  const from = minutesOfDay(dnd.from);
+  const to = minutesOfDay(dnd.to);
+  if (from == null || to == null || from === to) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+// topic -> ts of the newest message read there; the "new messages" divider goes after it.
+function loadLastRead() {
+  try {
+    const v = JSON.parse(localStorage.getItem(LAST_READ_KEY) || '{}');
+    return v && typeof v === 'object' ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveLastRead(map) {
+  try {
+    localStorage.setItem(LAST_READ_KEY, JSON.stringify(map || {}));
+  } catch {}
+}
+
 let CHAT_DB_PROMISE = null;
 
 function openChatDb() {
@@ -106,7 +313,7 @@ function openChatDb() {
       if (!idb) return reject(new Error('indexedDB unavailable'));
       const req = idb.open(CHAT_DB_NAME, CHAT_DB_VERSION);
       req.onerror = () => reject(req.error || new Error('db_open_failed'));
-      req.onupgradeneeded = () => {
+      req.onupgradeneeded = (ev) => {
         const db = req.result;
         if (!db.objectStoreNames.contains('messages')) {
           const store = db.createObjectStore('messages', { keyPath: 'pk' });
@@ -116,6 +323,63 @@ function openChatDb() {
           const store = db.createObjectStore('names', { keyPath: 'pk' });
           store.createIndex('by_topic', 'topic', { unique: false });
         }
+        // v2: per-address ECDH identity used for direct messages (private key is non-extractable).
+        if (!db.objectStoreNames.contains('identity')) {
+          db.createObjectStore('identity', { keyPath: 'addr' });
+        }
+        // v3: replies of a thread, oldest first (rows without replyTo are not indexed).
+        const messages = req.transaction.objectStore('messages');
+        if (!messages.indexNames.contains('by_topic_reply')) {
+          messages.createIndex('by_topic_reply', ['topic', 'replyTo', 'ts'], { unique: false });
+        }
+        // v4: latest reaction state per (message, address, emoji).
+        if (!db.objectStoreNames.contains('reactions')) {
+          const store = db.createObjectStore('reactions', { keyPath: 'pk' });
+          store.createIndex('by_topic', 'topic', { unique: false });
+        }
+        // v5: signed moderation events (mod_add/mod_remove/ban/unban) per room.
+        if (!db.objectStoreNames.contains('modlog')) {
+          const store = db.createObjectStore('modlog', { keyPath: 'pk' });
+          store.createIndex('by_topic', 'topic', { unique: false });
+        }
+        // v6: inverted index for search, one row per (term, message); the messages stored so far are indexed here.
+        if (!db.objectStoreNames.contains('terms')) {
+          const terms = db.createObjectStore('terms', { keyPath: ['term', 'pk'] });
+          terms.createIndex('by_pk', 'pk', { unique: false });
+          const req2 = messages.openCursor();
+          req2.onsuccess = () => {
+            const cur = req2.result;
+            if (!cur) return;
+            try { indexTerms(terms, cur.value); } catch {}
+            cur.continue();
+          };
+        }
+        if (!messages.indexNames.contains('by_addr_ts')) {
+          messages.createIndex('by_addr_ts', ['addr', 'ts'], { unique: false });
+        }
+        // v7: compaction drops the reactions of the messages it removes.
+        const reactions = req.transaction.objectStore('reactions');
+        if (!reactions.indexNames.contains('by_topic_target')) {
+          reactions.createIndex('by_topic_target', ['topic', 'target'], { unique: false });
+        }
+        // v8: rows record how they were verified on arrival. Older rows are kept as they are and only tagged
+        // with what can still be proven about them (see verificationOf).
+        if (ev.oldVersion > 0 && ev.oldVersion < 8) {
+          const req3 = messages.openCursor();
+          req3.onsuccess = () => {
+            const cur = req3.result;
+            if (!cur) return;
+            if (!cur.value?.verified) {
+              try { cur.update({ ...cur.value, verified: { via: cur.value.envelope ? 'unrecorded' : 'legacy' } }); } catch {}
+            }
+            cur.continue();
+          };
+        }
+        // v9: own messages that are signed but not known to be published yet (see dbPutOutbox).
+        if (!db.objectStoreNames.contains('outbox')) {
+          const store = db.createObjectStore('outbox', { keyPath: 'id' });
+          store.createIndex('by_addr', 'addr', { unique: false });
+        }
       };
       req.onsuccess = () => resolve(req.result);
     } catch (e) {
@@ -125,6 +389,60 @@ function openChatDb() {
   return CHAT_DB_PROMISE;
 }
 
+const MESSAGE_PAGE_SIZE = 100;
+const MESSAGES_IN_MEMORY_MAX = 5000; // the timeline is virtualized, so this only bounds memory
+
+const SEARCH_TERM_MIN = 2;
+const SEARCH_TERM_MAX = 40;
+const SEARCH_TERMS_PER_MESSAGE = 80;
+const SEARCH_MAX_POSTINGS = 5000; // per query term; a prefix that broad is not narrowing anything down
+const SEARCH_RESULTS_MAX = 50;
+
+// Lowercased words without diacritics, so "Déploiement" is found by "deploie".
+function searchTerms(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= SEARCH_TERM_MIN)
+    .map((w) => w.slice(0, SEARCH_TERM_MAX));
+  return Array.from(new Set(words)).slice(0, SEARCH_TERMS_PER_MESSAGE);
+}
+
+// DM threads are not indexed: search covers rooms only.
+function indexTerms(termStore, row) {
+  if (!row?.pk || row.deleted || String(row.topic || '').startsWith(DM_TOPIC_PREFIX)) return;
+  const ts = Number(row.ts || 0) || 0;
+  for (const term of searchTerms(`${row.text || ''} ${row.attach?.name || ''}`)) {
+    termStore.put({ term, pk: row.pk, topic: row.topic, ts, addr: row.addr });
+  }
+}
+
+// Drops the old postings first; `row` (if any) is indexed once they are gone so none of its new terms get deleted.
+function reindexTerms(termStore, pk, row = null) {
+  const req = termStore.index('by_pk').openKeyCursor(IDBKeyRange.only(pk));
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) {
+      if (row) indexTerms(termStore, row);
+      return;
+    }
+    termStore.delete(cur.primaryKey);
+    cur.continue();
+  };
+}
+
+function dropReactions(reactionStore, topic, target) {
+  const req = reactionStore.index('by_topic_target').openCursor(IDBKeyRange.only([topic, target]));
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (!cur) return;
+    cur.delete();
+    cur.continue();
+  };
+}
+
 function dbTx(db, storeNames, mode) {
   const tx = db.transaction(storeNames, mode);
   const done = new Promise((resolve, reject) => {
@@ -180,21 +498,178 @@ async function dbPutMessage(topic, entry) {
   const text = String(entry?.text || '');
   const ts = Number(entry?.ts || 0) || nowMs();
   if (!t || !id || !addr) return;
+  const row = { pk: `${t}|${id}`, topic: t, ts, id, addr, text };
+  // Messages we could not decrypt keep their sealed fields so they can be opened once the key is known.
+  if (entry?.locked && entry?.sealed) {
+    row.locked = true;
+    row.sealed = { enc: String(entry.sealed.enc || ''), kid: String(entry.sealed.kid || ''), iv: String(entry.sealed.iv || ''), text: String(entry.sealed.text || '') };
+  }
+  if (entry?.encrypted) row.encrypted = true;
+  if (entry?.replyTo) row.replyTo = String(entry.replyTo);
+  if (entry?.attach) row.attach = { url: String(entry.attach.url || ''), name: String(entry.attach.name || ''), type: String(entry.attach.type || ''), size: Number(entry.attach.size || 0) || 0 };
+  const envelope = sanitizeEnvelope(entry?.envelope);
+  if (envelope) row.envelope = envelope;
+  const verified = sanitizeVerified(entry?.verified);
+  if (verified) row.verified = verified;
   const db = await openChatDb();
-  const { tx, done } = dbTx(db, ['messages'], 'readwrite');
-  tx.objectStore('messages').put({ pk: `${t}|${id}`, topic: t, ts, id, addr, text });
+  const { tx, done } = dbTx(db, ['messages', 'terms'], 'readwrite');
+  const store = tx.objectStore('messages');
+  const terms = tx.objectStore('terms');
+  const existing = store.get(row.pk);
+  existing.onsuccess = () => {
+    // A replayed or history-synced original must not undo an edit or resurrect a deleted message.
+    const prev = existing.result;
+    if (prev && (prev.deleted || prev.edited)) return;
+    store.put(row);
+    if (prev) reindexTerms(terms, row.pk, row);
+    else indexTerms(terms, row);
+  };
+  await done;
+}
+
+// Read-modify-write of one message row; `revise(row | null)` returns the next row or null to leave it alone.
+async function dbReviseMessage(topic, id, revise) {
+  const t = String(topic || '').trim();
+  const i = String(id || '').trim();
+  if (!t || !i) return;
+  const pk = `${t}|${i}`;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages', 'terms'], 'readwrite');
+  const store = tx.objectStore('messages');
+  const terms = tx.objectStore('terms');
+  const req = store.get(pk);
+  req.onsuccess = () => {
+    const next = revise(req.result || null);
+    if (!next) return;
+    const row = { ...next, pk, topic: t, id: i };
+    store.put(row);
+    if (req.result) reindexTerms(terms, pk, row);
+    else indexTerms(terms, row);
+  };
   await done;
 }
 
+function parseTargetId(target) {
+  const t = String(target || '').trim();
+  const i = t.lastIndexOf(':');
+  if (t.length > 160 || i <= 0 || i === t.length - 1) return null;
+  return { id: t, addr: t.slice(0, i) };
+}
+
+// Applies an edit/delete revision to a timeline entry or stored row. Tombstones are final and stale edits lose.
+function reviseRow(row, rev) {
+  if (row?.deleted) return null;
+  if (rev.kind === 'delete') {
+    return {
+      ...(row?.pk ? { pk: row.pk, topic: row.topic } : {}),
+      id: row?.id || rev.id,
+      addr: row?.addr || rev.addr,
+      ts: Number(row?.ts || 0) || rev.fallbackTs,
+      text: '',
+      deleted: true,
+      deletedAt: rev.ts,
+      ...(row?.verified ? { verified: row.verified } : {}),
+      ...(rev.envelope ? { deleteEnvelope: rev.envelope } : {}),
+    };
+  }
+  if (!row) return null;
+  if ((Number(row.editedAt || 0) || 0) >= rev.ts) return null;
+  const { locked, sealed, encrypted, ...rest } = row;
+  const next = { ...rest, text: rev.locked ? '' : rev.text, edited: true, editedAt: rev.ts };
+  if (rev.envelope) next.editEnvelope = rev.envelope;
+  if (rev.locked) {
+    next.locked = true;
+    next.sealed = rev.sealed;
+  } else if (rev.encrypted) {
+    next.encrypted = true;
+  }
+  return next;
+}
+
+const HELD_REVISIONS_MAX = 200; // per room
+
+// Keeps an edit/delete whose original has not arrived yet (gossip reorders, history fills gaps later).
+// A delete outranks any edit, a newer edit replaces an older one, and the oldest hold goes first when full.
+function holdRevision(s, rev) {
+  const prev = s.heldRevisions.get(rev.id);
+  if (prev && (prev.kind === 'delete' || (rev.kind === 'edit' && prev.ts >= rev.ts))) return;
+  s.heldRevisions.delete(rev.id);
+  s.heldRevisions.set(rev.id, rev);
+  if (s.heldRevisions.size > HELD_REVISIONS_MAX) s.heldRevisions.delete(s.heldRevisions.keys().next().value);
+}
+
+function roomPreviewBody(m) {
+  if (m?.deleted) return 'Message deleted';
+  if (m?.locked) return '🔒 Locked message';
+  const t = String(m?.text || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+  return t || (m?.attach ? `📎 ${m.attach.name}` : '');
+}
+
+// The original signed envelope is kept so history can be re-served to peers (history_resp) and re-verified.
+function sanitizeEnvelope(env) {
+  if (!env || typeof env !== 'object') return null;
+  const out = {
+    t: String(env.t || ''),
+    address: String(env.address || '').trim(),
+    pubkeyB64: String(env.pubkeyB64 || '').trim(),
+    signatureB64: String(env.signatureB64 || '').trim(),
+    payload: String(env.payload || ''),
+  };
+  if (!out.address || !out.pubkeyB64 || !out.signatureB64 || !out.payload) return null;
+  return out;
+}
+
+// How a stored message was checked on arrival: `via` is live | history | import (signature + PoW + room passed
+// at `at`, signed by `addr` with `powBits` of work) or own (signed here). Rows from before v8 say `unrecorded`
+// when their envelope was kept and `legacy` when it was not; only the former can be re-verified.
+const VERIFIED_VIA = ['live', 'history', 'import', 'own', 'unrecorded', 'legacy'];
+
+function verificationOf(checked, via) {
+  return { via, at: nowMs(), addr: checked.canonicalAddr, powBits: Number(checked.powBits || 0) || 0 };
+}
+
+function sanitizeVerified(v) {
+  if (!v || typeof v !== 'object' || !VERIFIED_VIA.includes(v.via)) return null;
+  const out = { via: v.via };
+  if (Number(v.at || 0) > 0) out.at = Number(v.at);
+  if (v.addr) out.addr = String(v.addr).trim();
+  if (Number(v.powBits || 0) > 0) out.powBits = Number(v.powBits);
+  return out;
+}
+
+function rowToEntry(r) {
+  return {
+    id: String(r?.id || '').trim(),
+    addr: String(r?.addr || '').trim(),
+    text: String(r?.text || ''),
+    ts: Number(r?.ts || 0) || nowMs(),
+    ...(r?.encrypted ? { encrypted: true } : {}),
+    ...(r?.replyTo ? { replyTo: String(r.replyTo) } : {}),
+    ...(r?.attach?.url ? { attach: r.attach } : {}),
+    ...(r?.locked && r?.sealed ? { locked: true, sealed: r.sealed } : {}),
+    ...(r?.envelope ? { envelope: r.envelope } : {}),
+    ...(r?.verified ? { verified: r.verified } : {}),
+    ...(r?.edited ? { edited: true, editedAt: Number(r.editedAt || 0) || 0, editEnvelope: r.editEnvelope } : {}),
+    ...(r?.deleted ? { deleted: true, deletedAt: Number(r.deletedAt || 0) || 0, deleteEnvelope: r.deleteEnvelope } : {}),
+  };
+}
+
 async function dbGetRecentMessages(topic, limit = 240) {
+  return dbGetMessagesBefore(topic, Number.MAX_SAFE_INTEGER, limit);
+}
+
+// One page of scrollback: the newest `limit` rows before the caller's oldest one, oldest first. Rows are
+// ordered by (ts, pk), so with `beforePk` (that row's pk) a page that shares its `beforeTs` only holds rows
+// sorting before it: any number of rows with one timestamp (imports, tombstones) still pages through.
+async function dbGetMessagesBefore(topic, beforeTs, limit = MESSAGE_PAGE_SIZE, beforePk = '') {
   const t = String(topic || '').trim();
-  const lim = Math.max(1, Math.min(2000, Number(limit || 0) || 240));
+  const lim = Math.max(1, Math.min(2000, Number(limit || 0) || MESSAGE_PAGE_SIZE));
   if (!t) return [];
   const db = await openChatDb();
   const { tx, done } = dbTx(db, ['messages'], 'readonly');
   const store = tx.objectStore('messages');
   const idx = store.index('by_topic_ts');
-  const maxTs = Number.MAX_SAFE_INTEGER;
+  const maxTs = Math.max(0, Number(beforeTs || 0) || 0);
   const range = IDBKeyRange.bound([t, 0], [t, maxTs]);
   const rows = [];
   await new Promise((resolve, reject) => {
@@ -203,6 +678,10 @@ async function dbGetRecentMessages(topic, limit = 240) {
     req.onsuccess = () => {
       const cur = req.result;
       if (!cur) return resolve();
+      if (beforePk && cur.key[1] === maxTs && cur.primaryKey >= beforePk) {
+        if (cur.primaryKey > beforePk) return cur.continuePrimaryKey([t, maxTs], beforePk);
+        return cur.continue();
+      }
       rows.push(cur.value);
       if (rows.length >= lim) return resolve();
       cur.continue();
@@ -210,610 +689,3930 @@ async function dbGetRecentMessages(topic, limit = 240) {
   });
   await done.catch(() => {});
   rows.reverse();
-  return rows.map((r) => ({
-    id: String(r?.id || '').trim(),
-    addr: String(r?.addr || '').trim(),
-    text: String(r?.text || ''),
-    ts: Number(r?.ts || 0) || nowMs(),
-  })).filter((m) => m.id && m.addr);
+  return rows.map(rowToEntry).filter((m) => m.id && m.addr);
 }
 
-async function dbClearMessages(topic) {
+async function dbGetThreadReplies(topic, parentId, limit = 500) {
   const t = String(topic || '').trim();
-  if (!t) return;
+  const p = String(parentId || '').trim();
+  const lim = Math.max(1, Math.min(2000, Number(limit || 0) || 500));
+  if (!t || !p) return [];
   const db = await openChatDb();
-  const { tx, done } = dbTx(db, ['messages'], 'readwrite');
-  const store = tx.objectStore('messages');
-  const idx = store.index('by_topic_ts');
-  const maxTs = Number.MAX_SAFE_INTEGER;
-  const range = IDBKeyRange.bound([t, 0], [t, maxTs]);
+  const { tx, done } = dbTx(db, ['messages'], 'readonly');
+  const idx = tx.objectStore('messages').index('by_topic_reply');
+  const range = IDBKeyRange.bound([t, p, 0], [t, p, Number.MAX_SAFE_INTEGER]);
+  const rows = [];
   await new Promise((resolve, reject) => {
     const req = idx.openCursor(range);
     req.onerror = () => reject(req.error || new Error('cursor_failed'));
     req.onsuccess = () => {
       const cur = req.result;
       if (!cur) return resolve();
-      try { cur.delete(); } catch {}
+      rows.push(cur.value);
+      if (rows.length >= lim) return resolve();
       cur.continue();
     };
   });
   await done.catch(() => {});
+  return rows.map(rowToEntry).filter((m) => m.id && m.addr);
 }
 
-const POW_DIFFICULTY_BITS = 12;
-const AUTO_BLOCK_WINDOW_MS = 2000;
-const AUTO_BLOCK_MAX_MESSAGES = 10;
-const HEARTBEAT_INTERVAL_MS = 60_000;
-const HEARTBEAT_FIRST_DELAY_MS = 12_000;
-const PEER_STALE_MS = 12_000;
-const PRESENCE_LEAVE_TIMEOUT_MS = 90_000;
-const PRESENCE_SWEEP_INTERVAL_MS = 5_000;
+// `count` rows on each side of `ts` in one room, so a search hit can be shown in context.
+async function dbGetMessagesAround(topic, ts, count = 40) {
+  const t = String(topic || '').trim();
+  const at = Number(ts || 0) || 0;
+  const lim = Math.max(1, Math.min(500, Number(count || 0) || 40));
+  if (!t) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages'], 'readonly');
+  const idx = tx.objectStore('messages').index('by_topic_ts');
+  const collect = (range, dir) =>
+    new Promise((resolve, reject) => {
+      const rows = [];
+      const req = idx.openCursor(range, dir);
+      req.onerror = () => reject(req.error || new Error('cursor_failed'));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur || rows.length >= lim) return resolve(rows);
+        rows.push(cur.value);
+        cur.continue();
+      };
+    });
+  const before = await collect(IDBKeyRange.bound([t, 0], [t, at], false, true), 'prev');
+  const after = await collect(IDBKeyRange.bound([t, at], [t, Number.MAX_SAFE_INTEGER]), 'next');
+  await done.catch(() => {});
+  return before.reverse().concat(after).map(rowToEntry).filter((m) => m.id && m.addr);
+}
 
-function leadingZeroBits(bytes) {
-  let bits = 0;
-  for (const b of bytes) {
-    if (b === 0) {
-      bits += 8;
-      continue;
+// Addresses whose stored nick (in any room) contains `query`.
+async function dbFindAddrsByNick(query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return new Set();
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['names'], 'readonly');
+  const out = new Set();
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore('names').openCursor();
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      const v = cur.value || {};
+      if (String(v.nick || '').toLowerCase().includes(q)) out.add(String(v.addr || ''));
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+  return out;
+}
+
+// Every query word must match the start of a word in the message. `author` is an address prefix or part of a nick;
+// `since`/`until` are inclusive ms bounds. Newest hits first, each with its topic.
+async function dbSearchMessages({ query = '', author = '', since = 0, until = 0, limit = SEARCH_RESULTS_MAX } = {}) {
+  const words = searchTerms(query);
+  const who = String(author || '').trim().toLowerCase();
+  const from = Math.max(0, Number(since || 0) || 0);
+  const to = Number(until || 0) || Number.MAX_SAFE_INTEGER;
+  const lim = Math.max(1, Math.min(200, Number(limit || 0) || SEARCH_RESULTS_MAX));
+  if (!words.length && !who) return [];
+  const addrs = who && !who.startsWith('lmn1') ? await dbFindAddrsByNick(who) : null;
+  const authorOk = (addr) => !who || (addrs ? addrs.has(addr) : String(addr || '').toLowerCase().startsWith(who));
+  if (addrs && !addrs.size) return [];
+
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages', 'terms', 'names'], 'readonly');
+  const messages = tx.objectStore('messages');
+  const names = tx.objectStore('names');
+  const scan = (source, range, dir, onValue) =>
+    new Promise((resolve, reject) => {
+      const req = source.openCursor(range, dir);
+      req.onerror = () => reject(req.error || new Error('cursor_failed'));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur || onValue(cur.value) === false) return resolve();
+        cur.continue();
+      };
+    });
+
+  let pks = null;
+  if (words.length) {
+    const terms = tx.objectStore('terms');
+    for (const w of words) {
+      const hits = new Map(); // pk -> posting
+      await scan(terms, IDBKeyRange.bound([w], [`${w}\uffff`], false, true), 'next', (v) => {
+        if (v.ts >= from && v.ts <= to && authorOk(v.addr) && (!pks || pks.has(v.pk))) hits.set(v.pk, v);
+        return hits.size < SEARCH_MAX_POSTINGS;
+      });
+      pks = hits;
+      if (!pks.size) break;
     }
-    for (let i = 7; i >= 0; i--) {
-      if (b & (1 << i)) return bits;
-      bits += 1;
+  } else {
+    // Author only: walk that author's messages newest first.
+    pks = new Map();
+    const list = addrs ? Array.from(addrs) : [who];
+    for (const a of list) {
+      const range = addrs ? IDBKeyRange.bound([a, from], [a, to]) : IDBKeyRange.bound([a, from], [`${a}\uffff`, to]);
+      await scan(messages.index('by_addr_ts'), range, 'prev', (v) => {
+        if (!v.deleted && v.ts >= from && v.ts <= to && authorOk(v.addr) && !String(v.topic || '').startsWith(DM_TOPIC_PREFIX)) {
+          pks.set(v.pk, v);
+        }
+        return pks.size < SEARCH_MAX_POSTINGS;
+      });
     }
-    return bits;
   }
-  return bits;
+
+  const top = Array.from(pks.values())
+    .sort((a, b) => Number(b.ts || 0) - Number(a.ts || 0))
+    .slice(0, lim);
+  const get = (store, key) =>
+    new Promise((resolve) => {
+      const req = store.get(key);
+      req.onerror = () => resolve(null);
+      req.onsuccess = () => resolve(req.result || null);
+    });
+  const rows = [];
+  for (const p of top) {
+    const row = await get(messages, p.pk);
+    if (!row || row.deleted) continue;
+    const name = await get(names, `${row.topic}|${row.addr}`);
+    rows.push({ ...rowToEntry(row), topic: row.topic, nick: String(name?.nick || '') });
+  }
+  await done.catch(() => {});
+  return rows;
 }
 
-async function sha256Utf8(str) {
-  const s = String(str || '');
-  const cryptoObj = window?.crypto;
-  if (!cryptoObj?.subtle?.digest) throw new Error('WebCrypto unavailable (crypto.subtle.digest)');
-  const data = new TextEncoder().encode(s);
-  const hash = await cryptoObj.subtle.digest('SHA-256', data);
-  return new Uint8Array(hash);
+// Reactions are last-writer-wins per (target, addr, emoji); `on: false` rows are kept so an old "on" can't win later.
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+function isReactionEmoji(s) {
+  const e = String(s || '');
+  return !!e && e.length <= 16 && !/\s/.test(e) && /\p{Extended_Pictographic}/u.test(e);
 }
 
-async function hasValidPow(payload, bits = POW_DIFFICULTY_BITS) {
-  const hash = await sha256Utf8(payload);
-  return leadingZeroBits(hash) >= bits;
+function reactionKey(target, addr, emoji) {
+  return `${target}|${addr}|${emoji}`;
 }
 
-async function minePowPayload(type, baseFields, bits = POW_DIFFICULTY_BITS) {
-  let attempts = 0;
-  const base = { ...(baseFields || {}) };
-  while (true) {
-    const nonce = randHex(16);
-    const payload = encodePayload(type, { ...base, nonce });
-    if (await hasValidPow(payload, bits)) return { payload, nonce, attempts: attempts + 1 };
-    attempts += 1;
-    if (attempts % 64 === 0) await new Promise((r) => setTimeout(r, 0));
-  }
+async function dbPutReaction(topic, r) {
+  const t = String(topic || '').trim();
+  if (!t || !r?.target || !r?.addr || !r?.emoji) return;
+  const pk = `${t}|${reactionKey(r.target, r.addr, r.emoji)}`;
+  const row = { pk, topic: t, target: r.target, addr: r.addr, emoji: r.emoji, on: !!r.on, ts: Number(r.ts || 0) || nowMs() };
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['reactions'], 'readwrite');
+  const store = tx.objectStore('reactions');
+  const existing = store.get(pk);
+  existing.onsuccess = () => {
+    if ((Number(existing.result?.ts || 0) || 0) >= row.ts) return;
+    store.put(row);
+  };
+  await done;
 }
 
-function useToast() {
-  const [toast, setToast] = useState({ open: false, kind: 'info', title: '', message: '' });
+async function dbGetReactions(topic, limit = 5000) {
+  const t = String(topic || '').trim();
+  const lim = Math.max(1, Math.min(20_000, Number(limit || 0) || 5000));
+  if (!t) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['reactions'], 'readonly');
+  const idx = tx.objectStore('reactions').index('by_topic');
+  const rows = [];
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(IDBKeyRange.only(t));
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      rows.push(cur.value);
+      if (rows.length >= lim) return resolve();
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+  return rows
+    .map((r) => ({ target: String(r?.target || ''), addr: String(r?.addr || ''), emoji: String(r?.emoji || ''), on: !!r?.on, ts: Number(r?.ts || 0) || 0 }))
+    .filter((r) => r.target && r.addr && isReactionEmoji(r.emoji));
+}
+
+// Moderation: a room named `<name>@<owner address>` is owned by that address. The owner signs mod_add/mod_remove,
+// the owner and current moderators sign ban/unban. Replaying the signed events in (ts, id) order from the owner
+// rebuilds the same role set on every client, so newcomers need nothing but the envelopes.
+// (MOD_EVENT_TYPES, modEventTime and replayModLog live in js/pipeline.js, which also rate-limits the events.)
+const MOD_LOG_MAX = 500;
+
+function isLikelyLmnAddress(s) {
+  const v = String(s || '').trim();
+  return /^lmn1[0-9a-z]{20,}$/i.test(v);
+}
+
+function roomOwnerOf(topic) {
+  const roomName = String(topic || '').split('/').pop() || '';
+  const i = roomName.lastIndexOf('@');
+  const owner = i >= 0 ? roomName.slice(i + 1) : '';
+  return isLikelyLmnAddress(owner) ? owner : '';
+}
+
+function roomLabelFor(room) {
+  const owner = roomOwnerOf(topicForRoom(room));
+  return owner ? `${String(room).split('@')[0]}@${shortAddr(owner)}` : String(room || '');
+}
+
+async function dbPutModEvent(topic, ev) {
+  const t = String(topic || '').trim();
+  if (!t || !ev?.id) return;
+  const envelope = sanitizeEnvelope(ev.envelope);
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['modlog'], 'readwrite');
+  tx.objectStore('modlog').put({
+    pk: `${t}|${ev.id}`,
+    topic: t,
+    id: ev.id,
+    type: ev.type,
+    actor: ev.actor,
+    who: ev.who,
+    ts: Number(ev.ts || 0) || 0,
+    ...(envelope ? { envelope } : {}),
+  });
+  await done;
+}
+
+async function dbGetModEvents(topic) {
+  const t = String(topic || '').trim();
+  if (!t) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['modlog'], 'readonly');
+  const idx = tx.objectStore('modlog').index('by_topic');
+  const rows = [];
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(IDBKeyRange.only(t));
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      rows.push(cur.value);
+      if (rows.length >= MOD_LOG_MAX) return resolve();
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+  return rows
+    .map((r) => ({
+      id: String(r?.id || ''),
+      type: String(r?.type || ''),
+      actor: String(r?.actor || ''),
+      who: String(r?.who || ''),
+      ts: Number(r?.ts || 0) || 0,
+      envelope: r?.envelope || null,
+    }))
+    .filter((r) => r.id && MOD_EVENT_TYPES.includes(r.type) && r.actor && r.who);
+}
+
+// Room configuration: the owner of a room signs `room_config` events with its title, description, pinned rules
+// and limits. The newest one (by ts, then id) wins; every client enforces its limits on what it sends and accepts.
+// Zero limits mean the defaults (MSG_TEXT_MAX chars, 1 msg/sec, POW_DIFFICULTY_BITS).
+const ROOM_TITLE_MAX = 60;
+const ROOM_DESC_MAX = 280;
+const ROOM_RULES_MAX = 1000;
+const ROOM_TEXT_MAX_LIMIT = 1000; // 1000 chars of any script still seal within SEALED_TEXT_MAX_B64
+const ROOM_SLOW_MAX_S = 3600;
+const ROOM_CONFIG_SKEW_MS = 5 * 60_000; // a config dated further ahead would lock out the owner's next one
+
+// { title, desc, rules, maxLen, slowS, powBits } from a room_config payload, or null when a field is out of range.
+function roomConfigFrom(parsed) {
+  const title = String(parsed?.title || '').trim();
+  const desc = String(parsed?.desc || '').trim();
+  const rules = String(parsed?.rules || '').trim();
+  const maxLen = Number(parsed?.max_len || 0);
+  const slowS = Number(parsed?.slow || 0);
+  const powBits = Number(parsed?.pow_bits || 0);
+  if (title.length > ROOM_TITLE_MAX || desc.length > ROOM_DESC_MAX || rules.length > ROOM_RULES_MAX) return null;
+  if (!Number.isInteger(maxLen) || maxLen < 0 || maxLen > ROOM_TEXT_MAX_LIMIT) return null;
+  if (!Number.isInteger(slowS) || slowS < 0 || slowS > ROOM_SLOW_MAX_S) return null;
+  if (!Number.isInteger(powBits) || (powBits && (powBits < POW_DIFFICULTY_BITS || powBits > POW_MAX_BITS))) return null;
+  return { title, desc, rules, maxLen, slowS, powBits };
+}
+
+function roomConfigFields(cfg) {
+  return {
+    title: String(cfg.title || ''),
+    desc: String(cfg.desc || ''),
+    rules: String(cfg.rules || ''),
+    max_len: String(cfg.maxLen || 0),
+    slow: String(cfg.slowS || 0),
+    pow_bits: String(cfg.powBits || 0),
+  };
+}
+
+// Editable strings for the owner's settings form; empty limits stand for the defaults.
+function roomConfigDraft(cfg) {
+  return {
+    title: cfg?.title || '',
+    desc: cfg?.desc || '',
+    rules: cfg?.rules || '',
+    maxLen: cfg?.maxLen ? String(cfg.maxLen) : '',
+    slowS: cfg?.slowS ? String(cfg.slowS) : '',
+    powBits: String(cfg?.powBits || 0),
+  };
+}
+
+function isNewerRoomConfig(next, cur) {
+  return !cur || next.ts > cur.ts || (next.ts === cur.ts && next.id > cur.id);
+}
+
+// topic -> { id, actor, ts, envelope, ...roomConfigFrom() } of the newest accepted config. The envelope is kept
+// so the config can be handed to newcomers with history.
+function loadRoomConfigs() {
+  try {
+    const v = JSON.parse(localStorage.getItem(ROOM_CONFIG_KEY) || '{}');
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return {};
+    const out = {};
+    for (const [topic, rec] of Object.entries(v)) {
+      const cfg = roomConfigFrom(roomConfigFields(rec || {}));
+      if (!cfg || !rec.id || rec.actor !== roomOwnerOf(topic)) continue;
+      out[topic] = { id: rec.id, actor: rec.actor, ts: Number(rec.ts || 0) || 0, envelope: sanitizeEnvelope(rec.envelope), ...cfg };
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+function loadRoomConfig(topic) {
+  return loadRoomConfigs()[topic] || null;
+}
+
+function saveRoomConfig(topic, rec) {
+  try {
+    localStorage.setItem(ROOM_CONFIG_KEY, JSON.stringify({ ...loadRoomConfigs(), [topic]: rec }));
+  } catch {}
+}
+
+// Outbox rows keep the envelope exactly as mined and signed, so a retry publishes the same addr:nonce and
+// receivers drop any copy that did get through. Row: { id, addr, topic (published to), room (timeline topic,
+// '' for a DM), peer (DM peer or ''), envelope, entry (timeline entry), state, tries, nextAt, error, createdAt }.
+async function dbPutOutbox(row) {
+  if (!row?.id || !row.addr) return;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['outbox'], 'readwrite');
+  tx.objectStore('outbox').put(row);
+  await done;
+}
+
+async function dbDeleteOutbox(id) {
+  if (!id) return;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['outbox'], 'readwrite');
+  tx.objectStore('outbox').delete(String(id));
+  await done;
+}
+
+// The outbox of one signer, oldest first.
+async function dbGetOutbox(addr) {
+  const a = String(addr || '').trim();
+  if (!a) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['outbox'], 'readonly');
+  const rows = await new Promise((resolve, reject) => {
+    const req = tx.objectStore('outbox').index('by_addr').getAll(IDBKeyRange.only(a));
+    req.onerror = () => reject(req.error || new Error('outbox_read_failed'));
+    req.onsuccess = () => resolve(Array.isArray(req.result) ? req.result : []);
+  });
+  await done.catch(() => {});
+  return rows.filter((r) => r?.id && r.envelope && r.entry).sort((x, y) => Number(x.createdAt || 0) - Number(y.createdAt || 0));
+}
+
+// Newest `limit` stored envelopes with ts > sinceTs, oldest first (used to answer history_req).
+// Deleted rows are served as their delete envelope only; edited rows as original + edit.
+async function dbGetEnvelopesSince(topic, sinceTs, limit = 100) {
+  const t = String(topic || '').trim();
+  const since = Math.max(0, Number(sinceTs || 0) || 0);
+  const lim = Math.max(1, Math.min(500, Number(limit || 0) || 100));
+  if (!t) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages'], 'readonly');
+  const idx = tx.objectStore('messages').index('by_topic_ts');
+  const range = IDBKeyRange.bound([t, since], [t, Number.MAX_SAFE_INTEGER], true, false);
+  const rows = [];
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(range, 'prev');
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      const v = cur.value || {};
+      const envs = v.deleted ? [v.deleteEnvelope] : [v.envelope, v.edited ? v.editEnvelope : null];
+      // collected newest-first, so push the edit before its original
+      for (const env of envs.map(sanitizeEnvelope).filter(Boolean).reverse()) rows.push(env);
+      if (rows.length >= lim) return resolve();
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+  rows.reverse();
+  return rows;
+}
+
+// Every stored row of a room, oldest first, with its envelopes (for export).
+async function dbGetAllMessages(topic) {
+  const t = String(topic || '').trim();
+  if (!t) return [];
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages'], 'readonly');
+  const range = IDBKeyRange.bound([t, 0], [t, Number.MAX_SAFE_INTEGER]);
+  const rows = await new Promise((resolve, reject) => {
+    const req = tx.objectStore('messages').index('by_topic_ts').getAll(range);
+    req.onerror = () => reject(req.error || new Error('get_failed'));
+    req.onsuccess = () => resolve(req.result || []);
+  });
+  await done.catch(() => {});
+  return rows.map(rowToEntry).filter((m) => m.id && m.addr);
+}
+
+async function dbClearMessages(topic) {
+  const t = String(topic || '').trim();
+  if (!t) return;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages', 'terms', 'reactions'], 'readwrite');
+  const store = tx.objectStore('messages');
+  const terms = tx.objectStore('terms');
+  const reactions = tx.objectStore('reactions');
+  const idx = store.index('by_topic_ts');
+  const maxTs = Number.MAX_SAFE_INTEGER;
+  const range = IDBKeyRange.bound([t, 0], [t, maxTs]);
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(range);
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      try {
+        reindexTerms(terms, cur.primaryKey);
+        dropReactions(reactions, t, cur.value?.id);
+        cur.delete();
+      } catch {}
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+}
+
+// Removes a room's messages that fall outside `choice` (oldest first), with their search postings and reactions.
+// Resolves to the number of messages removed.
+async function dbCompactRoom(topic, choice, now = nowMs()) {
+  const t = String(topic || '').trim();
+  const days = Number(choice?.days || 0) || 0;
+  const keep = Number(choice?.count || 0) || 0;
+  if (!t || (!days && !keep)) return 0;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages', 'terms', 'reactions'], 'readwrite');
+  const idx = tx.objectStore('messages').index('by_topic_ts');
+  const terms = tx.objectStore('terms');
+  const reactions = tx.objectStore('reactions');
+  const range = IDBKeyRange.bound([t, 0], [t, Number.MAX_SAFE_INTEGER]);
+  const total = await new Promise((resolve, reject) => {
+    const req = idx.count(range);
+    req.onerror = () => reject(req.error || new Error('count_failed'));
+    req.onsuccess = () => resolve(Number(req.result || 0));
+  });
+  const excess = keep ? Math.max(0, total - keep) : 0;
+  const cutoff = days ? now - days * 24 * 60 * 60 * 1000 : 0;
+  let removed = 0;
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(range);
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      const row = cur.value || {};
+      if (removed >= excess && (Number(row.ts || 0) || 0) >= cutoff) return resolve();
+      reindexTerms(terms, row.pk);
+      dropReactions(reactions, t, row.id);
+      cur.delete();
+      removed += 1;
+      cur.continue();
+    };
+  });
+  await done;
+  return removed;
+}
+
+// Per-topic totals for the storage panel. Sizes are the JSON length of the stored rows, which only
+// approximates what the browser keeps on disk (indexes and the search postings are not counted).
+async function dbStorageStats() {
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['messages'], 'readonly');
+  const byTopic = new Map();
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore('messages').openCursor();
+    req.onerror = () => reject(req.error || new Error('cursor_failed'));
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      const v = cur.value || {};
+      const t = String(v.topic || '');
+      const ts = Number(v.ts || 0) || 0;
+      const st = byTopic.get(t) || { topic: t, count: 0, bytes: 0, oldestTs: ts, newestTs: ts };
+      st.count += 1;
+      try { st.bytes += JSON.stringify(v).length; } catch {}
+      st.oldestTs = Math.min(st.oldestTs, ts);
+      st.newestTs = Math.max(st.newestTs, ts);
+      byTopic.set(t, st);
+      cur.continue();
+    };
+  });
+  await done.catch(() => {});
+  return Array.from(byTopic.values()).sort((a, b) => b.bytes - a.bytes);
+}
+
+async function dbGetIdentity(addr) {
+  const a = String(addr || '').trim();
+  if (!a) return null;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['identity'], 'readonly');
+  const row = await new Promise((resolve, reject) => {
+    const req = tx.objectStore('identity').get(a);
+    req.onerror = () => reject(req.error || new Error('get_failed'));
+    req.onsuccess = () => resolve(req.result || null);
+  });
+  await done.catch(() => {});
+  return row;
+}
+
+async function dbPutIdentity(row) {
+  if (!row || !String(row.addr || '').trim()) return;
+  const db = await openChatDb();
+  const { tx, done } = dbTx(db, ['identity'], 'readwrite');
+  tx.objectStore('identity').put(row);
+  await done;
+}
+
+// Transcripts: the JSON file carries the signed envelopes, which are all an import trusts; the rendered
+// fields and the names map are there for people reading the file.
+const TRANSCRIPT_FORMAT = 'lumen.pubsub_chat.transcript';
+const TRANSCRIPT_VERSION = 1;
+const IMPORT_MAX_ENVELOPES = 20_000;
+
+function transcriptFileName(room, ext) {
+  const safe = String(room || 'room').replace(/[^a-z0-9._-]+/gi, '_').slice(0, 60);
+  return `pubsub_chat-${safe}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+function buildTranscriptJson(topic, rows, names) {
+  return JSON.stringify(
+    {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      topic,
+      room: roomForTopic(topic),
+      exportedAt: nowMs(),
+      names,
+      messages: rows.map((m) => ({
+        id: m.id,
+        addr: m.addr,
+        ts: m.ts,
+        text: m.deleted || m.locked ? '' : m.text,
+        ...(m.replyTo ? { replyTo: m.replyTo } : {}),
+        ...(m.attach ? { attach: m.attach } : {}),
+        ...(m.encrypted ? { encrypted: true } : {}),
+        ...(m.locked ? { locked: true } : {}),
+        ...(m.edited ? { editedAt: m.editedAt } : {}),
+        ...(m.deleted ? { deletedAt: m.deletedAt } : {}),
+        envelopes: [m.envelope, m.editEnvelope, m.deleteEnvelope].map(sanitizeEnvelope).filter(Boolean),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function buildTranscriptMarkdown(topic, rows, names) {
+  const when = (ts) => new Date(ts).toISOString().replace('T', ' ').slice(0, 16);
+  const byId = new Map(rows.map((m) => [m.id, m]));
+  const nameOf = (addr) => names[addr] || 'anon';
+  const oneLine = (str, max) => {
+    const t = String(str || '').replace(/\s+/g, ' ').trim();
+    return t.length > max ? `${t.slice(0, max)}…` : t;
+  };
+  const out = [
+    `# #${roomLabelFor(roomForTopic(topic))}`,
+    '',
+    `Exported ${when(nowMs())} UTC from \`${topic}\` · ${rows.length} messages`,
+    '',
+  ];
+  for (const m of rows) {
+    out.push('---', '', `**${nameOf(m.addr)}** \`${shortAddr(m.addr)}\` · ${when(m.ts)} UTC${m.edited ? ' · edited' : ''}`, '');
+    const parent = m.replyTo ? byId.get(m.replyTo) : null;
+    if (m.replyTo) {
+      out.push(parent ? `> ↪ **${nameOf(parent.addr)}**: ${oneLine(parent.deleted ? 'Message deleted' : parent.text, 80)}` : '> ↪ an earlier message', '');
+    }
+    if (m.deleted) out.push('_Message deleted_');
+    else if (m.locked) out.push('_🔒 Locked message_');
+    else if (m.text) out.push(m.text);
+    if (!m.deleted && m.attach) out.push(`📎 [${m.attach.name}](${m.attach.url}) (${m.attach.type}, ${formatBytes(m.attach.size)})`);
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+// Resolves to { topic, envelopes } (originals before their revisions, oldest first) or { error }.
+function readTranscript(data) {
+  if (!data || typeof data !== 'object' || data.format !== TRANSCRIPT_FORMAT) return { error: 'Not a pubsub_chat transcript' };
+  if (Number(data.version) !== TRANSCRIPT_VERSION) return { error: `Unsupported transcript version ${data.version}` };
+  const topic = String(data.topic || '').trim();
+  if (!topic.startsWith('lumen/pubsub_chat/v1/') || topic.startsWith(DM_TOPIC_PREFIX)) return { error: 'Transcript has no room topic' };
+  if (!Array.isArray(data.messages)) return { error: 'Transcript has no messages' };
+  const originals = [];
+  const revisions = [];
+  for (const m of data.messages) {
+    for (const env of Array.isArray(m?.envelopes) ? m.envelopes : []) {
+      const clean = sanitizeEnvelope(env);
+      if (!clean) continue;
+      (decodePayload(clean.payload)?.type === 'msg' ? originals : revisions).push(clean);
+    }
+  }
+  const envelopes = originals.concat(revisions);
+  if (envelopes.length > IMPORT_MAX_ENVELOPES) return { error: `Too many messages (max ${IMPORT_MAX_ENVELOPES})` };
+  return { topic, envelopes };
+}
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+}
+
+const POW_DIFFICULTY_BITS = 12; // v1 baseline; a room under spam may advertise more (see pow_level)
+const POW_MAX_BITS = 18;
+const POW_STEP_BITS = 2;
+const POW_LEVEL_TTL_MS = 5 * 60_000;
+const POW_LEVEL_MAX_TTL_MS = 10 * 60_000;
+const POW_PRESSURE_WINDOW_MS = 30_000;
+const POW_PRESSURE_THRESHOLD = 12;
+const POW_RAISE_COOLDOWN_MS = 60_000;
+const POW_ADVERT_MIN_INTERVAL_MS = 60_000; // per sender: further adverts meanwhile are ignored
+const HEARTBEAT_INTERVAL_MS = 60_000;
+const HEARTBEAT_FIRST_DELAY_MS = 12_000;
+const PEER_STALE_MS = 12_000;
+const SUPERVISE_INTERVAL_MS = 5_000;
+const OUTBOX_RETRY = { baseDelayMs: 2_000, maxDelayMs: 60_000 };
+const OUTBOX_SEND_GAP_MS = 1_100; // receivers take one chat message per second from each sender
+const LINK_REASON_TEXT = {
+  publish_failing: 'sending keeps failing',
+  peers_failing: 'the host stopped answering',
+  no_echo: 'our own messages stopped coming back',
+  silent: 'peers are around but nothing arrives',
+  wake: 'the computer woke from sleep',
+  offline: 'the browser went offline',
+  online: 'the browser is back online',
+};
+const PRESENCE_LEAVE_TIMEOUT_MS = 90_000;
+const PRESENCE_SWEEP_INTERVAL_MS = 5_000;
+const PRESENCE_IDLE_MS = 5 * 60_000; // no message, typing or reaction for this long
+const PRESENCE_ACTIVITY_TYPES = ['msg', 'typing', 'react', 'edit', 'delete'];
+const AWAY_AFTER_HIDDEN_MS = 15_000; // quick tab switches don't flap the away flag
+const PROFILE_REANNOUNCE_MIN_MS = 20_000;
+const PROFILE_REANNOUNCE_JITTER_MS = 2_500;
+const HISTORY_MAX_ITEMS = 100;
+const HISTORY_BATCH_ITEMS = 20;
+const HISTORY_BATCH_MAX_CHARS = 48_000;
+const HISTORY_BATCH_GAP_MS = 400; // keeps a full reply well under the receivers' auto-block threshold
+const HISTORY_REPLY_JITTER_MS = 1_250;
+const HISTORY_REQ_MIN_INTERVAL_MS = 10_000;
+const HISTORY_MAX_ASKS = 3;
+const MAX_JOINED_ROOMS = 8;
+const COMPACT_FIRST_DELAY_MS = 30_000;
+const COMPACT_INTERVAL_MS = 15 * 60_000;
+const TYPING_SEND_INTERVAL_MS = 3_000;
+const TYPING_SHOW_MS = 6_000;
+const READ_SEND_DELAY_MS = 1_500;
+const READ_AVATARS_MAX = 8;
+
+// Per-room state of a joined room; every joined room keeps its own subscription, presence and limits.
+function createRoomSession(room, roomKey = null) {
+  const topic = topicForRoom(room);
+  return {
+    ...createGuardState(),
+    room,
+    topic,
+    roomKey, // { key, kid, topic, mode } from deriveRoomKey
+    unsubscribe: null,
+    topics: [], // topic variants reported by the subscription
+    link: null, // LINK state of the subscription, checked by the supervisor
+    left: false, // set while leaving so late envelopes and timers are ignored
+    blocked: loadBlocklist(topic), // addr -> {addr,name,blockedAt,reason}
+    names: new Map(), // addr -> nick last persisted for this room
+    presence: new Map(), // addr -> { lastSeenAt, lastActiveAt, away, status }
+    powLevel: null, // { bits, until, since } adopted from room staff: the only raise receivers enforce
+    powRaise: null, // { bits, until, since } our own spam-pressure raise when we are not staff: send side only
+    powPressure: [], // timestamps of spam drops (rate_limited / auto_blocked)
+    powRaisedAt: 0,
+    powAdvertAt: new Map(), // addr -> last pow advert we acted on
+    heldRevisions: new Map(), // target msg id -> edit/delete that arrived before the original (see holdRevision)
+    modEvents: [],
+    modState: replayModLog(roomOwnerOf(topic), []),
+    config: loadRoomConfig(topic), // newest accepted room_config (see roomConfigFrom)
+    configSince: 0, // when a config raised the PoW floor here; receivers give it the pow_level grace
+    lastChatAt: 0, // our last message here, for slow mode
+    history: { reqIds: new Set(), since: 0, answered: false, asks: 0 }, // our own history_req state
+    historyAnswered: new Set(), // history_req ids that already got a reply (ours or a peer's)
+    historyReqAt: new Map(), // addr -> last history_req we considered answering
+    historyTimers: new Set(),
+    lastPeerSeenAt: 0,
+    lastRemoteSeenAt: 0,
+    lastHeartbeatAt: 0,
+    heartbeatInFlight: false,
+    lastProfileAt: 0,
+    profileTimer: null,
+    typing: new Map(), // addr -> ms until the peer's typing indicator expires
+    readUpTo: new Map(), // addr -> { id, ts } from the peer's latest read receipt
+    lastTypingAt: 0,
+    readSent: '', // msg id of our last read receipt
+  };
+}
+
+const PRESENCE_STATES = ['online', 'away', 'idle']; // roster order
+
+function presenceStateOf(rec, now = nowMs()) {
+  if (rec.away) return 'away';
+  return now - rec.lastActiveAt > PRESENCE_IDLE_MS ? 'idle' : 'online';
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const b of bytes) {
+    if (b === 0) {
+      bits += 8;
+      continue;
+    }
+    for (let i = 7; i >= 0; i--) {
+      if (b & (1 << i)) return bits;
+      bits += 1;
+    }
+    return bits;
+  }
+  return bits;
+}
+
+async function sha256Utf8(str) {
+  const s = String(str || '');
+  const cryptoObj = window?.crypto;
+  if (!cryptoObj?.subtle?.digest) throw new Error('WebCrypto unavailable (crypto.subtle.digest)');
+  const data = new TextEncoder().encode(s);
+  const hash = await cryptoObj.subtle.digest('SHA-256', data);
+  return new Uint8Array(hash);
+}
+
+async function hasValidPow(payload, bits = POW_DIFFICULTY_BITS) {
+  const hash = await sha256Utf8(payload);
+  return leadingZeroBits(hash) >= bits;
+}
+
+// Main-thread fallback when Workers are unavailable; cancelPowJobs() bumps the generation to stop it.
+let POW_CANCEL_GEN = 0;
+
+async function minePowPayload(type, baseFields, bits = POW_DIFFICULTY_BITS) {
+  let attempts = 0;
+  const gen = POW_CANCEL_GEN;
+  const base = { ...(baseFields || {}) };
+  while (true) {
+    const nonce = randHex(16);
+    const payload = encodePayload(type, { ...base, nonce });
+    if (await hasValidPow(payload, bits)) return { payload, nonce, attempts: attempts + 1 };
+    attempts += 1;
+    if (attempts % 64 === 0) {
+      await new Promise((r) => setTimeout(r, 0));
+      if (gen !== POW_CANCEL_GEN) throw new Error('pow_cancelled');
+    }
+  }
+}
+
+// Mining and verification run in a pool of dedicated workers (js/pow_worker.js) so the UI stays responsive.
+// A mining job is raced on every worker (random nonces) and the first hit cancels the rest.
+const POW_WORKER_URL = 'js/pow_worker.js';
+let POW_POOL = null; // null = not started, false = unavailable (fall back to the main thread)
+
+function powPool() {
+  if (POW_POOL !== null) return POW_POOL;
+  POW_POOL = false;
+  if (typeof window === 'undefined' || typeof window.Worker !== 'function') return POW_POOL;
+  try {
+    const cores = Number(window.navigator?.hardwareConcurrency || 0) || 2;
+    const size = Math.max(1, Math.min(4, cores - 1));
+    const pool = { workers: [], jobs: new Map(), seq: 0, next: 0 };
+    for (let i = 0; i < size; i++) {
+      const worker = new window.Worker(POW_WORKER_URL);
+      worker.onmessage = (ev) => {
+        const d = ev?.data || {};
+        const job = pool.jobs.get(Number(d.id || 0));
+        if (!job) return;
+        if (d.ok) return job.resolve(d);
+        // A raced mining job only fails once every worker has given up on it.
+        job.failures = (job.failures || 0) + 1;
+        if (job.failures >= job.workers.length) job.reject(new Error(String(d.error || 'pow_failed')));
+      };
+      // Script failed to load (CSP, file://, …): fail pending jobs over to the main thread for good.
+      worker.onerror = (e) => {
+        try { e?.preventDefault?.(); } catch {}
+        disablePowPool(pool, 'pow_worker_unavailable');
+      };
+      pool.workers.push(worker);
+    }
+    POW_POOL = pool;
+  } catch {
+    POW_POOL = false;
+  }
+  return POW_POOL;
+}
+
+function disablePowPool(pool, reason) {
+  if (POW_POOL === pool) POW_POOL = false;
+  for (const w of pool.workers) {
+    try { w.terminate(); } catch {}
+  }
+  for (const job of pool.jobs.values()) job.reject(new Error(reason));
+  pool.jobs.clear();
+}
+
+function runPowJob(pool, op, data, workers) {
+  pool.seq += 1;
+  const id = pool.seq;
+  return new Promise((resolve, reject) => {
+    const done = () => pool.jobs.delete(id);
+    pool.jobs.set(id, {
+      workers,
+      resolve: (d) => {
+        done();
+        // Stop the losers of a raced mining job.
+        for (const w of workers.length > 1 ? workers : []) {
+          try { w.postMessage({ op: 'cancel', id }); } catch {}
+        }
+        resolve(d);
+      },
+      reject: (e) => {
+        done();
+        for (const w of workers) {
+          try { w.postMessage({ op: 'cancel', id }); } catch {}
+        }
+        reject(e);
+      },
+    });
+    for (const w of workers) w.postMessage({ id, op, ...data });
+  });
+}
+
+// Splits the encoded payload around the nonce value so workers only have to fill it in.
+function payloadAroundNonce(type, fields) {
+  const marker = 'nonce=%00';
+  const encoded = encodePayload(type, { ...fields, nonce: '\u0000' });
+  const i = encoded.indexOf(marker);
+  return { head: encoded.slice(0, i + 'nonce='.length), tail: encoded.slice(i + marker.length) };
+}
+
+async function minePow(type, baseFields, bits = POW_DIFFICULTY_BITS) {
+  const pool = powPool();
+  if (pool) {
+    try {
+      const res = await runPowJob(pool, 'mine', { ...payloadAroundNonce(type, baseFields), bits }, pool.workers);
+      return { payload: String(res.payload), nonce: String(res.nonce), attempts: Number(res.attempts || 0) };
+    } catch (e) {
+      if (String(e?.message || '') !== 'pow_worker_unavailable') throw e;
+    }
+  }
+  return await minePowPayload(type, baseFields, bits);
+}
+
+// Number of leading zero bits of sha256(payload), i.e. the work a payload actually carries.
+async function powZeros(payload) {
+  const pool = powPool();
+  if (pool) {
+    try {
+      pool.next = (pool.next + 1) % pool.workers.length;
+      const res = await runPowJob(pool, 'verify', { payload: String(payload || '') }, [pool.workers[pool.next]]);
+      return Number(res.zeros || 0);
+    } catch (e) {
+      if (String(e?.message || '') !== 'pow_worker_unavailable') throw e;
+    }
+  }
+  return leadingZeroBits(await sha256Utf8(payload));
+}
+
+// Aborts in-flight mining (e.g. on disconnect); pending callers reject with `pow_cancelled`.
+function cancelPowJobs() {
+  POW_CANCEL_GEN += 1;
+  const pool = POW_POOL;
+  if (!pool) return;
+  for (const job of Array.from(pool.jobs.values())) job.reject(new Error('pow_cancelled'));
+}
+
+// Private rooms: the `text` field of `msg` payloads is sealed with AES-GCM before mining/signing.
+// The key is derived from a password (PBKDF2) or a random invite key (HKDF), salted with the topic.
+const ROOM_KEY_MODES = ['open', 'password', 'invite'];
+const ROOM_KEY_PBKDF2_ITERATIONS = 210_000;
+const ROOM_KEY_INFO = 'pubsub_chat|v1|room-key';
+const SEALED_SCHEME = 'aes-gcm';
+const SEALED_TEXT_MAX_B64 = 4096;
+
+function subtleCrypto() {
+  const subtle = window?.crypto?.subtle;
+  if (!subtle?.deriveBits || !subtle?.encrypt) throw new Error('WebCrypto unavailable (crypto.subtle)');
+  return subtle;
+}
+
+function bytesToB64(bytes) {
+  let bin = '';
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || []);
+  for (let i = 0; i < b.length; i++) bin += String.fromCharCode(b[i]);
+  return btoa(bin);
+}
+
+function b64ToBytes(str) {
+  const s = String(str || '').trim().replace(/-/g, '+').replace(/_/g, '/');
+  const padded = s + '='.repeat((4 - (s.length % 4)) % 4);
+  const bin = atob(padded);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes || [], (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function generateInviteKey() {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  return bytesToB64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function deriveRoomKey(topic, mode, secret) {
+  const t = String(topic || '').trim();
+  const m = String(mode || '').trim();
+  const s = String(secret || '');
+  if (!t || !s || (m !== 'password' && m !== 'invite')) return null;
+  const subtle = subtleCrypto();
+  const enc = new TextEncoder();
+  let bits;
+  if (m === 'password') {
+    const base = await subtle.importKey('raw', enc.encode(s), 'PBKDF2', false, ['deriveBits']);
+    bits = await subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode(`${ROOM_KEY_INFO}|${t}`), iterations: ROOM_KEY_PBKDF2_ITERATIONS },
+      base,
+      512
+    );
+  } else {
+    const raw = b64ToBytes(s);
+    if (raw.length < 16) throw new Error('Invite key is too short');
+    const base = await subtle.importKey('raw', raw, 'HKDF', false, ['deriveBits']);
+    bits = await subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt: enc.encode(t), info: enc.encode(ROOM_KEY_INFO) },
+      base,
+      512
+    );
+  }
+  return sealingKeyFromBits(bits, t, m);
+}
+
+async function sealingKeyFromBits(bits, topic, mode) {
+  const all = new Uint8Array(bits);
+  const key = await subtleCrypto().importKey('raw', all.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  // The key id lets receivers tell "wrong key" apart from "tampered ciphertext" without revealing the key.
+  const kid = bytesToHex(all.slice(32, 40));
+  return { key, kid, topic, mode };
+}
+
+// Direct messages: each address owns a P-256 ECDH identity whose public half is announced in signed
+// profile/ping payloads (`dh`). Both parties derive the same AES-GCM key for their per-pair topic.
+const DM_TOPIC_PREFIX = 'lumen/pubsub_chat/v1/dm/';
+const DM_KEY_INFO = 'pubsub_chat|v1|dm-key';
+const DM_PUBKEY_B64_LEN = 88; // 65-byte uncompressed P-256 point
+const MAX_DM_SUBSCRIPTIONS = 24;
+
+function isDmPubKey(v) {
+  const s = String(v || '');
+  return s.length === DM_PUBKEY_B64_LEN && /^[A-Za-z0-9+/]+=*$/.test(s);
+}
+
+async function dmTopicFor(addrA, addrB) {
+  const pair = [String(addrA || '').trim(), String(addrB || '').trim()].sort();
+  if (!pair[0] || !pair[1]) throw new Error('dm_topic_needs_two_addresses');
+  const hash = await sha256Utf8(`pubsub_chat|v1|dm|${pair.join('|')}`);
+  return DM_TOPIC_PREFIX + bytesToHex(hash.slice(0, 16));
+}
+
+async function loadOrCreateDmIdentity(addr) {
+  const a = String(addr || '').trim();
+  if (!a) return null;
+  const existing = await dbGetIdentity(a).catch(() => null);
+  if (existing?.privateKey && isDmPubKey(existing?.pubB64)) return existing;
+  const subtle = subtleCrypto();
+  const pair = await subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+  const raw = await subtle.exportKey('raw', pair.publicKey);
+  const row = { addr: a, privateKey: pair.privateKey, pubB64: bytesToB64(new Uint8Array(raw)), createdAt: nowMs() };
+  await dbPutIdentity(row);
+  return row;
+}
+
+async function deriveDmKey(identity, peerPubB64, topic) {
+  if (!identity?.privateKey || !isDmPubKey(peerPubB64)) return null;
+  const subtle = subtleCrypto();
+  const peerPub = await subtle.importKey('raw', b64ToBytes(peerPubB64), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const shared = await subtle.deriveBits({ name: 'ECDH', public: peerPub }, identity.privateKey, 256);
+  const base = await subtle.importKey('raw', shared, 'HKDF', false, ['deriveBits']);
+  const enc = new TextEncoder();
+  const bits = await subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: enc.encode(topic), info: enc.encode(DM_KEY_INFO) },
+    base,
+    512
+  );
+  return sealingKeyFromBits(bits, topic, 'dm');
+}
+
+async function sealText(roomKey, plaintext) {
+  if (!roomKey?.key) throw new Error('No room key');
+  const subtle = subtleCrypto();
+  const iv = new Uint8Array(12);
+  window.crypto.getRandomValues(iv);
+  const ct = await subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(roomKey.topic) },
+    roomKey.key,
+    new TextEncoder().encode(String(plaintext || ''))
+  );
+  return { enc: SEALED_SCHEME, kid: roomKey.kid, iv: bytesToB64(iv), text: bytesToB64(new Uint8Array(ct)) };
+}
+
+async function openSealedText(roomKey, sealed) {
+  if (!roomKey?.key) return null;
+  if (String(sealed?.enc || '') !== SEALED_SCHEME) return null;
+  if (String(sealed?.kid || '') !== roomKey.kid) return null;
+  try {
+    const pt = await subtleCrypto().decrypt(
+      { name: 'AES-GCM', iv: b64ToBytes(sealed.iv), additionalData: new TextEncoder().encode(roomKey.topic) },
+      roomKey.key,
+      b64ToBytes(sealed.text)
+    );
+    return new TextDecoder().decode(pt);
+  } catch {
+    return null;
+  }
+}
+
+// Binds a history_resp batch to the exact envelopes it carries.
+async function historyDigest(items) {
+  const list = Array.isArray(items) ? items : [];
+  const hash = await sha256Utf8(list.map((it) => `${String(it?.payload || '')}|${String(it?.signatureB64 || '')}`).join('\n'));
+  return bytesToHex(hash.slice(0, 16));
+}
+
+function splitHistoryBatches(items) {
+  const batches = [];
+  let cur = [];
+  let chars = 0;
+  for (const it of items || []) {
+    const size = JSON.stringify(it).length;
+    if (cur.length && (cur.length >= HISTORY_BATCH_ITEMS || chars + size > HISTORY_BATCH_MAX_CHARS)) {
+      batches.push(cur);
+      cur = [];
+      chars = 0;
+    }
+    cur.push(it);
+    chars += size;
+  }
+  if (cur.length) batches.push(cur);
+  return batches;
+}
+
+// Attachments: the file is added to IPFS by the host (lumen.save / lumen.pin) and the message carries
+// attach=lumen://ipfs/<cid> with attach_name, attach_type and attach_size, all covered by the signature.
+// Limits can be changed from the page hash, e.g. #attach_max_mb=2&attach_types=image/png,image/jpeg
+const ATTACH_MAX_BYTES = 8 * 1024 * 1024;
+const ATTACH_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'audio/mpeg',
+  'video/mp4',
+];
+const ATTACH_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const ATTACH_NAME_MAX = 120;
+
+function loadAttachConfig() {
+  const cfg = { maxBytes: ATTACH_MAX_BYTES, types: ATTACH_TYPES };
+  try {
+    const p = new URLSearchParams(String(location.hash || '').replace(/^#/, ''));
+    const mb = Number(p.get('attach_max_mb') || 0);
+    if (mb > 0) cfg.maxBytes = Math.floor(mb * 1024 * 1024);
+    const types = String(p.get('attach_types') || '')
+      .split(',')
+      .map((t) => t.trim().toLowerCase())
+      .filter((t) => /^[a-z]+\/[a-z0-9.+-]+$/.test(t));
+    if (types.length) cfg.types = types;
+  } catch {}
+  return cfg;
+}
+
+const ATTACH_CONFIG = loadAttachConfig();
+
+function formatBytes(n) {
+  const v = Number(n || 0) || 0;
+  if (v < 1024) return `${v} B`;
+  if (v < 1024 * 1024) return `${(v / 1024).toFixed(1)} KB`;
+  return `${(v / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Resolves to null (no attachment), { drop } or { url, name, type, size }; limits are the receiver's own.
+function readAttachment(parsed) {
+  if (!parsed.attach) return null;
+  const m = String(parsed.attach).match(/^lumen:\/\/ipfs\/([A-Za-z0-9]{20,100})$/);
+  const size = Number(parsed.attach_size || 0);
+  if (!m || !Number.isInteger(size) || size <= 0) return { drop: 'bad_attach' };
+  const type = String(parsed.attach_type || '').trim().toLowerCase();
+  if (size > ATTACH_CONFIG.maxBytes) return { drop: 'attach_too_large' };
+  if (!ATTACH_CONFIG.types.includes(type)) return { drop: 'attach_type_blocked' };
+  const name = String(parsed.attach_name || '').trim().slice(0, ATTACH_NAME_MAX) || 'file';
+  return { url: `lumen://ipfs/${m[1]}`, name, type, size };
+}
+
+function attachFields(attach) {
+  return {
+    attach: attach.url,
+    attach_name: attach.name,
+    attach_type: attach.type,
+    attach_size: String(attach.size),
+  };
+}
+
+function cidFromSaveResult(res) {
+  const raw = String(res?.cid || res?.url || res?.cidOrUrl || '').trim();
+  const m = raw.match(/^(?:lumen:\/\/ipfs\/|ipfs:\/\/|\/ipfs\/|https?:\/\/[^/]+\/ipfs\/)?([A-Za-z0-9]{20,100})(?:[/?#].*)?$/);
+  return m ? m[1] : '';
+}
+
+function readFileAs(file, kind) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('Could not read the file'));
+    if (kind === 'dataUrl') reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+}
+
+// The host is handed a data: URL because a blob: URL is only readable from this page's origin.
+async function saveAttachment(file) {
+  const fn = L()?.save || L()?.pin;
+  if (!fn) throw new Error('Saving files is not available in this context');
+  const dataUrl = await readFileAs(file, 'dataUrl');
+  const res = await fn({ cidOrUrl: dataUrl, name: file.name });
+  if (!res?.ok) throw new Error(res?.error === 'user_cancelled' ? 'Upload cancelled' : res?.error || 'Upload failed');
+  const cid = cidFromSaveResult(res);
+  if (!cid) throw new Error('Upload returned no CID');
+  const name = String(file.name || '').trim().slice(0, ATTACH_NAME_MAX) || 'file';
+  return { url: `lumen://ipfs/${cid}`, name, type: String(file.type || '').toLowerCase(), size: Number(file.size || 0) };
+}
+
+let __gatewayBasePromise = null;
+async function getGatewayBase() {
+  if (__gatewayBasePromise) return __gatewayBasePromise;
+  __gatewayBasePromise = (async () => {
+    try {
+      const api = L();
+      if (api?.settingsGetAll) {
+        const res = await api.settingsGetAll();
+        const base = String(res?.settings?.localGatewayBase || '').trim();
+        if (base) return base.replace(/\/+$/, '');
+      }
+    } catch {}
+    try {
+      const u = new URL(String(document.querySelector('base[href]')?.href || location.href));
+      if (u.protocol === 'http:' || u.protocol === 'https:') return u.origin;
+    } catch {}
+    return 'http://127.0.0.1:8080';
+  })();
+  return __gatewayBasePromise;
+}
+
+async function resolveUrl(u) {
+  const raw = String(u || '').trim();
+  if (!raw) return '';
+  try {
+    if (L()?.resolveUrl) return await L().resolveUrl(raw);
+  } catch {}
+  if (/^https?:\/\//i.test(raw)) return raw;
+  if (/^lumen:\/\//i.test(raw)) {
+    const s = raw.replace(/^lumen:\/\//i, '');
+    const base = await getGatewayBase();
+    return base.replace(/\/+$/, '') + '/' + s.replace(/^\/+/, '');
+  }
+  return raw;
+}
+
+// Images preview inline; everything else is a download card. Clicks must not open the sender's user modal.
+function Attachment({ attach }) {
+  const [url, setUrl] = useState('');
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const resolved = await resolveUrl(attach.url);
+        if (alive) setUrl(resolved || '');
+      } catch {
+        if (alive) setUrl('');
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [attach.url]);
+  const stop = (e) => {
+    try { e.stopPropagation(); } catch {}
+  };
+  if (ATTACH_IMAGE_TYPES.includes(attach.type) && url) {
+    return React.createElement(
+      'a',
+      { className: 'attachImage', href: url, target: '_blank', rel: 'noopener noreferrer', onClick: stop, title: attach.name },
+      React.createElement('img', { src: url, alt: attach.name, loading: 'lazy' })
+    );
+  }
+  return React.createElement(
+    'a',
+    {
+      className: 'attachCard',
+      href: url || undefined,
+      download: attach.name,
+      target: '_blank',
+      rel: 'noopener noreferrer',
+      onClick: stop,
+    },
+    React.createElement('span', { className: 'attachIcon' }, '📎'),
+    React.createElement(
+      'span',
+      { className: 'attachInfo' },
+      React.createElement('span', { className: 'attachName' }, attach.name),
+      React.createElement('span', { className: 'attachMeta' }, `${attach.type} · ${formatBytes(attach.size)}`)
+    )
+  );
+}
+
+// Safe Markdown subset for chat text: ```code blocks```, `code`, **bold**, *italic* / _italic_, [label](url),
+// bare URLs and @mentions. The parser yields plain nodes that are rendered with React.createElement, never as HTML.
+const RICH_INLINE_RE = new RegExp(
+  [
+    '`(?<code>[^`\\n]+)`',
+    '\\*\\*(?<bold>[^*\\n]+?)\\*\\*',
+    '(?<![\\w*])\\*(?<em1>[^*\\s][^*\\n]*?)\\*(?![\\w*])',
+    '(?<![\\w_])_(?<em2>[^_\\s][^_\\n]*?)_(?![\\w_])',
+    '\\[(?<label>[^\\]\\n]{1,200})\\]\\((?<href>(?:https?|lumen)://[^\\s)]+)\\)',
+    '(?<url>(?:https?|lumen)://[^\\s<>"\'`]+)',
+    '(?<![\\p{L}\\p{N}_@])@(?<mention>[\\p{L}\\p{N}_.-]{1,64})',
+  ].join('|'),
+  'gu'
+);
+const RICH_FENCE_RE = /```(?:([\w+-]{1,20})\n|\n)?([\s\S]*?)```/g;
+const RICH_MAX_DEPTH = 3;
+
+function parseRichInline(text, depth = 0) {
+  const out = [];
+  const pushText = (t) => {
+    if (!t) return;
+    const prev = out[out.length - 1];
+    if (prev?.type === 'text') prev.text += t;
+    else out.push({ type: 'text', text: t });
+  };
+  const re = new RegExp(RICH_INLINE_RE.source, RICH_INLINE_RE.flags);
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    pushText(text.slice(last, m.index));
+    last = re.lastIndex;
+    const g = m.groups;
+    if (g.code != null) out.push({ type: 'code', text: g.code });
+    else if (g.bold != null || g.em1 != null || g.em2 != null) {
+      const inner = g.bold ?? g.em1 ?? g.em2;
+      const children = depth < RICH_MAX_DEPTH ? parseRichInline(inner, depth + 1) : [{ type: 'text', text: inner }];
+      out.push({ type: g.bold != null ? 'bold' : 'italic', children });
+    } else if (g.href != null) out.push({ type: 'link', href: g.href, label: g.label });
+    else if (g.url != null) {
+      // Sentence punctuation right after a pasted URL is not part of it.
+      const href = g.url.replace(/[.,;:!?)\]'"]+$/, '');
+      out.push({ type: 'link', href, label: '' });
+      last = m.index + href.length;
+      re.lastIndex = last;
+    } else if (g.mention != null) {
+      const name = g.mention.replace(/[.-]+$/, '');
+      out.push({ type: 'mention', name });
+      last = m.index + 1 + name.length;
+      re.lastIndex = last;
+    }
+  }
+  pushText(text.slice(last));
+  return out;
+}
+
+function parseRichText(text) {
+  const src = String(text || '');
+  const out = [];
+  const re = new RegExp(RICH_FENCE_RE.source, RICH_FENCE_RE.flags);
+  let last = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    // A block already breaks the line, so the newlines around it would only add blank lines.
+    if (m.index > last) out.push(...parseRichInline(src.slice(last, m.index).replace(/\n$/, '')));
+    out.push({ type: 'pre', lang: m[1] || '', text: m[2].replace(/\n$/, '') });
+    last = re.lastIndex + (src[re.lastIndex] === '\n' ? 1 : 0);
+  }
+  if (last < src.length) out.push(...parseRichInline(src.slice(last)));
+  return out;
+}
+
+function richMentions(nodes, out = []) {
+  for (const n of nodes) {
+    if (n.type === 'mention') out.push(n.name);
+    else if (n.children) richMentions(n.children, out);
+  }
+  return out;
+}
+
+// Whether `text` @mentions `addr`, by address or (case-insensitively) by the nick it goes by.
+function textMentions(text, addr, nick) {
+  if (!addr || !String(text || '').includes('@')) return false;
+  const n = String(nick || '').trim().toLowerCase();
+  return richMentions(parseRichText(text)).some((name) => name === addr || (!!n && name.toLowerCase() === n));
+}
+
+// Slash commands typed in the composer. Each entry is declarative: `args` is the usage shown by /help (a
+// `<required>` argument is checked before `run`), `room` marks commands that need a joined room rather than
+// a DM, and `run(ctx, arg)` gets the composer actions App builds (see `commandCtx`). Throw to report a failure.
+const SLASH_COMMANDS = [
+  { name: 'nick', args: '<name>', help: 'Change your display name and announce it', run: (ctx, arg) => ctx.setNick(arg) },
+  { name: 'join', args: '<room>', help: 'Join (or switch to) an open room', run: (ctx, arg) => ctx.join(arg) },
+  { name: 'leave', args: '', help: 'Leave the current room', room: true, run: (ctx) => ctx.leave() },
+  { name: 'block', args: '<nick|addr>', help: 'Block a user in this room', room: true, run: (ctx, arg) => ctx.block(arg) },
+  { name: 'unblock', args: '<nick|addr>', help: 'Unblock a user in this room', room: true, run: (ctx, arg) => ctx.unblock(arg) },
+  { name: 'me', args: '<action>', help: 'Send an action, shown as "* you <action>"', run: (ctx, arg) => ctx.send(`/me ${arg}`) },
+  { name: 'clear', args: '', help: 'Clear the timeline on screen (stored history is kept)', run: (ctx) => ctx.clear() },
+  { name: 'stats', args: '', help: 'Show the receive counters', run: (ctx) => ctx.stats() },
+  { name: 'export', args: '[md|json]', help: 'Download this room as Markdown or JSON', room: true, run: (ctx, arg) => ctx.exportRoom(arg) },
+  { name: 'help', args: '[command]', help: 'List the commands', run: (ctx, arg) => ctx.help(arg) },
+];
+
+function slashCommand(name) {
+  return SLASH_COMMANDS.find((c) => c.name === name) || null;
+}
+
+function slashUsage(c) {
+  return `/${c.name}${c.args ? ` ${c.args}` : ''}`;
+}
+
+// "/name rest" -> { name, arg }; null for ordinary text. "//text" is ordinary text that starts with "/text".
+function parseSlashCommand(text) {
+  const t = String(text || '').trim();
+  if (!t.startsWith('/') || t.startsWith('//')) return null;
+  const m = /^\/(\S*)(?:\s+([\s\S]*))?$/.exec(t);
+  return { name: String(m?.[1] || '').toLowerCase(), arg: String(m?.[2] || '').trim() };
+}
+
+// "/me waves" is sent as plain text and shown as an action; the action part, or '' for other text.
+function meAction(text) {
+  const m = /^\/me\s+([\s\S]+)$/.exec(String(text || ''));
+  return m ? m[1].trim() : '';
+}
+
+// Resolves a /block argument: an address, or a nick from `names` (addr -> nick), case-insensitive, with or
+// without a leading @. An ambiguous nick is an error rather than a guess.
+function resolveUserArg(arg, names) {
+  const q = String(arg || '').trim().replace(/^@/, '');
+  if (!q) throw new Error('Name a user');
+  if (Object.prototype.hasOwnProperty.call(names, q) || /^[a-z]{2,10}1[0-9a-z]{20,}$/.test(q)) return q;
+  const hits = Object.keys(names).filter((addr) => String(names[addr] || '').trim().toLowerCase() === q.toLowerCase());
+  if (!hits.length) throw new Error(`No one called "${q}" here`);
+  if (hits.length > 1) throw new Error(`${hits.length} users are called "${q}"; use the address`);
+  return hits[0];
+}
+
+// Tab completion at `caret`: the first word of a command completes command names, any other word completes
+// nicks (keeping a leading @). Returns the word being completed and its replacements, in order.
+function completionsAt(text, caret, nicks) {
+  const head = String(text || '').slice(0, caret);
+  const word = /\S*$/.exec(head)[0];
+  const start = head.length - word.length;
+  if (start === 0 && word.startsWith('/') && !word.startsWith('//')) {
+    const q = word.slice(1).toLowerCase();
+    return { start, word, options: SLASH_COMMANDS.filter((c) => c.name.startsWith(q)).map((c) => `/${c.name} `) };
+  }
+  const at = word.startsWith('@') ? '@' : '';
+  const q = word.slice(at.length).toLowerCase();
+  if (!q && !at) return { start, word, options: [] };
+  const seen = new Set();
+  const options = [];
+  for (const n of nicks) {
+    const v = String(n || '').trim();
+    const key = v.toLowerCase();
+    if (!v || seen.has(key) || !key.startsWith(q)) continue;
+    seen.add(key);
+    options.push(`${at}${v} `);
+  }
+  return { start, word, options: options.sort((a, b) => a.localeCompare(b)) };
+}
+
+// lumen:// links open through the gateway; the card says what kind of content they point at.
+function LumenLinkCard({ href, label }) {
+  const [url, setUrl] = useState('');
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const resolved = await resolveUrl(href);
+        if (alive) setUrl(resolved || '');
+      } catch {
+        if (alive) setUrl('');
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [href]);
+  const [head, ...rest] = href.replace(/^lumen:\/\//i, '').split('/');
+  const kind = head === 'ipfs' ? 'IPFS content' : head === 'ipns' ? 'IPNS name' : 'Lumen site';
+  const named = head === 'ipfs' || head === 'ipns' ? rest.shift() || head : head;
+  const path = rest.length ? `/${rest.join('/')}` : '';
+  return React.createElement(
+    'a',
+    {
+      className: 'attachCard linkCard',
+      href: url || undefined,
+      target: '_blank',
+      rel: 'noopener noreferrer',
+      title: href,
+      onClick: (e) => {
+        try { e.stopPropagation(); } catch {}
+      },
+    },
+    React.createElement('span', { className: 'attachIcon' }, head === 'ipfs' ? '📦' : head === 'ipns' ? '🔗' : '🌐'),
+    React.createElement(
+      'span',
+      { className: 'attachInfo' },
+      React.createElement('span', { className: 'attachName' }, label || named),
+      React.createElement('span', { className: 'attachMeta' }, `${kind}${label ? ` · ${named}` : ''}${path}`)
+    )
+  );
+}
+
+// `resolveMention(name)` -> addr or ''; `selfAddr` marks mentions of me; `onMention(addr)` handles clicks.
+function renderRichNodes(nodes, ctx, keyPrefix = '') {
+  const stop = (e) => {
+    try { e.stopPropagation(); } catch {}
+  };
+  return nodes.map((n, i) => {
+    const key = `${keyPrefix}${i}`;
+    if (n.type === 'text') return n.text;
+    if (n.type === 'code') return React.createElement('code', { key, className: 'mdCode' }, n.text);
+    if (n.type === 'pre') {
+      return React.createElement(
+        'pre',
+        { key, className: 'mdPre', onClick: stop, title: n.lang || null },
+        React.createElement('code', null, n.text)
+      );
+    }
+    if (n.type === 'bold') return React.createElement('strong', { key }, renderRichNodes(n.children, ctx, `${key}.`));
+    if (n.type === 'italic') return React.createElement('em', { key }, renderRichNodes(n.children, ctx, `${key}.`));
+    if (n.type === 'link') {
+      if (/^lumen:\/\//i.test(n.href)) return React.createElement(LumenLinkCard, { key, href: n.href, label: n.label });
+      return React.createElement('a', { key, href: n.href, target: '_blank', rel: 'noopener noreferrer nofollow', onClick: stop }, n.label || n.href);
+    }
+    if (n.type === 'mention') {
+      const addr = ctx.resolveMention(n.name);
+      if (!addr) return `@${n.name}`;
+      return React.createElement(
+        'span',
+        {
+          key,
+          className: addr === ctx.selfAddr ? 'mention me' : 'mention',
+          title: addr,
+          onClick: (e) => {
+            stop(e);
+            ctx.onMention(addr);
+          },
+        },
+        `@${n.name}`
+      );
+    }
+    return null;
+  });
+}
+
+const VIRTUAL_ROW_ESTIMATE_PX = 64;
+const VIRTUAL_OVERSCAN_PX = 800;
+const SCROLL_STICK_PX = 80; // this close to the bottom counts as "following" new messages
+const SCROLL_LOAD_OLDER_PX = 300;
+
+// Windowed rendering for the chat timeline: only rows near the viewport are mounted, the rest is padding.
+// Rows are measured once mounted and again when they resize; a row above the viewport that changes height
+// shifts scrollTop by the difference, and prepended rows shift it by their height, so reading isn't disturbed.
+// With no layout (clientHeight 0) every row is mounted.
+function useVirtualRows(scrollRef, listRef, keys, stickRef) {
+  const heightsRef = useRef(new Map()); // key -> measured px
+  const refFnsRef = useRef(new Map()); // key -> stable ref callback
+  const elsRef = useRef(new Map()); // key -> mounted element
+  const observerRef = useRef(null);
+  const layoutRef = useRef({ keys: [], offsets: [] });
+  const firstKeyRef = useRef('');
+  const [view, setView] = useState({ top: 0, height: 0 });
+  const [measured, setMeasured] = useState(0);
+
+  const offsets = new Array(keys.length);
+  let total = 0;
+  for (let i = 0; i < keys.length; i++) {
+    offsets[i] = total;
+    total += heightsRef.current.get(keys[i]) || VIRTUAL_ROW_ESTIMATE_PX;
+  }
+  layoutRef.current = { keys, offsets };
+
+  function listTop() {
+    const el = scrollRef.current;
+    const list = listRef.current;
+    if (!el || !list) return 0;
+    return list.getBoundingClientRect().top - el.getBoundingClientRect().top + el.scrollTop;
+  }
+
+  function syncView() {
+    const el = scrollRef.current;
+    if (!el) return;
+    const next = { top: el.scrollTop - listTop(), height: el.clientHeight };
+    setView((prev) => (prev.top === next.top && prev.height === next.height ? prev : next));
+  }
+
+  useEffect(() => {
+    if (typeof ResizeObserver !== 'function') return undefined;
+    const ro = new ResizeObserver((entries) => {
+      const el = scrollRef.current;
+      const { keys: ks, offsets: offs } = layoutRef.current;
+      let changed = false;
+      let shift = 0;
+      for (const e of entries) {
+        const key = e.target.dataset.rowKey;
+        const h = e.target.offsetHeight;
+        if (!key || !h) continue;
+        const prev = heightsRef.current.get(key) || VIRTUAL_ROW_ESTIMATE_PX;
+        if (prev === h) continue;
+        heightsRef.current.set(key, h);
+        changed = true;
+        const i = ks.indexOf(key);
+        if (el && i >= 0 && offs[i] + prev <= el.scrollTop - listTop()) shift += h - prev;
+      }
+      if (!changed) return;
+      if (el && shift && !stickRef.current) el.scrollTop += shift;
+      setMeasured((n) => n + 1);
+    });
+    observerRef.current = ro;
+    for (const node of elsRef.current.values()) ro.observe(node);
+    const onResize = () => syncView();
+    window.addEventListener('resize', onResize);
+    return () => {
+      ro.disconnect();
+      observerRef.current = null;
+      window.removeEventListener('resize', onResize);
+    };
+  }, []);
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    const prevFirst = firstKeyRef.current;
+    firstKeyRef.current = keys[0] || '';
+    const i = prevFirst ? keys.indexOf(prevFirst) : -1;
+    if (el && i > 0 && !stickRef.current) el.scrollTop += offsets[i];
+    const live = new Set(keys);
+    for (const k of Array.from(refFnsRef.current.keys())) if (!live.has(k)) refFnsRef.current.delete(k);
+    for (const k of Array.from(heightsRef.current.keys())) if (!live.has(k)) heightsRef.current.delete(k);
+    syncView();
+  }, [keys[0], keys.length]);
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (el && measured && stickRef.current) el.scrollTop = el.scrollHeight;
+  }, [measured]);
+
+  function rowRef(key) {
+    let fn = refFnsRef.current.get(key);
+    if (!fn) {
+      fn = (node) => {
+        const ro = observerRef.current;
+        const prev = elsRef.current.get(key);
+        if (prev && prev !== node) {
+          if (ro) ro.unobserve(prev);
+          elsRef.current.delete(key);
+        }
+        if (!node) return;
+        node.dataset.rowKey = key;
+        elsRef.current.set(key, node);
+        if (ro) ro.observe(node);
+      };
+      refFnsRef.current.set(key, fn);
+    }
+    return fn;
+  }
+
+  // Scrolls the row into the upper third of the viewport; it is mounted by the resulting scroll event.
+  function scrollToKey(key) {
+    const el = scrollRef.current;
+    const i = keys.indexOf(key);
+    if (!el || i < 0) return false;
+    el.scrollTop = Math.max(0, listTop() + offsets[i] - el.clientHeight / 3);
+    syncView();
+    return true;
+  }
+
+  let start = 0;
+  let end = keys.length;
+  if (view.height > 0 && keys.length) {
+    const lo = view.top - VIRTUAL_OVERSCAN_PX;
+    const hi = view.top + view.height + VIRTUAL_OVERSCAN_PX;
+    let a = 0;
+    let b = keys.length;
+    while (a < b) {
+      const mid = (a + b) >> 1;
+      const bottom = mid + 1 < keys.length ? offsets[mid + 1] : total;
+      if (bottom <= lo) a = mid + 1;
+      else b = mid;
+    }
+    start = a;
+    end = start;
+    while (end < keys.length && offsets[end] < hi) end += 1;
+  }
+  const padTop = start < keys.length ? offsets[start] : total;
+  const padBottom = end < keys.length ? total - offsets[end] : 0;
+  return { start, end, padTop, padBottom, rowRef, scrollToKey, onScroll: syncView };
+}
+
+const BASE_TITLE = document.title || 'PubSub Chat';
+
+function faviconHref(count) {
+  const label = count > 99 ? '99+' : String(count);
+  const badge = count
+    ? `<circle cx="44" cy="20" r="20" fill="#f87171"/><text x="44" y="27" font-size="${label.length > 2 ? 15 : 21}" font-family="sans-serif" font-weight="700" text-anchor="middle" fill="#fff">${label}</text>`
+    : '';
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect x="2" y="10" width="52" height="40" rx="12" fill="#1db954"/><path d="M14 50 L14 62 L28 50 Z" fill="#1db954"/>${badge}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+// Unread count in the tab title and as a badge on the favicon.
+function showUnreadBadge(count) {
+  try {
+    document.title = count ? `(${count > 99 ? '99+' : count}) ${BASE_TITLE}` : BASE_TITLE;
+    let link = document.querySelector('link[rel="icon"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'icon';
+      document.head.appendChild(link);
+    }
+    link.href = faviconHref(count);
+  } catch {}
+}
+
+function useToast() {
+  const [toast, setToast] = useState({ open: false, kind: 'info', title: '', message: '' });
   const timerRef = useRef(null);
 
-  function hide() {
-    setToast((t) => ({ ...t, open: false }));
+  function hide() {
+    setToast((t) => ({ ...t, open: false }));
+  }
+
+  function show(title, message, kind = 'info', ms = 2500) {
+    const t = String(title || '').trim();
+    const m = String(message || '').trim();
+    if (!t && !m) return;
+    setToast({ open: true, kind, title: t, message: m });
+    try {
+      if (timerRef.current) clearTimeout(timerRef.current);
+    } catch {}
+    timerRef.current = setTimeout(() => hide(), ms);
+  }
+
+  useEffect(() => {
+    return () => {
+      try {
+        if (timerRef.current) clearTimeout(timerRef.current);
+      } catch {}
+    };
+  }, []);
+
+  return { toast, show, hide };
+}
+
+function App() {
+  const [room, setRoom] = useState(() => loadJoinedRooms()[0]?.room || 'lobby');
+  const [nick, setNick] = useState(() => loadMyNick() || 'anon-' + randHex(3));
+  const [text, setText] = useState('');
+  const [status, setStatus] = useState({ connected: false, topic: '', subId: '', address: '', topics: [] });
+  const [err, setErr] = useState('');
+  const [peerCount, setPeerCount] = useState(0);
+  const [sending, setSending] = useState(false);
+  const [messages, setMessages] = useState([]); // {id, addr, kind, text, ts}
+  const [nameByAddr, setNameByAddr] = useState({}); // addr -> nick
+  const [rxStats, setRxStats] = useState({ total: 0, accepted: 0, dropped: 0, lastDrop: '' });
+  const [linkState, setLinkState] = useState('connected'); // worst LINK quality of the joined rooms
+  const [blockedByAddr, setBlockedByAddr] = useState(() => loadBlocklist(topicForRoom(room))); // addr -> {addr,name,blockedAt,reason}
+  const [userModal, setUserModal] = useState(null); // { addr }
+  const [keyMode, setKeyMode] = useState(() => loadJoinedRooms()[0]?.keyMode || 'open'); // open | password | invite
+  const [keySecret, setKeySecret] = useState('');
+  const [joinedRooms, setJoinedRooms] = useState(loadJoinedRooms); // [{ room, topic, keyMode, kid, live }]
+  const [roomMeta, setRoomMeta] = useState({}); // topic -> { unread, preview, ts }
+  const [joinDraft, setJoinDraft] = useState(''); // room name typed in "Join room" while connected
+  const [dmThreads, setDmThreads] = useState({}); // peer addr -> { peer, dh, nick, lastTs, unread }
+  const [dmMessages, setDmMessages] = useState({}); // peer addr -> [{id, addr, text, ts, encrypted}]
+  const [activeDm, setActiveDm] = useState(''); // peer addr while a DM thread is open
+  const [editingId, setEditingId] = useState(''); // id of my message being edited in the composer
+  const [pendingDeleteId, setPendingDeleteId] = useState(''); // first click arms, second click deletes
+  const [verifyById, setVerifyById] = useState({}); // msg id -> { ok, summary, detail } of the last re-verification
+  const [replyToId, setReplyToId] = useState(''); // id of the room message the composer replies to
+  const [openThreads, setOpenThreads] = useState({}); // parent id -> true while its replies are expanded
+  const [threadLoaded, setThreadLoaded] = useState({}); // parent id -> replies read back from IndexedDB
+  const [reactionRows, setReactionRows] = useState({}); // `${target}|${addr}|${emoji}` -> { target, addr, emoji, on, ts }
+  const [reactPickerId, setReactPickerId] = useState(''); // message whose emoji picker is open
+  const [powLevel, setPowLevel] = useState(null); // { bits, until } while the active room runs above POW_DIFFICULTY_BITS
+  const [modEvents, setModEvents] = useState([]); // accepted moderation events of the active room
+  const [roomConfig, setRoomConfig] = useState(null); // newest room_config of the active room
+  const [configForm, setConfigForm] = useState(null); // the owner's room settings being edited
+  const [pendingAttach, setPendingAttach] = useState(null); // { file, saved } picked in the composer; saved once uploaded
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchForm, setSearchForm] = useState({ query: '', author: '', since: '', until: '' }); // dates as yyyy-mm-dd
+  const [searchResults, setSearchResults] = useState(null); // null until the first search
+  const [searching, setSearching] = useState(false);
+  const [focusMsg, setFocusMsg] = useState(null); // { topic, id, ts, replyTo } of the search hit shown with its context
+  const [olderEnd, setOlderEnd] = useState(null); // { topic, ts }: nothing older than ts is stored for that room
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [awayFromBottom, setAwayFromBottom] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [retention, setRetention] = useState(loadRetention); // topic -> RETENTION_CHOICES id
+  const [storageOpen, setStorageOpen] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null); // { rooms: [{ topic, label, count, bytes, oldestTs }], usage, quota }
+  const [pendingPurgeTopic, setPendingPurgeTopic] = useState(''); // first click arms, second click deletes
+  const [compacting, setCompacting] = useState(false);
+  const [readReceipts, setReadReceipts] = useState(loadReadReceipts);
+  const [typingBy, setTypingBy] = useState({}); // addr -> ms until, peers typing in the active room
+  const [readMarks, setReadMarks] = useState({}); // addr -> msg id each peer has read up to in the active room
+  const [pageVisible, setPageVisible] = useState(() => document.visibilityState !== 'hidden');
+  const [myStatus, setMyStatus] = useState(loadMyStatus); // custom status text sent with profile and ping
+  const [away, setAway] = useState(false);
+  const [roster, setRoster] = useState([]); // [{ addr, lastSeenAt, lastActiveAt, away, status }] of the active room
+  const [notify, setNotify] = useState(loadNotifySettings);
+  const [notifyOpen, setNotifyOpen] = useState(false);
+  const [notifyPerm, setNotifyPerm] = useState(() => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission));
+  const [divider, setDivider] = useState(null); // { topic, ts }: "new messages" goes before the first peer message after ts
+  const { toast, show } = useToast();
+
+  const chatBodyRef = useRef(null);
+  const timelineRef = useRef(null);
+  const stickToBottomRef = useRef(true); // follow new messages only while the reader is at the bottom
+  const loadingOlderRef = useRef(false);
+  const lastViewRef = useRef(''); // `${topic}|${activeDm}` the scroll position belongs to
+  const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const retentionRef = useRef(retention);
+  const readSeenRef = useRef(null); // { topic, id } of the newest message on screen, for the next read receipt
+  const readTimerRef = useRef(null);
+  const myStatusRef = useRef(myStatus);
+  const awayRef = useRef(false);
+  const nickRef = useRef(nick); // for handlers bound when a room was joined
+  const tabCycleRef = useRef(null); // composer Tab completion in progress
+  const linkStateRef = useRef('connected');
+  const outboxRef = useRef(new Map()); // id -> outbox row of the connected signer, oldest first (see dbPutOutbox)
+  const flushingRef = useRef(false);
+  const notifyRef = useRef(notify);
+  const lastReadRef = useRef(loadLastRead());
+  const messagesTopicRef = useRef(''); // topic whose stored messages are loaded into `messages`
+  const focusRef = useRef(null); // focusMsg for the topic effect, which runs before state updates land
+  const focusScrollRef = useRef(''); // id to scroll into view once it is rendered
+  const connectSeqRef = useRef(0);
+  const lastSentAtRef = useRef(0);
+  const reactSentRef = useRef([]); // my own reaction timestamps
+  const roomsRef = useRef(new Map()); // topic -> session from createRoomSession, one per joined room
+  const dmGuardRef = useRef(createGuardState()); // shared by all DM subscriptions
+  const blockedByAddrRef = useRef({});
+  const lastPersistedNameRef = useRef(new Map()); // addr -> nick
+  const sendingRef = useRef(false);
+  const dmIdentityRef = useRef(null); // { addr, privateKey, pubB64 } from loadOrCreateDmIdentity
+  const dmKeyByPeerRef = useRef(new Map()); // peer addr -> { key, kid, topic, dh }
+  const dmSubsRef = useRef(new Map()); // peer addr -> { topic, unsubscribe }
+  const dhByAddrRef = useRef(new Map()); // addr -> announced ECDH public key
+  const activeDmRef = useRef('');
+  const selfAddrRef = useRef(''); // wallet address of this connection, for handlers created before status updates
+  const topicRef = useRef(topicForRoom(room));
+
+  const topic = useMemo(() => topicForRoom(room), [room]);
+
+  function sessionFor(t = topicRef.current) {
+    return roomsRef.current.get(t) || null;
+  }
+
+  // Unsubscribed or left rooms must not keep publishing from timers that were already scheduled.
+  function isLive(s) {
+    return !!s && !s.left && roomsRef.current.get(s.topic) === s;
+  }
+
+  function isActive(s) {
+    return !!s && s.topic === topicRef.current;
+  }
+
+  useEffect(() => {
+    topicRef.current = topic;
+    if (focusRef.current && focusRef.current.topic !== topic) {
+      focusRef.current = null;
+      setFocusMsg(null);
+    }
+    setUserModal(null);
+    setReplyToId('');
+    setOpenThreads({});
+    setThreadLoaded({});
+    setReactPickerId('');
+    setModEvents(sessionFor(topic)?.modEvents || []);
+    setRoomConfig(sessionFor(topic)?.config || loadRoomConfig(topic));
+    setConfigForm(null);
+    setTypingBy(typingOf(sessionFor(topic)));
+    setReadMarks(readMarksOf(sessionFor(topic)));
+    setRoster(rosterOf(sessionFor(topic)));
+    setDivider({ topic, ts: Number(lastReadRef.current[topic] || 0) || 0 });
+    const lvl = livePowLevel(sessionFor(topic));
+    setPowLevel(lvl ? { bits: lvl.bits, until: lvl.until } : null);
+    setPeerCount(0);
+    setRoomMeta((prev) => (prev[topic]?.unread ? { ...prev, [topic]: { ...prev[topic], unread: 0 } } : prev));
+  }, [topic]);
+
+  useEffect(() => {
+    const next = loadBlocklist(topic);
+    setBlockedByAddr(next);
+  }, [topic]);
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const focus = focusRef.current?.topic === topic ? focusRef.current : null;
+        const [names, msgs, reactions, modLog] = await Promise.all([
+          dbGetNames(topic).catch(() => ({})),
+          (focus ? dbGetMessagesAround(topic, focus.ts) : dbGetRecentMessages(topic, MESSAGE_PAGE_SIZE)).catch(() => []),
+          dbGetReactions(topic).catch(() => []),
+          dbGetModEvents(topic).catch(() => []),
+        ]);
+        if (!alive) return;
+        const blocked = loadBlocklist(topic);
+        lastPersistedNameRef.current = new Map(Object.entries(names || {}));
+        setNameByAddr(names || {});
+        setMessages(withOutbox(Array.isArray(msgs) ? msgs.filter((m) => !blocked[String(m?.addr || '').trim()]) : [], topic));
+        messagesTopicRef.current = topic;
+        setOlderEnd(!focus && msgs.length < MESSAGE_PAGE_SIZE ? { topic, ts: Infinity } : null);
+        if (focus?.replyTo) setOpenThreads({ [focus.replyTo]: true });
+        setReactionRows(Object.fromEntries(reactions.map((r) => [reactionKey(r.target, r.addr, r.emoji), r])));
+        // A joined room's live chain is authoritative; the stored one is shown while browsing offline.
+        setModEvents(sessionFor(topic)?.modEvents || modLog);
+      } catch {}
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [topic]);
+
+  useEffect(() => {
+    blockedByAddrRef.current = blockedByAddr || {};
+    saveBlocklist(topicRef.current, blockedByAddrRef.current);
+    const s = sessionFor();
+    if (s) s.blocked = blockedByAddrRef.current;
+  }, [blockedByAddr]);
+
+  useEffect(() => {
+    const blocked = blockedByAddr || {};
+    setMessages((prev) => prev.filter((m) => !blocked[String(m?.addr || '').trim()]));
+  }, [blockedByAddr]);
+
+  useEffect(() => {
+    saveJoinedRooms(joinedRooms);
+  }, [joinedRooms]);
+
+  useEffect(() => {
+    retentionRef.current = retention;
+    saveRetention(retention);
+  }, [retention]);
+
+  useEffect(() => {
+    saveReadReceipts(readReceipts);
+  }, [readReceipts]);
+
+  useEffect(() => {
+    notifyRef.current = notify;
+    saveNotifySettings(notify);
+  }, [notify]);
+
+  // Back on the tab: what arrived meanwhile counts as read, and the divider marks where reading stopped.
+  useEffect(() => {
+    if (!pageVisible) return;
+    const t = topicRef.current;
+    setRoomMeta((prev) => (prev[t]?.unread ? { ...prev, [t]: { ...prev[t], unread: 0 } } : prev));
+    const peer = activeDmRef.current;
+    if (peer) setDmThreads((prev) => (prev[peer]?.unread ? { ...prev, [peer]: { ...prev[peer], unread: 0 } } : prev));
+    setDivider({ topic: t, ts: Number(lastReadRef.current[t] || 0) || 0 });
+  }, [pageVisible]);
+
+  // The last-read position only moves while the newest messages are actually on screen.
+  useEffect(() => {
+    if (!pageVisible || awayFromBottom || focusMsg || activeDm || messagesTopicRef.current !== topic) return;
+    let newest = 0;
+    for (const m of messages) if (m.kind !== 'system') newest = Math.max(newest, Number(m.ts || 0) || 0);
+    if (newest <= Number(lastReadRef.current[topic] || 0)) return;
+    lastReadRef.current = { ...lastReadRef.current, [topic]: newest };
+    saveLastRead(lastReadRef.current);
+  }, [messages, topic, pageVisible, awayFromBottom, focusMsg, activeDm]);
+
+  useEffect(() => {
+    const onVisibility = () => setPageVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => document.removeEventListener('visibilitychange', onVisibility);
+  }, []);
+
+  // Typing indicators expire on their own; a peer who stops typing sends nothing.
+  useEffect(() => {
+    const untils = Object.values(typingBy);
+    if (!untils.length) return;
+    const t = setTimeout(() => setTypingBy(typingOf(sessionFor())), Math.max(0, Math.min(...untils) - nowMs()) + 50);
+    return () => clearTimeout(t);
+  }, [typingBy]);
+
+  // Read receipt for the newest peer message while it is really on screen: tab visible, reader at the bottom.
+  // The timer is not reset by new messages, so a busy room still gets a receipt every READ_SEND_DELAY_MS.
+  useEffect(() => {
+    const s = sessionFor(topic);
+    let seen = null;
+    if (readReceipts && status.connected && !activeDm && !focusMsg && pageVisible && !awayFromBottom && isLive(s)) {
+      for (const m of messages) {
+        if (m.kind === 'system' || m.addr === status.address || m.deleted) continue;
+        if (!seen || Number(m.ts || 0) >= Number(seen.ts || 0)) seen = m;
+      }
+    }
+    readSeenRef.current = seen && s.readSent !== seen.id ? { topic, id: seen.id } : null;
+    if (!readSeenRef.current || readTimerRef.current) return;
+    readTimerRef.current = setTimeout(() => {
+      readTimerRef.current = null;
+      const cur = readSeenRef.current;
+      const target = cur ? sessionFor(cur.topic) : null;
+      if (!isLive(target) || target.readSent === cur.id) return;
+      target.readSent = cur.id;
+      void publishSigned('read', { msg: cur.id }, target.topic).catch(() => {
+        if (target.readSent === cur.id) target.readSent = '';
+      });
+    }, READ_SEND_DELAY_MS);
+  }, [messages, topic, readReceipts, status.connected, status.address, activeDm, focusMsg, pageVisible, awayFromBottom]);
+
+  useEffect(() => () => clearTimeout(readTimerRef.current), []);
+
+  // Background compaction: shortly after start, then periodically, every room with a retention policy is trimmed.
+  useEffect(() => {
+    const first = setTimeout(() => void compactRooms(), COMPACT_FIRST_DELAY_MS);
+    const timer = setInterval(() => void compactRooms(), COMPACT_INTERVAL_MS);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+  }, []);
+
+  function canSendNow() {
+    const now = nowMs();
+    return now - lastSentAtRef.current >= 1000;
+  }
+
+  function scrollToBottom() {
+    try {
+      const el = chatBodyRef.current;
+      if (!el) return;
+      el.scrollTop = el.scrollHeight;
+    } catch {}
+  }
+
+  // Opening another room or thread starts at the bottom; after that only a reader who is already there is moved.
+  const activeDmCount = activeDm ? (dmMessages[activeDm] || []).length : 0;
+  useEffect(() => {
+    const view = `${topic}|${activeDm}`;
+    if (lastViewRef.current !== view) {
+      lastViewRef.current = view;
+      stickToBottomRef.current = true;
+      setAwayFromBottom(false);
+    }
+    if (stickToBottomRef.current) scrollToBottom();
+  }, [messages, activeDm, activeDmCount, topic]);
+
+  function onChatScroll() {
+    const el = chatBodyRef.current;
+    if (!el) return;
+    virtual.onScroll();
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight <= SCROLL_STICK_PX;
+    stickToBottomRef.current = atBottom;
+    setAwayFromBottom(!atBottom);
+    if (el.scrollTop <= SCROLL_LOAD_OLDER_PX) void loadOlder();
+  }
+
+  function jumpToBottom() {
+    stickToBottomRef.current = true;
+    setAwayFromBottom(false);
+    scrollToBottom();
+  }
+
+  // Prepends the previous page of the active room; the virtual list keeps the rows on screen where they were.
+  async function loadOlder() {
+    const t = topicRef.current;
+    const oldestTs = Number(messages.find((m) => m.kind !== 'system')?.ts || 0) || 0;
+    if (activeDm || loadingOlderRef.current || !oldestTs) return;
+    // The stored row sorting first among those sharing the oldest timestamp bounds the page.
+    const oldestPk = messages
+      .filter((m) => m.kind !== 'system' && (Number(m.ts || 0) || 0) === oldestTs)
+      .map((m) => `${t}|${m.id}`)
+      .sort()[0];
+    if (olderEnd?.topic === t && oldestTs <= olderEnd.ts) return;
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const rows = await dbGetMessagesBefore(t, oldestTs, MESSAGE_PAGE_SIZE, oldestPk);
+      if (topicRef.current !== t) return;
+      const blocked = blockedByAddrRef.current || {};
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.id));
+        const older = rows.filter((r) => !known.has(r.id) && !blocked[r.addr]);
+        return older.length ? older.concat(prev) : prev;
+      });
+      if (rows.length < MESSAGE_PAGE_SIZE) setOlderEnd({ topic: t, ts: oldestTs });
+    } catch {
+      // stay where we are; the next scroll retries
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }
+
+  useEffect(() => {
+    nickRef.current = nick;
+    saveMyNick(nick);
+  }, [nick]);
+
+  useEffect(() => {
+    myStatusRef.current = myStatus;
+    saveMyStatus(myStatus);
+  }, [myStatus]);
+
+  // Away follows tab visibility and is announced to every joined room.
+  useEffect(() => {
+    if (!status.connected) return;
+    const next = !pageVisible;
+    if (next === awayRef.current) return;
+    const t = setTimeout(() => {
+      awayRef.current = next;
+      setAway(next);
+      void announceProfile();
+    }, next ? AWAY_AFTER_HIDDEN_MS : 0);
+    return () => clearTimeout(t);
+  }, [pageVisible, status.connected]);
+
+  useEffect(() => {
+    if (status.address) updateName(status.address, nick);
+  }, [status.address, nick]);
+
+  useEffect(() => {
+    sendingRef.current = sending;
+  }, [sending]);
+
+  useEffect(() => {
+    activeDmRef.current = activeDm;
+  }, [activeDm]);
+
+  useEffect(() => {
+    if (status.address) saveDmThreads(status.address, dmThreads);
+  }, [dmThreads, status.address]);
+
+  async function getActiveProfile() {
+    const api = T();
+    if (!api?.profiles?.getActive) throw new Error('lumen.profiles.getActive unavailable');
+    const p = await api.profiles.getActive();
+    const profileId = String(p?.id || '').trim();
+    const address = String(p?.walletAddress || p?.address || '').trim();
+    if (!profileId || !address) throw new Error('No active wallet profile');
+    return { profileId, address };
+  }
+
+  async function signPayload(profileId, address, payload) {
+    const api = T();
+    if (!api?.wallet?.signArbitrary) throw new Error('lumen.wallet.signArbitrary unavailable');
+    const res = await api.wallet.signArbitrary({ profileId, address, algo: 'ADR-036', payload });
+    if (!res?.ok) throw new Error(res?.error || 'sign failed');
+    return res;
+  }
+
+  async function verifyPayload(payload, signatureB64, pubkeyB64, address) {
+    const api = T();
+    if (!api?.wallet?.verifyArbitrary) throw new Error('lumen.wallet.verifyArbitrary unavailable');
+    const res = await api.wallet.verifyArbitrary({
+      algo: 'ADR-036',
+      payload,
+      signatureB64,
+      pubkeyB64,
+      address,
+    });
+    const signatureValid = !!(res && (res.signatureValid ?? res.ok));
+    const addressMatches = !!(res && (res.addressMatches ?? res.ok));
+    const derivedAddress = String((res && (res.derivedAddress || res.derivedAddr)) || '').trim();
+    const error = res && res.error ? String(res.error) : '';
+    return { ok: !!(res && res.ok), signatureValid, addressMatches, derivedAddress, error };
+  }
+
+  // Shape, room, nonce, PoW and signature checks shared by every subscription.
+  // Resolves to { ok: true, parsed, nonce, canonicalAddr, msgId, envelope, powBits } or { ok: false, drop }.
+  async function verifyEnvelope(m, expectedTopic, minBits = POW_DIFFICULTY_BITS) {
+    return await runPipeline(ENVELOPE_STAGES, m, { topic: expectedTopic, minBits, powZeros, verify: verifyPayload });
+  }
+
+  // Difficulty for a room right now (see powBitsAt): what we mine at, or with `enforce` what we require.
+  function roomPowBits(s, { enforce = false } = {}) {
+    const config = s?.config?.powBits ? { powBits: s.config.powBits, since: s.configSince } : null;
+    return powBitsAt(nowMs(), { base: POW_DIFFICULTY_BITS, config, level: s?.powLevel, raise: s?.powRaise }, { enforce });
+  }
+
+  // The higher of the staff level and our own raise while either lasts: what we mine at and advertise.
+  function livePowLevel(s) {
+    const now = nowMs();
+    const live = [s?.powLevel, s?.powRaise].filter((l) => l && l.until > now);
+    return live.reduce((a, b) => (!a || b.bits > a.bits ? b : a), null);
+  }
+
+  function myPowFields(s) {
+    const lvl = livePowLevel(s);
+    return lvl ? { pow_bits: String(lvl.bits), pow_until: String(lvl.until) } : {};
+  }
+
+  // `field` is powLevel for a level from staff, powRaise for our own send-side raise.
+  function adoptPowLevel(s, bits, until, field = 'powLevel') {
+    const now = nowMs();
+    const cur = s[field] && s[field].until > now ? s[field] : null;
+    if (until <= now || (cur && (cur.bits > bits || (cur.bits === bits && cur.until >= until)))) return false;
+    s[field] = { bits, until, since: cur && cur.bits === bits ? cur.since : now };
+    if (isActive(s)) {
+      const lvl = livePowLevel(s);
+      setPowLevel({ bits: lvl.bits, until: lvl.until });
+    }
+    return true;
+  }
+
+  function showPowRaise(s, bits) {
+    const where = isActive(s) ? 'Room' : `#${s.room}`;
+    show('Spam protection', `${where} proof-of-work raised to ${bits} bits`, 'warning', 2600);
+  }
+
+  // pow_bits/pow_until ride on pow_level and profile payloads; an advert must itself carry the work it asks for.
+  // Only the owner and moderators raise the room for everyone: from anyone else one mined envelope would slow
+  // every honest sender down, so their advert only counts as one more sign of spam (see notePowPressure).
+  function acceptPowLevel(s, checked) {
+    const { parsed, powBits, canonicalAddr } = checked;
+    const bits = Number(parsed.pow_bits || 0);
+    const until = Number(parsed.pow_until || 0) || 0;
+    const now = nowMs();
+    if (!Number.isInteger(bits) || bits <= POW_DIFFICULTY_BITS || bits > POW_MAX_BITS) return { drop: 'bad_pow_level' };
+    if (until <= now || until - now > POW_LEVEL_MAX_TTL_MS) return { drop: 'bad_pow_level' };
+    if (powBits < bits) return { drop: 'pow_level_underpaid' };
+    if (now - (s.powAdvertAt.get(canonicalAddr) || 0) < POW_ADVERT_MIN_INTERVAL_MS) return { ok: true };
+    s.powAdvertAt.set(canonicalAddr, now);
+    if (!isRoomStaff(s, canonicalAddr)) {
+      notePowPressure(s);
+      return { ok: true };
+    }
+    if (adoptPowLevel(s, bits, until)) showPowRaise(s, bits);
+    return { ok: true };
+  }
+
+  // Enough spam drops in a short window raise the room's difficulty and advertise it. Only a staff raise is
+  // adopted by peers, so anyone else raises what they mine at but keeps accepting the level the room runs at.
+  function notePowPressure(s) {
+    const now = nowMs();
+    const recent = s.powPressure.filter((t) => now - t < POW_PRESSURE_WINDOW_MS);
+    recent.push(now);
+    s.powPressure = recent;
+    if (recent.length < POW_PRESSURE_THRESHOLD || now - s.powRaisedAt < POW_RAISE_COOLDOWN_MS) return;
+    s.powRaisedAt = now;
+    s.powPressure = [];
+    const bits = Math.min(POW_MAX_BITS, roomPowBits(s) + POW_STEP_BITS);
+    const field = isRoomStaff(s, selfAddrRef.current) ? 'powLevel' : 'powRaise';
+    if (!adoptPowLevel(s, bits, now + POW_LEVEL_TTL_MS, field)) return;
+    showPowRaise(s, bits);
+    void publishSigned('pow_level', myPowFields(s), s.topic).catch(() => {});
+  }
+
+  // Names are kept per room; a background room only persists them until it is opened.
+  function updateName(address, nextNick, s = null) {
+    const addr = String(address || '').trim();
+    const nn = String(nextNick || '').trim().slice(0, 22);
+    if (!addr || !nn) return;
+    if (s && !isActive(s)) {
+      if (s.names.get(addr) === nn) return;
+      s.names.set(addr, nn);
+      void dbPutName(s.topic, addr, nn, nowMs()).catch(() => {});
+      return;
+    }
+    sessionFor()?.names.set(addr, nn);
+    setNameByAddr((prev) => {
+      if (prev[addr] === nn) return prev;
+      return { ...prev, [addr]: nn };
+    });
+    const last = lastPersistedNameRef.current.get(addr) || '';
+    if (last !== nn) {
+      lastPersistedNameRef.current.set(addr, nn);
+      void dbPutName(topicRef.current, addr, nn, nowMs()).catch(() => {});
+    }
+  }
+
+  function isBlocked(address, s = null) {
+    const addr = String(address || '').trim();
+    if (!addr) return false;
+    return !!(s && !isActive(s) ? s.blocked : blockedByAddrRef.current)[addr];
+  }
+
+  function blockUser(address, reason = 'manual', displayName, s = null) {
+    const addr = String(address || '').trim();
+    if (!addr) return;
+    if (addr && status.address && addr === status.address) return;
+    if (s && !isActive(s)) {
+      // Auto-block in a background room: its blocklist is not the one on screen.
+      if (s.blocked[addr]) return;
+      s.blocked = { ...s.blocked, [addr]: { addr, name: String(displayName || 'anon').slice(0, 22) || 'anon', blockedAt: nowMs(), reason: String(reason || 'manual') } };
+      saveBlocklist(s.topic, s.blocked);
+      s.presence.delete(addr);
+      return;
+    }
+
+    const display = String(displayName || nameByAddr[addr] || 'anon')
+      .trim()
+      .slice(0, 22) || 'anon';
+    const ts = nowMs();
+    setBlockedByAddr((prev) => {
+      if (prev && prev[addr]) return prev;
+      const next = { ...(prev || {}) };
+      next[addr] = { addr, name: display, blockedAt: ts, reason: String(reason || 'manual') };
+      return next;
+    });
+
+    setMessages((prev) => prev.filter((m) => m.addr !== addr));
+    try {
+      sessionFor()?.presence.delete(addr);
+      syncRoster(sessionFor());
+    } catch {}
+    show('User blocked', `${shortAddr(addr)} blocked in this room`, 'info', 2200);
+  }
+
+  function unblockUser(address) {
+    const addr = String(address || '').trim();
+    if (!addr) return;
+    setBlockedByAddr((prev) => {
+      if (!prev || !prev[addr]) return prev || {};
+      const next = { ...prev };
+      delete next[addr];
+      return next;
+    });
+    show('User unblocked', `${shortAddr(addr)} can speak again in this room`, 'success', 2200);
+  }
+
+  function setModLog(s, list) {
+    s.modEvents = list;
+    s.modState = replayModLog(roomOwnerOf(s.topic), list);
+    if (isActive(s)) setModEvents(list);
+  }
+
+  function isBanned(s, address) {
+    return s.modState.bans.has(String(address || '').trim());
+  }
+
+  // Keeps a verified moderation event only if it is authorised when replayed with the rest of the chain.
+  // `live` is false for events carried by a history reply, which are older than our clock by nature.
+  function handleModEvent(s, checked, { live = true } = {}) {
+    const { parsed, canonicalAddr, msgId } = checked;
+    const who = String(parsed.who || '').trim();
+    if (!isLikelyLmnAddress(who)) return { drop: 'bad_mod_target' };
+    const owner = roomOwnerOf(s.topic);
+    if (!owner) return { drop: 'no_room_owner' };
+    if (s.modEvents.some((e) => e.id === msgId)) return { ok: true };
+    if (s.modEvents.length >= MOD_LOG_MAX) return { drop: 'mod_log_full' };
+    const newestTs = s.modEvents.reduce((max, e) => Math.max(max, e.ts), 0);
+    const at = modEventTime(parsed.ts, nowMs(), { live, newestTs });
+    if (at.drop) return { drop: at.drop };
+    const ev = {
+      id: msgId,
+      type: String(parsed.type || ''),
+      actor: canonicalAddr,
+      who,
+      ts: at.ts,
+      envelope: checked.envelope,
+    };
+    const next = s.modEvents.concat(ev);
+    if (!replayModLog(owner, next).log.find((e) => e.id === msgId)?.applied) return { drop: 'mod_not_authorized' };
+    setModLog(s, next);
+    void dbPutModEvent(s.topic, ev).catch(() => {});
+    return { ok: true, ev };
+  }
+
+  function modEventLine(ev) {
+    const label = (addr) => `${String(nameByAddr[addr] || 'anon').slice(0, 22)} (${shortAddr(addr)})`;
+    const verb = { mod_add: 'made', mod_remove: 'removed', ban: 'banned', unban: 'unbanned' }[ev.type] || ev.type;
+    const tail = ev.type === 'mod_add' ? ' a moderator' : ev.type === 'mod_remove' ? ' as moderator' : '';
+    return `${label(ev.actor)} ${verb} ${label(ev.who)}${tail}.`;
+  }
+
+  // Owner and moderators are not held to slow mode.
+  function isRoomStaff(s, address) {
+    const addr = String(address || '').trim();
+    return !!addr && (addr === s.modState.owner || (s.modState.mods.has(addr) && !s.modState.bans.has(addr)));
+  }
+
+  function roomTextMax(s) {
+    return s?.config?.maxLen || MSG_TEXT_MAX;
+  }
+
+  function roomSlowMs(s) {
+    return (s?.config?.slowS || 0) * 1000;
+  }
+
+  // How long until we may post the next message in the room under its slow mode.
+  function slowModeWait(s, now = nowMs()) {
+    const slowMs = roomSlowMs(s);
+    if (!slowMs || isRoomStaff(s, selfAddrRef.current)) return 0;
+    return Math.max(0, s.lastChatAt + slowMs - now);
+  }
+
+  // Adopts a verified room_config if the room's owner signed it and it is newer than the one we have.
+  function handleRoomConfig(s, checked) {
+    const { parsed, canonicalAddr, msgId } = checked;
+    const owner = roomOwnerOf(s.topic);
+    if (!owner) return { drop: 'no_room_owner' };
+    if (canonicalAddr !== owner) return { drop: 'config_not_owner' };
+    const cfg = roomConfigFrom(parsed);
+    const ts = Number(parsed.ts || 0) || 0;
+    if (!cfg || !ts || ts - nowMs() > ROOM_CONFIG_SKEW_MS) return { drop: 'bad_room_config' };
+    const rec = { id: msgId, actor: canonicalAddr, ts, envelope: checked.envelope, ...cfg };
+    if (!isNewerRoomConfig(rec, s.config)) return { ok: true };
+    if (cfg.powBits > (s.config?.powBits || 0)) s.configSince = nowMs();
+    s.config = rec;
+    saveRoomConfig(s.topic, rec);
+    if (isActive(s)) setRoomConfig(rec);
+    return { ok: true, rec };
+  }
+
+  function roomConfigLine(rec) {
+    const limits = [
+      rec.maxLen ? `max ${rec.maxLen} characters` : '',
+      rec.slowS ? `slow mode ${rec.slowS}s` : '',
+      rec.powBits ? `proof-of-work ${rec.powBits} bits` : '',
+    ].filter(Boolean);
+    const who = `${String(nameByAddr[rec.actor] || 'anon').slice(0, 22)} (${shortAddr(rec.actor)})`;
+    return `${who} updated the room settings${limits.length ? `: ${limits.join(', ')}` : ''}.`;
+  }
+
+  async function publishRoomConfig(form) {
+    const s = sessionFor();
+    if (!status.connected || !s) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    if (!s.modState.owner || s.modState.owner !== selfAddrRef.current) {
+      show('Not allowed', 'Only the room owner can change its settings', 'warning', 2400);
+      return;
+    }
+    const cfg = roomConfigFrom(roomConfigFields(form));
+    if (!cfg) {
+      show(
+        'Invalid settings',
+        `Title ≤ ${ROOM_TITLE_MAX}, description ≤ ${ROOM_DESC_MAX}, rules ≤ ${ROOM_RULES_MAX} characters; max length ≤ ${ROOM_TEXT_MAX_LIMIT}; slow mode ≤ ${ROOM_SLOW_MAX_S}s`,
+        'warning',
+        3200
+      );
+      return;
+    }
+    if (!canSendNow()) {
+      show('Slow down', '1 message per second', 'warning', 1600);
+      return;
+    }
+    lastSentAtRef.current = nowMs();
+    try {
+      const res = await publishSigned('room_config', roomConfigFields(cfg), s.topic);
+      const msgId = `${res.address}:${res.nonce}`;
+      s.seenMsgIds.add(msgId);
+      markSeenNonce(s, res.address, res.nonce);
+      const out = handleRoomConfig(s, { parsed: decodePayload(res.payload), canonicalAddr: res.address, msgId, envelope: res.envelope });
+      if (out.drop) {
+        show('Not allowed', out.drop, 'warning', 2400);
+        return;
+      }
+      if (out.rec) pushMessage({ id: `sys:config:${msgId}`, kind: 'system', event: 'config', text: roomConfigLine(out.rec), ts: nowMs(), persist: false }, s.topic);
+      setConfigForm(null);
+    } catch (e) {
+      show('Publish failed', String(e?.message || e || 'unknown error'), 'error', 2800);
+    }
+  }
+
+  async function publishModEvent(type, who) {
+    const s = sessionFor();
+    if (!status.connected || !s) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    if (!canSendNow()) {
+      show('Slow down', '1 message per second', 'warning', 1600);
+      return;
+    }
+    lastSentAtRef.current = nowMs();
+    try {
+      const res = await publishSigned(type, { who }, s.topic);
+      const msgId = `${res.address}:${res.nonce}`;
+      s.seenMsgIds.add(msgId);
+      markSeenNonce(s, res.address, res.nonce);
+      const out = handleModEvent(s, { parsed: decodePayload(res.payload), canonicalAddr: res.address, msgId, envelope: res.envelope });
+      if (out.drop) show('Not allowed', out.drop, 'warning', 2400);
+      else if (out.ev) pushMessage({ id: `sys:mod:${msgId}`, kind: 'system', event: 'mod', text: modEventLine(out.ev), ts: nowMs(), persist: false }, s.topic);
+      setUserModal(null);
+    } catch (e) {
+      show('Moderation failed', String(e?.message || e || 'unknown error'), 'error', 2800);
+    }
+  }
+
+  async function claimRoom() {
+    try {
+      const { address } = await getActiveProfile();
+      const base = String(room || 'lobby').trim().toLowerCase().split('@')[0] || 'lobby';
+      setRoom(`${base}@${address}`);
+    } catch (e) {
+      show('No wallet', String(e?.message || e || 'Could not read the active profile'), 'error', 2400);
+    }
+  }
+
+  function openUserModalFor(address) {
+    const addr = String(address || '').trim();
+    if (!addr) return;
+    if (addr && status.address && addr === status.address) return;
+    setUserModal({ addr });
+  }
+
+  // A message for a background room is only stored and counted as unread; it shows up when the room is opened.
+  function pushMessage(entry, msgTopic = topicRef.current) {
+    const background = msgTopic !== topicRef.current;
+    if (!background) {
+      setMessages((prev) => {
+        const next = prev.length >= MESSAGES_IN_MEMORY_MAX ? prev.slice(prev.length - MESSAGES_IN_MEMORY_MAX + 1) : prev.slice();
+        next.push(entry);
+        return next;
+      });
+    }
+    if (entry && (entry.kind === 'system' || entry.persist === false)) return;
+    const unseen = background || (document.visibilityState === 'hidden' && entry.addr !== selfAddrRef.current);
+    noteRoomActivity(msgTopic, [entry], unseen);
+    void dbPutMessage(msgTopic, entry).catch(() => {});
+  }
+
+  // Updates the room list's preview (newest message) and unread count for a joined room.
+  function noteRoomActivity(roomTopic, entries, unread) {
+    const s = roomsRef.current.get(roomTopic);
+    const last = entries.reduce((a, b) => (!a || Number(b?.ts || 0) >= Number(a.ts || 0) ? b : a), null);
+    if (!s || !last) return;
+    const preview = { id: last.id, who: s.names.get(last.addr) || 'anon', body: roomPreviewBody(last), ts: Number(last.ts || 0) || nowMs() };
+    setRoomMeta((prev) => {
+      const cur = prev[roomTopic] || { unread: 0, ts: 0 };
+      const next = { ...cur, unread: Number(cur.unread || 0) + (unread ? entries.length : 0) };
+      return { ...prev, [roomTopic]: preview.ts >= Number(cur.ts || 0) ? { ...next, ...preview } : next };
+    });
+  }
+
+  function pushPresenceEvent(s, event, address) {
+    const ev = String(event || '').trim();
+    const addr = String(address || '').trim();
+    if (!ev || !addr || !isActive(s)) return;
+    const ts = nowMs();
+    pushMessage({ id: `sys:${ev}:${addr}:${ts}`, kind: 'system', event: ev, addr, ts, persist: false });
+  }
+
+  // Status text and away ride on profile and ping, so peers who join later learn them within a heartbeat.
+  function myPresenceFields() {
+    const text = cleanStatusText(myStatusRef.current);
+    return { ...(text ? { status: text } : {}), ...(awayRef.current ? { away: '1' } : {}) };
+  }
+
+  function rosterOf(s) {
+    return s ? Array.from(s.presence, ([addr, rec]) => ({ addr, ...rec })) : [];
+  }
+
+  function syncRoster(s) {
+    if (isActive(s)) setRoster(rosterOf(s));
+  }
+
+  function typingOf(s) {
+    if (!s) return {};
+    const now = nowMs();
+    for (const [addr, until] of s.typing) if (until <= now) s.typing.delete(addr);
+    return Object.fromEntries(s.typing);
+  }
+
+  function readMarksOf(s) {
+    return s ? Object.fromEntries(Array.from(s.readUpTo, ([addr, r]) => [addr, r.id])) : {};
+  }
+
+  function setPeerTyping(s, address, until) {
+    if (until) s.typing.set(address, until);
+    else if (!s.typing.delete(address)) return;
+    if (isActive(s)) setTypingBy(typingOf(s));
+  }
+
+  // `typing` only shows an indicator for a few seconds, so a late one is dropped rather than shown.
+  function handleTyping(s, checked) {
+    const ts = Number(checked.parsed.ts || 0) || 0;
+    if (Math.abs(nowMs() - ts) > TYPING_SHOW_MS) return { drop: 'stale_typing' };
+    if (checked.canonicalAddr !== selfAddrRef.current) setPeerTyping(s, checked.canonicalAddr, nowMs() + TYPING_SHOW_MS);
+    return { ok: true };
+  }
+
+  // A reader's newest receipt (by its signed ts) replaces the previous one; older ones arriving late are ignored.
+  function handleReadReceipt(s, checked) {
+    const { parsed, canonicalAddr } = checked;
+    const target = parseTargetId(parsed.msg);
+    if (!target) return { drop: 'bad_read' };
+    const ts = Number(parsed.ts || 0) || 0;
+    const prev = s.readUpTo.get(canonicalAddr);
+    if (prev && prev.ts >= ts) return { ok: true };
+    s.readUpTo.set(canonicalAddr, { id: target.id, ts });
+    if (isActive(s)) setReadMarks(readMarksOf(s));
+    return { ok: true };
+  }
+
+  function notifyDesktop(title, body, tag) {
+    try {
+      if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+      if (inDndHours(notifyRef.current.dnd)) return;
+      const n = new Notification(title, { body: String(body || '').replace(/\s+/g, ' ').trim().slice(0, 160), tag });
+      n.onclick = () => {
+        try { window.focus(); } catch {}
+        n.close();
+      };
+    } catch {}
+  }
+
+  // The room's mode decides what notifies; messages already on screen never raise a desktop notification.
+  function notifyRoomMessage(s, who, entry, mentioned) {
+    const mode = notifyRef.current.modes[s.topic] || NOTIFY_DEFAULT_MODE;
+    if (mode === 'none' || (mode === 'mentions' && !mentioned)) return;
+    const body = roomPreviewBody(entry);
+    if (mentioned) show(`${who} mentioned you in ${isActive(s) ? 'this room' : `#${s.room}`}`, body, 'info', 4000);
+    if (isActive(s) && !activeDmRef.current && document.visibilityState !== 'hidden') return;
+    notifyDesktop(mentioned ? `${who} mentioned you in #${s.room}` : `${who} in #${s.room}`, body, `${s.topic}|${mentioned ? 'mention' : 'msg'}`);
+  }
+
+  // Throttled; receivers expire the indicator, so stopping needs no event of its own.
+  function noteTyping() {
+    const s = sessionFor();
+    if (!status.connected || activeDm || editingId || !isLive(s) || sendingRef.current) return;
+    const now = nowMs();
+    if (now - s.lastTypingAt < TYPING_SEND_INTERVAL_MS) return;
+    s.lastTypingAt = now;
+    void publishSigned('typing', {}, s.topic).catch(() => {});
+  }
+
+  // Turns a verified `msg` payload into display text; sealed text is opened with the room key when we hold it.
+  // Resolves to { text, encrypted } | { locked, sealed } | { drop }.
+  // `withAttach` lets a plain msg carry an attachment (and no text). IPFS content is public, so private rooms refuse them.
+  async function readMsgText(s, parsed, { withAttach = false } = {}) {
+    if (parsed.reply_to && !parseTargetId(parsed.reply_to)) return { drop: 'bad_reply_to' };
+    const roomKey = s.roomKey;
+    const isSealed = !!parsed.enc;
+    if (roomKey && !isSealed) return { drop: 'plaintext_in_private_room' };
+    let attach = null;
+    if (parsed.attach) {
+      if (!withAttach) return { drop: 'unexpected_attach' };
+      if (roomKey || isSealed) return { drop: 'attach_in_private_room' };
+      attach = readAttachment(parsed);
+      if (attach.drop) return { drop: attach.drop };
+    }
+
+    let txt = '';
+    if (isSealed) {
+      const sealed = { enc: parsed.enc, kid: parsed.kid, iv: parsed.iv, text: parsed.text };
+      if (!sealed.iv || !sealed.text || String(sealed.text).length > SEALED_TEXT_MAX_B64) return { drop: 'bad_sealed' };
+      const opened = await openSealedText(roomKey, sealed);
+      if (opened === null) {
+        if (roomKey && String(sealed.kid || '') === roomKey.kid) return { drop: 'bad_ciphertext' };
+        // Not our key: keep a placeholder instead of showing ciphertext.
+        return { locked: true, sealed };
+      }
+      txt = opened.trim();
+    } else {
+      txt = String(parsed.text || '').trim();
+    }
+
+    const bad = checkText(txt, !!attach, roomTextMax(s));
+    if (bad) return bad;
+    return { text: txt, encrypted: isSealed, ...(attach ? { attach } : {}) };
+  }
+
+  function msgEntryFrom(checked, read, via = 'live') {
+    const entry = {
+      id: checked.msgId,
+      addr: checked.canonicalAddr,
+      text: read.locked ? '' : read.text,
+      ts: Number(checked.parsed.ts || 0) || nowMs(),
+      envelope: checked.envelope,
+      verified: verificationOf(checked, via),
+    };
+    const parent = parseTargetId(checked.parsed.reply_to);
+    if (parent) entry.replyTo = parent.id;
+    if (read.attach) entry.attach = read.attach;
+    if (read.locked) {
+      entry.locked = true;
+      entry.sealed = read.sealed;
+    } else if (read.encrypted) {
+      entry.encrypted = true;
+    }
+    return entry;
+  }
+
+  // Applies a verified revision to the timeline and the persisted row (the row may not be loaded in memory).
+  function applyRevision(revTopic, targetId, rev) {
+    if (revTopic === topicRef.current) {
+      setMessages((prev) => prev.map((m) => (m.id === targetId ? reviseRow(m, rev) || m : m)));
+      setThreadLoaded((prev) => {
+        let changed = false;
+        const next = {};
+        for (const [pid, list] of Object.entries(prev)) {
+          next[pid] = list.map((m) => {
+            if (m.id !== targetId) return m;
+            changed = true;
+            return reviseRow(m, rev) || m;
+          });
+        }
+        return changed ? next : prev;
+      });
+    }
+    // Keep the room list from showing text that was just edited away or deleted.
+    setRoomMeta((prev) => {
+      const cur = prev[revTopic];
+      const revised = cur && cur.id === targetId ? reviseRow({ id: cur.id, ts: cur.ts, text: cur.body }, rev) : null;
+      return revised ? { ...prev, [revTopic]: { ...cur, body: roomPreviewBody(revised) } } : prev;
+    });
+    void dbReviseMessage(revTopic, targetId, (row) => reviseRow(row, rev)).catch(() => {});
+  }
+
+  // edit/delete reference `addr:nonce` of an earlier message and are only honoured from that same address.
+  async function handleRevision(s, checked) {
+    const { parsed, canonicalAddr } = checked;
+    const kind = String(parsed.type || '');
+    const target = parseTargetId(parsed.target);
+    if (!target) return { drop: 'bad_target' };
+    if (target.addr !== canonicalAddr) return { drop: 'not_author' };
+    const ts = Number(parsed.ts || 0) || nowMs();
+    let rev = { kind, ts, id: target.id, addr: target.addr, envelope: checked.envelope, fallbackTs: Number(parsed.tts || 0) || ts };
+    if (kind === 'edit') {
+      const read = await readMsgText(s, parsed);
+      if (read.drop) return { drop: read.drop };
+      rev = { ...rev, text: read.locked ? '' : read.text, encrypted: !!read.encrypted, locked: !!read.locked, sealed: read.sealed };
+    }
+    applyRevision(s.topic, target.id, rev);
+    if (!s.seenMsgIds.has(target.id)) holdRevision(s, rev);
+    return { ok: true };
+  }
+
+  // Applies the revision held for an original that just reached the timeline and the store.
+  function releaseHeldRevision(s, id) {
+    const rev = s.heldRevisions.get(id);
+    if (!rev) return null;
+    s.heldRevisions.delete(id);
+    applyRevision(s.topic, id, rev);
+    return rev;
+  }
+
+  function applyReaction(reactTopic, r) {
+    const key = reactionKey(r.target, r.addr, r.emoji);
+    if (reactTopic === topicRef.current) {
+      setReactionRows((prev) => ((Number(prev[key]?.ts || 0) || 0) >= r.ts ? prev : { ...prev, [key]: r }));
+    }
+    void dbPutReaction(reactTopic, r).catch(() => {});
+  }
+
+  // react{target, on, text|sealed}: `text` carries the emoji and is sealed like a message in private rooms.
+  async function handleReaction(s, checked) {
+    const { parsed, canonicalAddr } = checked;
+    const target = parseTargetId(parsed.target);
+    if (!target) return { drop: 'bad_target' };
+    const read = await readMsgText(s, parsed);
+    if (read.drop) return { drop: read.drop };
+    if (read.locked) return { drop: 'locked_reaction' };
+    if (!isReactionEmoji(read.text)) return { drop: 'bad_emoji' };
+    const ts = Number(parsed.ts || 0) || nowMs();
+    applyReaction(s.topic, { target: target.id, addr: canonicalAddr, emoji: read.text, on: String(parsed.on) !== '0', ts });
+    return { ok: true };
+  }
+
+  async function toggleReaction(m, emoji) {
+    setReactPickerId('');
+    if (!m || m.deleted || activeDm || !isReactionEmoji(emoji)) return;
+    const s = sessionFor();
+    if (!status.connected || !s) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    const now = nowMs();
+    const recent = reactSentRef.current.filter((t) => now - t < REACTION_RATE_WINDOW_MS);
+    if (recent.length >= REACTION_RATE_MAX) {
+      show('Slow down', `${REACTION_RATE_MAX} reactions per ${REACTION_RATE_WINDOW_MS / 1000}s`, 'warning', 1600);
+      return;
+    }
+    reactSentRef.current = [...recent, now];
+    const mine = !!reactionRows[reactionKey(m.id, status.address, emoji)]?.on;
+    try {
+      const roomKey = s.roomKey;
+      const fields = { target: m.id, on: mine ? '0' : '1', ...(roomKey ? await sealText(roomKey, emoji) : { text: emoji }) };
+      const res = await publishSigned('react', fields, s.topic);
+      s.seenMsgIds.add(`${res.address}:${res.nonce}`);
+      markSeenNonce(s, res.address, res.nonce);
+      applyReaction(s.topic, { target: m.id, addr: res.address, emoji, on: !mine, ts: res.ts });
+    } catch (e) {
+      show('Reaction failed', String(e?.message || e || 'unknown error'), 'error', 2800);
+    }
+  }
+
+  function startReply(id) {
+    if (!id) return;
+    setEditingId('');
+    setPendingDeleteId('');
+    setReplyToId(id);
+  }
+
+  // Expands (or collapses) a thread; older replies that scrolled out of memory are read back from IndexedDB.
+  function toggleThread(parentId, forceOpen = false) {
+    const id = String(parentId || '').trim();
+    if (!id) return;
+    const open = forceOpen || !openThreads[id];
+    setOpenThreads((prev) => ({ ...prev, [id]: open }));
+    if (!open || threadLoaded[id]) return;
+    const t = topicRef.current;
+    void dbGetThreadReplies(t, id)
+      .then((rows) => {
+        if (topicRef.current !== t) return;
+        setThreadLoaded((prev) => ({ ...prev, [id]: rows }));
+      })
+      .catch(() => {});
+  }
+
+  function startEdit(m) {
+    if (!m || m.deleted || m.locked) return;
+    setPendingDeleteId('');
+    setReplyToId('');
+    setEditingId(m.id);
+    setText(String(m.text || ''));
+  }
+
+  function cancelEdit() {
+    setEditingId('');
+    setText('');
+  }
+
+  function pickAttachment(file) {
+    if (!file) return;
+    const type = String(file.type || '').toLowerCase();
+    if (!ATTACH_CONFIG.types.includes(type)) {
+      show('File type not allowed', type || 'Unknown file type', 'warning', 2600);
+      return;
+    }
+    if (Number(file.size || 0) > ATTACH_CONFIG.maxBytes) {
+      show('File too large', `Max ${formatBytes(ATTACH_CONFIG.maxBytes)}`, 'warning', 2600);
+      return;
+    }
+    if (!Number(file.size || 0)) {
+      show('Empty file', 'Pick a file with some content', 'warning', 2200);
+      return;
+    }
+    setPendingAttach({ file, saved: null });
+  }
+
+  async function deleteMessage(m) {
+    if (!m || m.deleted) return;
+    const s = sessionFor();
+    if (!status.connected || !s) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    if (pendingDeleteId !== m.id) {
+      setPendingDeleteId(m.id);
+      return;
+    }
+    setPendingDeleteId('');
+    if (!canSendNow()) {
+      show('Slow down', '1 message per second', 'warning', 1600);
+      return;
+    }
+    lastSentAtRef.current = nowMs();
+    try {
+      const res = await publishSigned('delete', { target: m.id, tts: String(m.ts || 0) }, s.topic);
+      s.seenMsgIds.add(`${res.address}:${res.nonce}`);
+      markSeenNonce(s, res.address, res.nonce);
+      applyRevision(s.topic, m.id, {
+        kind: 'delete',
+        ts: res.ts,
+        id: m.id,
+        addr: m.addr,
+        envelope: res.envelope,
+        fallbackTs: m.ts,
+      });
+      if (editingId === m.id) cancelEdit();
+    } catch (e) {
+      show('Delete failed', String(e?.message || e || 'unknown error'), 'error', 3200);
+    }
+  }
+
+  // Re-runs the signature and PoW checks on the envelopes kept with a bubble, and checks they still describe it:
+  // signed by its author, for this room, naming this message, and carrying the text on screen. Only the wallet's
+  // verifier is needed, so this also works while disconnected.
+  async function reverifyMessage(m) {
+    if (!m?.id) return;
+    const kept = [
+      ['original', m.deleted ? null : m.envelope],
+      ['edit', m.edited && !m.deleted ? m.editEnvelope : null],
+      ['delete', m.deleted ? m.deleteEnvelope : null],
+    ]
+      .map(([label, env]) => [label, sanitizeEnvelope(env)])
+      .filter(([, env]) => env);
+    let expectedTopic = activeDm ? '' : topic;
+    if (activeDm && dmIdentityRef.current) expectedTopic = await dmTopicFor(dmIdentityRef.current.addr, activeDm).catch(() => '');
+
+    const problems = [];
+    if (!kept.length) problems.push('no signed envelope was kept for this message (stored before envelopes were)');
+    for (const [label, env] of kept) {
+      const parsed = decodePayload(env.payload);
+      if (!parsed) {
+        problems.push(`${label}: unreadable payload`);
+        continue;
+      }
+      let v = null;
+      try {
+        v = await verifyPayload(env.payload, env.signatureB64, env.pubkeyB64, env.address);
+      } catch (e) {
+        problems.push(`${label}: ${String(e?.message || e || 'verifier unavailable')}`);
+        continue;
+      }
+      const signer = v.derivedAddress || env.address;
+      if (!v.signatureValid) problems.push(`${label}: bad signature`);
+      else if (signer !== m.addr) problems.push(`${label}: signed by ${shortAddr(signer)}, not the author`);
+      if (!(await hasValidPow(env.payload, POW_DIFFICULTY_BITS))) problems.push(`${label}: proof-of-work below ${POW_DIFFICULTY_BITS} bits`);
+      if (expectedTopic && String(parsed.room || '') !== expectedTopic) problems.push(`${label}: signed for another room`);
+      const ref = label === 'original' ? `${signer}:${parsed.nonce}` : String(parsed.target || '');
+      if (ref !== m.id) problems.push(`${label}: refers to another message`);
+    }
+    // Sealed text can only be compared after decryption, which already authenticated it on arrival.
+    const shown = !m.deleted && !m.encrypted && !m.locked ? kept.find(([label]) => label === (m.edited ? 'edit' : 'original')) : null;
+    if (shown && String(decodePayload(shown[1].payload)?.text || '').trim() !== String(m.text || '')) {
+      problems.push('the text on screen differs from the signed text');
+    }
+
+    const ok = kept.length > 0 && !problems.length;
+    const rec = m.verified || { via: 'legacy' };
+    const arrival =
+      rec.via === 'own'
+        ? 'signed on this device'
+        : rec.at
+          ? `accepted ${rec.via === 'live' ? 'live' : `from ${rec.via}`} on ${new Date(rec.at).toLocaleString()}${rec.powBits ? ` (${rec.powBits} bits)` : ''}`
+          : 'no check recorded on arrival';
+    const cap = (t) => t.charAt(0).toUpperCase() + t.slice(1);
+    const summary = ok ? `Signed by ${shortAddr(m.addr)}; signature and proof-of-work valid (${kept.map(([label]) => label).join(' + ')})` : cap(problems.join('; '));
+    setVerifyById((prev) => ({ ...prev, [m.id]: { ok, summary, detail: cap(arrival) } }));
+    show(ok ? 'Verified' : 'Verification failed', `${summary}. ${cap(arrival)}.`, ok ? 'success' : 'error', 4200);
+  }
+
+  // Reads the stored backlog rather than the screen, so it also works for a room joined in the background.
+  async function unlockLockedMessages(roomKey) {
+    const rows = await dbGetRecentMessages(roomKey.topic, 240).catch(() => []);
+    const candidates = rows.filter((m) => m && m.locked && m.sealed && String(m.sealed.kid || '') === roomKey.kid);
+    if (!candidates.length) return;
+    const unlocked = new Map(); // id -> entry
+    for (const m of candidates) {
+      const txt = await openSealedText(roomKey, m.sealed);
+      if (txt === null || !txt.trim()) continue;
+      const { locked, sealed, ...rest } = m;
+      unlocked.set(m.id, { ...rest, text: txt.trim().slice(0, ROOM_TEXT_MAX_LIMIT), encrypted: true });
+    }
+    if (!unlocked.size) return;
+    if (topicRef.current === roomKey.topic) setMessages((prev) => prev.map((m) => unlocked.get(m.id) || m));
+    for (const entry of unlocked.values()) void dbPutMessage(roomKey.topic, entry).catch(() => {});
+  }
+
+  // Newcomers only learn our nick and DM key from a profile event, so re-announce (throttled) when someone joins.
+  function scheduleProfileAnnounce(s) {
+    if (s.profileTimer) return;
+    if (nowMs() - s.lastProfileAt < PROFILE_REANNOUNCE_MIN_MS) return;
+    const mySeq = connectSeqRef.current;
+    s.profileTimer = setTimeout(async () => {
+      s.profileTimer = null;
+      if (connectSeqRef.current !== mySeq || !isLive(s)) return;
+      s.lastProfileAt = nowMs();
+      try {
+        await publishSigned('profile', { ...myDmFields(), ...myPowFields(s), ...myPresenceFields() }, s.topic);
+      } catch {}
+    }, 500 + Math.random() * PROFILE_REANNOUNCE_JITTER_MS);
+  }
+
+  async function requestHistory(s) {
+    const h = s.history;
+    if (h.answered || h.asks >= HISTORY_MAX_ASKS) return;
+    h.asks += 1;
+    try {
+      const fields = { since: String(h.since || 0), mods: String(s.modEvents.length), cfg: String(s.config?.ts || 0) };
+      const res = await publishSigned('history_req', fields, s.topic);
+      h.reqIds.add(`${res.address}:${res.nonce}`);
+    } catch {}
+  }
+
+  function scheduleHistoryReply(s, reqId, requester, since, knownMods, knownCfg) {
+    const addr = String(requester || '').trim();
+    if (!reqId || !addr || s.historyAnswered.has(reqId)) return;
+    const now = nowMs();
+    if (now - (s.historyReqAt.get(addr) || 0) < HISTORY_REQ_MIN_INTERVAL_MS) return;
+    s.historyReqAt.set(addr, now);
+    // Random back-off: whoever fires first answers, everyone else sees the reply and stays quiet.
+    const mySeq = connectSeqRef.current;
+    const timer = setTimeout(async () => {
+      s.historyTimers.delete(timer);
+      if (connectSeqRef.current !== mySeq || !isLive(s) || s.historyAnswered.has(reqId)) return;
+      try {
+        await sendHistoryReply(s, reqId, addr, since, knownMods, knownCfg, mySeq);
+      } catch {}
+    }, 250 + Math.random() * HISTORY_REPLY_JITTER_MS);
+    s.historyTimers.add(timer);
+  }
+
+  // Stops everything a room session scheduled on its own (history replies, profile re-announce).
+  function clearSessionTimers(s) {
+    for (const timer of s.historyTimers) {
+      try { clearTimeout(timer); } catch {}
+    }
+    s.historyTimers = new Set();
+    try { clearTimeout(s.profileTimer); } catch {}
+    s.profileTimer = null;
+  }
+
+  async function sendHistoryReply(s, reqId, requester, since, knownMods, knownCfg, mySeq) {
+    const replyTopic = s.topic;
+    // The room config and the moderation chain go first (whole, oldest first) when the requester knows less than we
+    // do: both decide what the messages after them may be.
+    const config = s.config && s.config.ts > knownCfg ? [sanitizeEnvelope(s.config.envelope)].filter(Boolean) : [];
+    const chain = s.modEvents.length > knownMods ? s.modState.log.map((e) => sanitizeEnvelope(e.envelope)).filter(Boolean) : [];
+    const items = config.concat(chain, await dbGetEnvelopesSince(replyTopic, since, HISTORY_MAX_ITEMS));
+    if (!items.length || s.historyAnswered.has(reqId)) return;
+    s.historyAnswered.add(reqId);
+    const batches = splitHistoryBatches(items);
+    for (let i = 0; i < batches.length; i++) {
+      if (connectSeqRef.current !== mySeq || !isLive(s)) return;
+      const batch = batches[i];
+      const fields = {
+        req: reqId,
+        to: requester,
+        part: String(i + 1),
+        parts: String(batches.length),
+        count: String(batch.length),
+        digest: await historyDigest(batch),
+      };
+      await publishSigned('history_resp', fields, replyTopic, { items: batch });
+      if (i < batches.length - 1) await new Promise((r) => setTimeout(r, HISTORY_BATCH_GAP_MS));
+    }
+  }
+
+  function mergeHistoryEntries(mergeTopic, entries) {
+    if (!entries.length) return;
+    for (const entry of entries) void dbPutMessage(mergeTopic, entry).catch(() => {});
+    const background = mergeTopic !== topicRef.current;
+    noteRoomActivity(mergeTopic, entries, background);
+    if (!background) {
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.id));
+        const fresh = entries.filter((e) => !known.has(e.id));
+        if (!fresh.length) return prev;
+        const next = prev.concat(fresh);
+        next.sort((a, b) => (Number(a.ts || 0) || 0) - (Number(b.ts || 0) || 0));
+        return next.length > MESSAGES_IN_MEMORY_MAX ? next.slice(next.length - MESSAGES_IN_MEMORY_MAX) : next;
+      });
+    }
+    const s = roomsRef.current.get(mergeTopic);
+    if (s) for (const entry of entries) releaseHeldRevision(s, entry.id);
+  }
+
+  // Each carried envelope goes through the same PoW + signature checks as live traffic before it is merged.
+  async function mergeHistoryBatch(s, items, parsed) {
+    const list = Array.isArray(items) ? items : [];
+    if (!list.length || list.length > HISTORY_BATCH_ITEMS || list.length !== Number(parsed.count || 0)) {
+      return { merged: 0, drop: 'history_bad_batch' };
+    }
+    if ((await historyDigest(list)) !== String(parsed.digest || '')) return { merged: 0, drop: 'history_bad_digest' };
+
+    const mergeTopic = s.topic;
+    const pending = [];
+    let merged = 0;
+    let rejected = 0;
+    for (const item of list) {
+      if (!isLive(s)) return { merged, drop: '' };
+      const checked = await verifyEnvelope({ json: item }, mergeTopic);
+      const itemKind = checked.ok ? String(checked.parsed.type || '') : '';
+      if (!checked.ok || !['msg', 'edit', 'delete', 'room_config', ...MOD_EVENT_TYPES].includes(itemKind)) {
+        rejected += 1;
+        continue;
+      }
+      if (s.seenMsgIds.has(checked.msgId) || isBlocked(checked.canonicalAddr, s)) continue;
+      if (itemKind === 'room_config') {
+        if (handleRoomConfig(s, checked).drop) rejected += 1;
+        continue;
+      }
+      if (MOD_EVENT_TYPES.includes(itemKind)) {
+        if (handleModEvent(s, checked, { live: false }).drop) rejected += 1;
+        continue;
+      }
+      if (isBanned(s, checked.canonicalAddr)) continue;
+      s.seenMsgIds.add(checked.msgId);
+      if (itemKind !== 'msg') {
+        // A revision follows its original in the batch, so merge what we have before applying it.
+        mergeHistoryEntries(mergeTopic, pending.splice(0));
+        const res = await handleRevision(s, checked);
+        if (res.drop) rejected += 1;
+        else merged += 1;
+        continue;
+      }
+      const read = await readMsgText(s, checked.parsed, { withAttach: true });
+      if (read.drop) {
+        rejected += 1;
+        continue;
+      }
+      const knownNames = isActive(s) ? lastPersistedNameRef.current : s.names;
+      if (!knownNames.has(checked.canonicalAddr)) updateName(checked.canonicalAddr, checked.parsed.nick, s);
+      pending.push(msgEntryFrom(checked, read, 'history'));
+      merged += 1;
+    }
+    if (isLive(s)) mergeHistoryEntries(mergeTopic, pending);
+    return { merged, drop: rejected ? 'history_bad_item' : '' };
+  }
+
+  // `extra` is attached next to the signed payload (e.g. the envelopes carried by a history_resp).
+  async function publishSigned(type, fields, targetTopic = topicRef.current, extra = null) {
+    const signed = await signEnvelope(type, fields, targetTopic, extra);
+    await publishEnvelope(targetTopic, signed.envelope, `${signed.address}:${signed.nonce}`);
+    return signed;
+  }
+
+  // Mines and signs without publishing; the envelope can be published (again) with publishEnvelope.
+  async function signEnvelope(type, fields, targetTopic, extra = null) {
+    const api = T();
+    if (!api?.pubsub?.publish) throw new Error('lumen.pubsub.publish unavailable');
+    const { profileId, address } = await getActiveProfile();
+    const safeNick = String(nickRef.current || '').trim().slice(0, 22) || 'anon';
+    const ts = nowMs();
+    const baseFields = {
+      room: targetTopic,
+      ts: String(ts),
+      addr: address,
+      nick: safeNick,
+      ...fields,
+    };
+    const bits = LIGHT_POW_TYPES.includes(type) ? LIGHT_POW_BITS : roomPowBits(roomsRef.current.get(targetTopic));
+    const { payload, nonce } = await minePow(type, baseFields, bits);
+    const sig = await signPayload(profileId, address, payload);
+    const msg = {
+      t: type,
+      address: sig.address || address,
+      pubkeyB64: sig.pubkeyB64,
+      signatureB64: sig.signatureB64,
+      payload,
+      ...(extra || {}),
+    };
+    return { address: msg.address, nonce, ts, type, payload, envelope: msg };
+  }
+
+  // `id` (addr:nonce) is the echo the room's link waits for.
+  async function publishEnvelope(targetTopic, msg, id) {
+    const api = T();
+    if (!api?.pubsub?.publish) throw new Error('lumen.pubsub.publish unavailable');
+    const link = roomsRef.current.get(targetTopic)?.link;
+    let res = null;
+    try {
+      res = await api.pubsub.publish(targetTopic, msg, { encoding: 'json' });
+    } catch (e) {
+      if (link) LINK.notePublishFailed(link);
+      throw e;
+    }
+    if (!res?.ok) {
+      if (link) LINK.notePublishFailed(link);
+      throw new Error(res?.error || 'publish failed');
+    }
+    if (link) LINK.noteSent(link, id, nowMs());
+  }
+
+  function myDmFields() {
+    const pub = dmIdentityRef.current?.pubB64;
+    return isDmPubKey(pub) ? { dh: pub } : {};
+  }
+
+  function rememberDmKey(address, dh) {
+    const addr = String(address || '').trim();
+    if (!addr || !isDmPubKey(dh)) return;
+    if (dhByAddrRef.current.get(addr) === dh) return;
+    dhByAddrRef.current.set(addr, dh);
+    setDmThreads((prev) => (prev[addr] && prev[addr].dh !== dh ? { ...prev, [addr]: { ...prev[addr], dh } } : prev));
+  }
+
+  async function getDmKey(peer, dh) {
+    const addr = String(peer || '').trim();
+    const identity = dmIdentityRef.current;
+    const peerDh = dh || dhByAddrRef.current.get(addr) || '';
+    if (!addr || !identity || !isDmPubKey(peerDh)) return null;
+    const cached = dmKeyByPeerRef.current.get(addr);
+    if (cached && cached.dh === peerDh) return cached;
+    const dmTopic = await dmTopicFor(identity.addr, addr);
+    const key = await deriveDmKey(identity, peerDh, dmTopic);
+    if (!key) return null;
+    const entry = { ...key, dh: peerDh };
+    dmKeyByPeerRef.current.set(addr, entry);
+    return entry;
+  }
+
+  async function ensureDmSubscription(peer, { force = false } = {}) {
+    const api = T();
+    const addr = String(peer || '').trim();
+    const identity = dmIdentityRef.current;
+    if (!addr || !identity || addr === identity.addr || !api?.pubsub?.subscribe) return;
+    if (dmSubsRef.current.has(addr)) return;
+    if (!force && dmSubsRef.current.size >= MAX_DM_SUBSCRIPTIONS) return;
+    const mySeq = connectSeqRef.current;
+    dmSubsRef.current.set(addr, { topic: '', unsubscribe: null }); // reserve before awaiting
+    try {
+      const dmTopic = await dmTopicFor(identity.addr, addr);
+      const sub = await api.pubsub.subscribe(dmTopic, { encoding: 'json', autoConnect: true }, (m) =>
+        handleDmEnvelope(addr, dmTopic, m)
+      );
+      if (connectSeqRef.current !== mySeq || !dmSubsRef.current.has(addr)) {
+        try { await sub.unsubscribe(); } catch {}
+        return;
+      }
+      dmSubsRef.current.set(addr, { topic: dmTopic, unsubscribe: sub.unsubscribe });
+    } catch {
+      dmSubsRef.current.delete(addr);
+    }
+  }
+
+  async function closeDmSubscriptions() {
+    const subs = Array.from(dmSubsRef.current.values());
+    dmSubsRef.current = new Map();
+    for (const sub of subs) {
+      try {
+        if (sub.unsubscribe) await sub.unsubscribe();
+      } catch {}
+    }
+  }
+
+  function pushDmMessage(peer, entry, { incoming = false, nick: peerNick = '' } = {}) {
+    const addr = String(peer || '').trim();
+    if (!addr || !entry) return;
+    setDmMessages((prev) => {
+      const list = (prev[addr] || []).slice(-200);
+      list.push(entry);
+      return { ...prev, [addr]: list };
+    });
+    setDmThreads((prev) => {
+      const cur = prev[addr] || { peer: addr };
+      const unseen = activeDmRef.current !== addr || document.visibilityState === 'hidden';
+      const unread = Number(cur.unread || 0) + (incoming && unseen ? 1 : 0);
+      const dh = dhByAddrRef.current.get(addr) || cur.dh || '';
+      return { ...prev, [addr]: { ...cur, peer: addr, dh, nick: peerNick || cur.nick || '', lastTs: entry.ts, unread } };
+    });
+    const identity = dmIdentityRef.current;
+    if (!identity || entry.persist === false) return;
+    void dmTopicFor(identity.addr, addr)
+      .then((dmTopic) => dbPutMessage(dmTopic, entry))
+      .catch(() => {});
+  }
+
+  async function handleDmEnvelope(peer, dmTopic, m) {
+    try {
+      setRxStats((s) => ({ ...s, total: s.total + 1 }));
+      const checked = await verifyEnvelope(m, dmTopic);
+      if (!checked.ok) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: checked.drop }));
+        return;
+      }
+      const { parsed, nonce, canonicalAddr, msgId } = checked;
+      const selfAddr = dmIdentityRef.current?.addr || '';
+      if (canonicalAddr !== peer && canonicalAddr !== selfAddr) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'dm_stranger' }));
+        return;
+      }
+      const g = dmGuardRef.current;
+      if (g.seenMsgIds.has(msgId)) return;
+      g.seenMsgIds.add(msgId);
+      // Own sends are added locally. The DH key is per device, so what another device of ours sealed for this
+      // peer could not be opened here: it is not shown rather than kept as an unreadable row.
+      if (canonicalAddr === selfAddr) return;
+
+      if (isBlocked(canonicalAddr)) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'blocked' }));
+        return;
+      }
+      if (!markSeenNonce(g, canonicalAddr, nonce)) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'nonce_replay' }));
+        return;
+      }
+      if (String(parsed.type || '') !== 'msg') {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'unknown_type' }));
+        return;
+      }
+      if (String(parsed.to || '') !== selfAddr) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'dm_wrong_recipient' }));
+        return;
+      }
+      // DMs get their own 1 msg/sec bucket so they don't compete with the sender's room messages.
+      if (isRateLimited(g, `${dmTopic}|${canonicalAddr}`)) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'rate_limited' }));
+        return;
+      }
+
+      const sealed = { enc: parsed.enc, kid: parsed.kid, iv: parsed.iv, text: parsed.text };
+      if (!sealed.enc || !sealed.iv || !sealed.text || String(sealed.text).length > SEALED_TEXT_MAX_B64) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'bad_sealed' }));
+        return;
+      }
+      rememberDmKey(canonicalAddr, parsed.dh);
+      const key = await getDmKey(canonicalAddr, isDmPubKey(parsed.dh) ? parsed.dh : '');
+      const opened = await openSealedText(key, sealed);
+      const txt = opened === null ? '' : opened.trim();
+      const bad = opened === null ? null : checkText(txt);
+      if (bad) {
+        setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: bad.drop }));
+        return;
+      }
+
+      const ts = Number(parsed.ts || 0) || nowMs();
+      const kept = { envelope: checked.envelope, verified: verificationOf(checked, 'live') };
+      const entry = txt
+        ? { id: msgId, addr: canonicalAddr, text: txt, ts, encrypted: true, ...kept }
+        : { id: msgId, addr: canonicalAddr, text: '', ts, locked: true, sealed, ...kept };
+      const peerNick = String(parsed.nick || '').trim().slice(0, 22);
+      pushDmMessage(canonicalAddr, entry, { incoming: true, nick: peerNick });
+      if (activeDmRef.current !== canonicalAddr || document.visibilityState === 'hidden') {
+        notifyDesktop(`${peerNick || 'anon'} (direct message)`, entry.locked ? '🔒 Locked message' : entry.text, `dm|${canonicalAddr}`);
+      }
+      setRxStats((s) => ({ ...s, accepted: s.accepted + 1 }));
+    } catch {
+      // ignore invalid messages
+    }
   }
 
-  function show(title, message, kind = 'info', ms = 2500) {
-    const t = String(title || '').trim();
-    const m = String(message || '').trim();
-    if (!t && !m) return;
-    setToast({ open: true, kind, title: t, message: m });
+  async function openDm(peer) {
+    const addr = String(peer || '').trim();
+    const identity = dmIdentityRef.current;
+    if (!addr) return;
+    if (!status.connected || !identity) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    const dh = dhByAddrRef.current.get(addr) || dmThreads[addr]?.dh || '';
+    if (!isDmPubKey(dh)) {
+      show('DM unavailable', 'This user has not announced a DM key yet', 'warning', 2600);
+      return;
+    }
+    dhByAddrRef.current.set(addr, dh);
+    setDmThreads((prev) => {
+      const cur = prev[addr] || {};
+      const peerNick = nameByAddr[addr] || cur.nick || '';
+      return { ...prev, [addr]: { ...cur, peer: addr, dh, nick: peerNick, lastTs: cur.lastTs || nowMs(), unread: 0 } };
+    });
+    setActiveDm(addr);
+    setUserModal(null);
+    void ensureDmSubscription(addr, { force: true });
+    if (dmMessages[addr]) return;
     try {
-      if (timerRef.current) clearTimeout(timerRef.current);
+      const dmTopic = await dmTopicFor(identity.addr, addr);
+      const rows = await dbGetRecentMessages(dmTopic, 240).catch(() => []);
+      setDmMessages((prev) => {
+        const live = prev[addr] || [];
+        const liveIds = new Set(live.map((m) => m.id));
+        return { ...prev, [addr]: withOutbox(rows.filter((r) => !liveIds.has(r.id)).concat(live), '', addr) };
+      });
     } catch {}
-    timerRef.current = setTimeout(() => hide(), ms);
   }
 
-  useEffect(() => {
-    return () => {
-      try {
-        if (timerRef.current) clearTimeout(timerRef.current);
-      } catch {}
-    };
-  }, []);
-
-  return { toast, show, hide };
-}
+  // Live traffic of one joined room. Only the active room touches the timeline; the others are stored and counted.
+  async function handleRoomEnvelope(s, m) {
+    try {
+      if (!isLive(s)) return;
+      setRxStats((st) => ({ ...st, total: st.total + 1 }));
+      const checked = await runPipeline(ROOM_STAGES, m, {
+        topic: s.topic,
+        minBits: roomPowBits(s, { enforce: true }),
+        guard: s,
+        powZeros,
+        verify: verifyPayload,
+        isBlocked: (addr) => isBlocked(addr, s),
+        isBanned: (addr) => isBanned(s, addr),
+        textMax: roomTextMax(s),
+        slowMs: roomSlowMs(s),
+        isSlowExempt: (addr) => isRoomStaff(s, addr),
+      });
+      if (s.link && checked.msgId) LINK.noteReceived(s.link, nowMs(), checked.msgId); // signature verified
+      const drop = (reason) => setRxStats((st) => ({ ...st, dropped: st.dropped + 1, lastDrop: reason }));
+      const accept = () => setRxStats((st) => ({ ...st, accepted: st.accepted + 1 }));
+      const { parsed, kind, canonicalAddr, msgId } = checked;
+      const safeNick = String(parsed?.nick || '').trim().slice(0, 22);
+      if (!checked.ok && !checked.admitted) {
+        if (checked.silent) return;
+        if (checked.drop === 'auto_blocked') {
+          blockUser(canonicalAddr, 'auto_spam', safeNick, s);
+          notePowPressure(s);
+        }
+        return drop(checked.drop);
+      }
 
-function App() {
-  const [room, setRoom] = useState('lobby');
-  const [nick, setNick] = useState(() => loadMyNick() || 'anon-' + randHex(3));
-  const [text, setText] = useState('');
-  const [status, setStatus] = useState({ connected: false, topic: '', subId: '', address: '', topics: [] });
-  const [err, setErr] = useState('');
-  const [peerCount, setPeerCount] = useState(0);
-  const [sending, setSending] = useState(false);
-  const [messages, setMessages] = useState([]); // {id, addr, kind, text, ts}
-  const [nameByAddr, setNameByAddr] = useState({}); // addr -> nick
-  const [rxStats, setRxStats] = useState({ total: 0, accepted: 0, dropped: 0, lastDrop: '' });
-  const [blockedByAddr, setBlockedByAddr] = useState(() =>
-    loadBlocklist(`lumen/pubsub_chat/v1/${String(room || 'lobby').trim().toLowerCase()}`)
-  ); // addr -> {addr,name,blockedAt,reason}
-  const [userModal, setUserModal] = useState(null); // { addr }
-  const { toast, show } = useToast();
+      const selfAddress = selfAddrRef.current;
+      const fromPeer = !!canonicalAddr && canonicalAddr !== selfAddress;
+      if (safeNick) updateName(canonicalAddr, safeNick, s);
+      if ((kind === 'profile' || kind === 'ping') && fromPeer && isDmPubKey(parsed.dh)) {
+        rememberDmKey(canonicalAddr, parsed.dh);
+        void ensureDmSubscription(canonicalAddr);
+      }
 
-  const chatBodyRef = useRef(null);
-  const subRef = useRef({ unsubscribe: null });
-  const connectSeqRef = useRef(0);
-  const lastSentAtRef = useRef(0);
-  const lastAcceptedAtRef = useRef(new Map()); // addr -> ms
-  const recentNoncesRef = useRef(new Map()); // addr -> array of nonces
-  const seenMsgIdRef = useRef(new Set()); // message ids
-  const spamWindowRef = useRef(new Map()); // addr -> timestamps (last 2s)
-  const blockedByAddrRef = useRef({});
-  const lastPeerSeenAtRef = useRef(0);
-  const lastRemoteSeenAtRef = useRef(0);
-  const lastHeartbeatAtRef = useRef(0);
-  const lastPersistedNameRef = useRef(new Map()); // addr -> nick
-  const presenceRef = useRef(new Map()); // addr -> { lastSeenAt }
-  const heartbeatInFlightRef = useRef(false);
-  const sendingRef = useRef(false);
-  const topicRef = useRef(`lumen/pubsub_chat/v1/${String(room || 'lobby').trim().toLowerCase()}`);
+      // Presence (best-effort): emit join/leave events in the chat stream.
+      if (fromPeer) {
+        if (kind === 'leave') {
+          if (s.presence.delete(canonicalAddr)) syncRoster(s);
+          pushPresenceEvent(s, 'leave', canonicalAddr);
+        } else {
+          const prev = s.presence.get(canonicalAddr);
+          const existed = !!prev;
+          const now = nowMs();
+          const rec = { lastSeenAt: now, lastActiveAt: prev?.lastActiveAt || now, away: !!prev?.away, status: prev?.status || '' };
+          if (kind === 'profile' || kind === 'ping') {
+            rec.away = parsed.away === '1';
+            rec.status = cleanStatusText(parsed.status);
+          } else if (PRESENCE_ACTIVITY_TYPES.includes(kind)) {
+            rec.lastActiveAt = now;
+            rec.away = false; // they are clearly at the keyboard
+          }
+          s.presence.set(canonicalAddr, rec);
+          if (!existed || prev.away !== rec.away || prev.status !== rec.status || rec.lastActiveAt !== prev.lastActiveAt) syncRoster(s);
+          if (!existed) {
+            pushPresenceEvent(s, 'join', canonicalAddr);
+            scheduleProfileAnnounce(s);
+            if (!s.history.answered) void requestHistory(s);
+          }
+        }
+      }
 
-  const topic = useMemo(
-    () => `lumen/pubsub_chat/v1/${String(room || 'lobby').trim().toLowerCase()}`,
-    [room]
-  );
+      if (!checked.ok) {
+        if (checked.drop === 'rate_limited' && kind === 'msg') notePowPressure(s);
+        return drop(checked.drop);
+      }
 
-  useEffect(() => {
-    topicRef.current = topic;
-    setUserModal(null);
-    presenceRef.current = new Map();
-  }, [topic]);
+      // Rate buckets were spent by the pipeline: profiles, typing, read receipts, pow_level and mod events each
+      // have their own so automatic traffic never eats the next chat message's slot (see rateBucketOf).
+      if (kind === 'profile') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        if (parsed.pow_bits) acceptPowLevel(s, checked);
+        return accept();
+      }
 
-  useEffect(() => {
-    const next = loadBlocklist(topic);
-    setBlockedByAddr(next);
-  }, [topic]);
+      if (kind === 'pow_level') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = acceptPowLevel(s, checked);
+        return res.drop ? drop(res.drop) : accept();
+      }
 
-  useEffect(() => {
-    let alive = true;
-    (async () => {
-      try {
-        const [names, msgs] = await Promise.all([
-          dbGetNames(topic).catch(() => ({})),
-          dbGetRecentMessages(topic, 240).catch(() => []),
-        ]);
-        if (!alive) return;
-        const blocked = loadBlocklist(topic);
-        lastPersistedNameRef.current = new Map(Object.entries(names || {}));
-        setNameByAddr(names || {});
-        setMessages(Array.isArray(msgs) ? msgs.filter((m) => !blocked[String(m?.addr || '').trim()]) : []);
-      } catch {}
-    })();
-    return () => {
-      alive = false;
-    };
-  }, [topic]);
+      if (kind === 'ping' || kind === 'leave') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        if (kind === 'leave') setPeerTyping(s, canonicalAddr, 0);
+        return accept();
+      }
 
-  useEffect(() => {
-    blockedByAddrRef.current = blockedByAddr || {};
-    saveBlocklist(topicRef.current, blockedByAddrRef.current);
-  }, [blockedByAddr]);
+      if (kind === 'typing' || kind === 'read') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = kind === 'typing' ? handleTyping(s, checked) : handleReadReceipt(s, checked);
+        return res.drop ? drop(res.drop) : accept();
+      }
 
-  useEffect(() => {
-    const blocked = blockedByAddr || {};
-    setMessages((prev) => prev.filter((m) => !blocked[String(m?.addr || '').trim()]));
-  }, [blockedByAddr]);
+      if (kind === 'edit' || kind === 'delete') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = await handleRevision(s, checked);
+        return res.drop ? drop(res.drop) : accept();
+      }
 
-  function canSendNow() {
-    const now = nowMs();
-    return now - lastSentAtRef.current >= 1000;
-  }
+      if (MOD_EVENT_TYPES.includes(kind)) {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = handleModEvent(s, checked);
+        if (res.drop) return drop(res.drop);
+        if (res.ev) pushMessage({ id: `sys:mod:${msgId}`, kind: 'system', event: 'mod', text: modEventLine(res.ev), ts: nowMs(), persist: false }, s.topic);
+        return accept();
+      }
 
-  function scrollToBottom() {
-    try {
-      const el = chatBodyRef.current;
-      if (!el) return;
-      el.scrollTop = el.scrollHeight;
-    } catch {}
-  }
+      if (kind === 'room_config') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = handleRoomConfig(s, checked);
+        if (res.drop) return drop(res.drop);
+        if (res.rec) pushMessage({ id: `sys:config:${msgId}`, kind: 'system', event: 'config', text: roomConfigLine(res.rec), ts: nowMs(), persist: false }, s.topic);
+        return accept();
+      }
 
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages.length]);
+      if (kind === 'react') {
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        const res = await handleReaction(s, checked);
+        return res.drop ? drop(res.drop) : accept();
+      }
 
-  useEffect(() => {
-    saveMyNick(nick);
-  }, [nick]);
+      if (kind === 'history_req') {
+        if (fromPeer) {
+          s.lastRemoteSeenAt = nowMs();
+          scheduleHistoryReply(s, msgId, canonicalAddr, Number(parsed.since || 0) || 0, Number(parsed.mods || 0) || 0, Number(parsed.cfg || 0) || 0);
+        }
+        return accept();
+      }
 
-  useEffect(() => {
-    if (status.address) updateName(status.address, nick);
-  }, [status.address, nick]);
+      if (kind === 'history_resp') {
+        const reqId = String(parsed.req || '').trim();
+        if (reqId) s.historyAnswered.add(reqId);
+        if (fromPeer) s.lastRemoteSeenAt = nowMs();
+        if (String(parsed.to || '') !== selfAddress || !s.history.reqIds.has(reqId)) return accept();
+        s.history.answered = true;
+        const res = await mergeHistoryBatch(s, m?.json?.items, parsed);
+        if (res.drop) drop(res.drop);
+        else accept();
+        if (res.merged && isActive(s)) show('History synced', `${res.merged} message(s) from ${shortAddr(canonicalAddr)}`, 'success', 2000);
+        return;
+      }
 
-  useEffect(() => {
-    sendingRef.current = sending;
-  }, [sending]);
+      if (kind !== 'msg') return drop('unknown_type');
+      if (fromPeer) s.lastRemoteSeenAt = nowMs();
 
-  async function getActiveProfile() {
-    const api = L();
-    if (!api?.profiles?.getActive) throw new Error('lumen.profiles.getActive unavailable');
-    const p = await api.profiles.getActive();
-    const profileId = String(p?.id || '').trim();
-    const address = String(p?.walletAddress || p?.address || '').trim();
-    if (!profileId || !address) throw new Error('No active wallet profile');
-    return { profileId, address };
+      const read = await readMsgText(s, parsed, { withAttach: true });
+      if (read.drop) return drop(read.drop);
+      setPeerTyping(s, canonicalAddr, 0);
+      const entry = msgEntryFrom(checked, read);
+      pushMessage(entry, s.topic);
+      if (releaseHeldRevision(s, entry.id)?.kind === 'delete') return accept();
+      if (fromPeer) notifyRoomMessage(s, safeNick || 'anon', entry, !read.locked && textMentions(read.text, selfAddress, nickRef.current));
+      accept();
+    } catch {
+      // ignore invalid messages
+    }
   }
 
-  async function signPayload(profileId, address, payload) {
-    const api = L();
-    if (!api?.wallet?.signArbitrary) throw new Error('lumen.wallet.signArbitrary unavailable');
-    const res = await api.wallet.signArbitrary({ profileId, address, algo: 'ADR-036', payload });
-    if (!res?.ok) throw new Error(res?.error || 'sign failed');
-    return res;
+  function subscribedTopics() {
+    return Array.from(roomsRef.current.values()).flatMap((s) => s.topics);
   }
 
-  async function verifyPayload(payload, signatureB64, pubkeyB64, address) {
-    const api = L();
-    if (!api?.wallet?.verifyArbitrary) throw new Error('lumen.wallet.verifyArbitrary unavailable');
-    const res = await api.wallet.verifyArbitrary({
-      algo: 'ADR-036',
-      payload,
-      signatureB64,
-      pubkeyB64,
-      address,
-    });
-    const signatureValid = !!(res && (res.signatureValid ?? res.ok));
-    const addressMatches = !!(res && (res.addressMatches ?? res.ok));
-    const derivedAddress = String((res && (res.derivedAddress || res.derivedAddr)) || '').trim();
-    const error = res && res.error ? String(res.error) : '';
-    return { ok: !!(res && res.ok), signatureValid, addressMatches, derivedAddress, error };
+  // Subscribes one more room next to the ones already joined. Resolves to its session, or null if it was not joined.
+  async function joinRoom(name, mode, secret, { activate = true } = {}) {
+    const api = T();
+    const roomName = String(name || '').trim() || 'lobby';
+    const roomTopic = topicForRoom(roomName);
+    const existing = roomsRef.current.get(roomTopic);
+    if (existing) {
+      if (activate) openRoom(existing.room);
+      return existing;
+    }
+    if (roomsRef.current.size >= MAX_JOINED_ROOMS) {
+      show('Too many rooms', `Leave a room first (max ${MAX_JOINED_ROOMS})`, 'warning', 2400);
+      return null;
+    }
+    const mySeq = connectSeqRef.current;
+    let roomKey = null;
+    if (mode !== 'open') {
+      if (!String(secret || '').trim()) {
+        setErr(mode === 'password' ? 'Enter the room password.' : 'Enter the room invite key.');
+        return null;
+      }
+      try {
+        roomKey = await deriveRoomKey(roomTopic, mode, secret);
+      } catch (e) {
+        setErr(String(e?.message || e || 'Could not derive room key'));
+        return null;
+      }
+      if (connectSeqRef.current !== mySeq || roomsRef.current.has(roomTopic)) return null;
+    }
+
+    const s = createRoomSession(roomName, roomKey);
+    roomsRef.current.set(roomTopic, s); // reserve before awaiting
+    try {
+      const [names, recent, modLog] = await Promise.all([
+        dbGetNames(roomTopic).catch(() => ({})),
+        dbGetRecentMessages(roomTopic, 240).catch(() => []),
+        dbGetModEvents(roomTopic).catch(() => []),
+      ]);
+      s.names = new Map(Object.entries(names || {}));
+      // Seed with what is already stored so replays or history copies don't duplicate it.
+      for (const m of recent) if (m && m.id) s.seenMsgIds.add(m.id);
+      for (const r of outboxRef.current.values()) if (r.room === roomTopic) s.seenMsgIds.add(r.id);
+      s.history.since = recent.reduce((max, m) => (m && m.kind !== 'system' ? Math.max(max, Number(m.ts || 0) || 0) : max), 0);
+      setModLog(s, modLog);
+
+      const sub = await api.pubsub.subscribe(roomTopic, { encoding: 'json', autoConnect: true }, (m) => handleRoomEnvelope(s, m));
+      if (connectSeqRef.current !== mySeq || !isLive(s)) {
+        try { await sub.unsubscribe(); } catch {}
+        return null;
+      }
+      s.unsubscribe = sub.unsubscribe;
+      s.topics = Array.isArray(sub.topics) ? sub.topics : [];
+      s.link = LINK.createLink(nowMs());
+      setStatus((st) => ({ ...st, topics: subscribedTopics() }));
+      const entry = { room: roomName, topic: roomTopic, keyMode: roomKey ? mode : 'open', kid: roomKey ? roomKey.kid : '', live: true };
+      setJoinedRooms((prev) =>
+        prev.some((r) => r.topic === roomTopic) ? prev.map((r) => (r.topic === roomTopic ? entry : r)) : prev.concat(entry)
+      );
+      noteRoomActivity(roomTopic, recent.filter((m) => m && m.kind !== 'system').slice(-1), false);
+      if (roomKey) void unlockLockedMessages(roomKey);
+      if (activate) openRoom(roomName);
+    } catch (e) {
+      if (roomsRef.current.get(roomTopic) === s) roomsRef.current.delete(roomTopic);
+      throw e;
+    }
+
+    // announce my nickname and DM key (signed)
+    try {
+      s.lastProfileAt = nowMs();
+      await publishSigned('profile', { ...myDmFields(), ...myPowFields(s), ...myPresenceFields() }, roomTopic);
+    } catch {}
+    // ask peers for anything said since our newest stored message
+    void requestHistory(s);
+    return s;
   }
 
-  function markSeenNonce(address, nonce) {
-    const addr = String(address || '').trim();
-    const n = String(nonce || '').trim();
-    if (!addr || !n) return false;
-    const existing = recentNoncesRef.current.get(addr) || [];
-    if (existing.includes(n)) return false;
-    const next = existing.length >= 24 ? existing.slice(existing.length - 20) : existing.slice();
-    next.push(n);
-    recentNoncesRef.current.set(addr, next);
-    return true;
+  function openRoom(name) {
+    setActiveDm('');
+    setRoom(String(name || '').trim() || 'lobby');
   }
 
-  function isRateLimited(address) {
-    const addr = String(address || '').trim();
-    if (!addr) return true;
-    const last = lastAcceptedAtRef.current.get(addr) || 0;
-    const now = nowMs();
-    if (now - last < 1000) return true; // 1 msg/sec
-    lastAcceptedAtRef.current.set(addr, now);
-    return false;
+  async function runSearch() {
+    const f = searchForm;
+    const since = f.since ? new Date(`${f.since}T00:00:00`).getTime() : 0;
+    const until = f.until ? new Date(`${f.until}T23:59:59.999`).getTime() : 0;
+    if (!searchTerms(f.query).length && !String(f.author || '').trim()) {
+      show('Nothing to search', 'Type at least one word or an author', 'warning', 2000);
+      return;
+    }
+    setSearching(true);
+    try {
+      setSearchResults(await dbSearchMessages({ query: f.query, author: f.author, since, until }));
+    } catch (e) {
+      show('Search failed', String(e?.message || e || 'unknown error'), 'error', 2800);
+    } finally {
+      setSearching(false);
+    }
   }
 
-  function recordSpam(address) {
-    const addr = String(address || '').trim();
-    if (!addr) return 0;
-    const now = nowMs();
-    const prev = spamWindowRef.current.get(addr) || [];
-    const next = prev.filter((t) => now - t < AUTO_BLOCK_WINDOW_MS);
-    next.push(now);
-    spamWindowRef.current.set(addr, next);
-    return next.length;
+  // Shows a search hit in its room with the messages around it; the topic effect does the loading for another room.
+  async function jumpToMessage(hit) {
+    const focus = { topic: hit.topic, id: hit.id, ts: hit.ts, replyTo: hit.replyTo || '' };
+    focusRef.current = focus;
+    focusScrollRef.current = hit.id;
+    setFocusMsg(focus);
+    setSearchOpen(false);
+    if (hit.topic !== topicRef.current) {
+      openRoom(roomForTopic(hit.topic));
+      return;
+    }
+    setActiveDm('');
+    const rows = await dbGetMessagesAround(hit.topic, hit.ts).catch(() => []);
+    if (focusRef.current !== focus) return;
+    const blocked = blockedByAddrRef.current || {};
+    setMessages(rows.filter((m) => !blocked[m.addr]));
+    setOlderEnd(null);
+    if (focus.replyTo) setOpenThreads((prev) => ({ ...prev, [focus.replyTo]: true }));
   }
 
-  function updateName(address, nextNick) {
-    const addr = String(address || '').trim();
-    const nn = String(nextNick || '').trim().slice(0, 22);
-    if (!addr || !nn) return;
-    setNameByAddr((prev) => {
-      if (prev[addr] === nn) return prev;
-      return { ...prev, [addr]: nn };
-    });
-    const last = lastPersistedNameRef.current.get(addr) || '';
-    if (last !== nn) {
-      lastPersistedNameRef.current.set(addr, nn);
-      void dbPutName(topicRef.current, addr, nn, nowMs()).catch(() => {});
+  async function exportRoom(kind) {
+    const t = topicRef.current;
+    try {
+      const [rows, names] = await Promise.all([dbGetAllMessages(t), dbGetNames(t)]);
+      if (!rows.length) {
+        show('Nothing to export', 'No messages are stored for this room', 'info', 2000);
+        return;
+      }
+      const room = roomForTopic(t);
+      if (kind === 'md') downloadText(transcriptFileName(room, 'md'), buildTranscriptMarkdown(t, rows, names), 'text/markdown');
+      else downloadText(transcriptFileName(room, 'json'), buildTranscriptJson(t, rows, names), 'application/json');
+    } catch (e) {
+      show('Export failed', String(e?.message || e || 'unknown error'), 'error', 3200);
     }
   }
 
-  function isBlocked(address) {
-    const addr = String(address || '').trim();
-    if (!addr) return false;
-    return !!blockedByAddrRef.current[addr];
+  // Each envelope is re-checked like live traffic (PoW, signature, room). Nicks come from the signed payloads,
+  // never from the file's names map, and only fill in addresses we have no name for yet.
+  async function importTranscript(file) {
+    if (!file || importing) return;
+    let parsed;
+    try {
+      parsed = readTranscript(JSON.parse(await readFileAs(file, 'text')));
+    } catch {
+      parsed = { error: 'Not a JSON file' };
+    }
+    if (parsed.error) {
+      show('Import failed', parsed.error, 'error', 3200);
+      return;
+    }
+    const { topic: t, envelopes } = parsed;
+    setImporting(true);
+    try {
+      let s = roomsRef.current.get(t);
+      if (!s) {
+        // A room we have not joined still has its stored bans, which the transcript must not get past.
+        s = createRoomSession(roomForTopic(t));
+        setModLog(s, await dbGetModEvents(t).catch(() => []));
+      }
+      const known = new Map(Object.entries(await dbGetNames(t).catch(() => ({}))));
+      const nicks = new Map(); // addr -> { nick, ts }
+      const entries = [];
+      const revisions = [];
+      let rejected = 0;
+      for (const env of envelopes) {
+        const checked = await verifyEnvelope({ json: env }, t);
+        const kind = checked.ok ? String(checked.parsed.type || '') : '';
+        if (!['msg', 'edit', 'delete'].includes(kind)) {
+          rejected += 1;
+          continue;
+        }
+        if (isBlocked(checked.canonicalAddr, s) || isBanned(s, checked.canonicalAddr)) continue;
+        if (kind !== 'msg') {
+          revisions.push(checked);
+          continue;
+        }
+        const read = await readMsgText(s, checked.parsed, { withAttach: true });
+        if (read.drop) {
+          rejected += 1;
+          continue;
+        }
+        const entry = msgEntryFrom(checked, read, 'import');
+        entries.push(entry);
+        const nick = String(checked.parsed.nick || '').trim();
+        if (nick && entry.ts >= (nicks.get(entry.addr)?.ts || 0)) nicks.set(entry.addr, { nick, ts: entry.ts });
+      }
+      for (const entry of entries) void dbPutMessage(t, entry).catch(() => {});
+      for (const entry of entries) releaseHeldRevision(s, entry.id);
+      for (const checked of revisions) if ((await handleRevision(s, checked)).drop) rejected += 1;
+      for (const [addr, n] of nicks) if (!known.has(addr)) void dbPutName(t, addr, n.nick.slice(0, 22), n.ts).catch(() => {});
+      noteRoomActivity(t, entries, false);
+      if (t === topicRef.current && !activeDm) {
+        const names = await dbGetNames(t).catch(() => null);
+        if (names) {
+          lastPersistedNameRef.current = new Map(Object.entries(names));
+          setNameByAddr(names);
+        }
+        await backToLatest();
+      }
+      show(
+        'Imported',
+        `${entries.length} messages into #${roomLabelFor(roomForTopic(t))}${rejected ? ` · ${rejected} failed verification` : ''}`,
+        rejected ? 'warning' : 'success',
+        3200
+      );
+    } catch (e) {
+      show('Import failed', String(e?.message || e || 'unknown error'), 'error', 3200);
+    } finally {
+      setImporting(false);
+    }
   }
 
-  function blockUser(address, reason = 'manual', displayName) {
-    const addr = String(address || '').trim();
-    if (!addr) return;
-    if (addr && status.address && addr === status.address) return;
+  // Applies the retention policy of `topics` (default: every room that has one). Resolves to the messages removed.
+  async function compactRooms(topics = null) {
+    const policy = retentionRef.current;
+    let removed = 0;
+    for (const t of topics || Object.keys(policy)) {
+      const choice = retentionChoice(policy[t]);
+      if (!choice.days && !choice.count) continue;
+      const n = await dbCompactRoom(t, choice).catch(() => 0);
+      removed += n;
+      if (n && t === topicRef.current && !focusRef.current) await backToLatest();
+    }
+    return removed;
+  }
 
-    const display = String(displayName || nameByAddr[addr] || 'anon')
-      .trim()
-      .slice(0, 22) || 'anon';
-    const ts = nowMs();
-    setBlockedByAddr((prev) => {
-      if (prev && prev[addr]) return prev;
-      const next = { ...(prev || {}) };
-      next[addr] = { addr, name: display, blockedAt: ts, reason: String(reason || 'manual') };
-      return next;
-    });
+  async function refreshStorage() {
+    try {
+      const [rooms, estimate] = await Promise.all([
+        dbStorageStats(),
+        navigator.storage?.estimate ? navigator.storage.estimate().catch(() => null) : null,
+      ]);
+      const dmLabels = new Map();
+      const identity = dmIdentityRef.current;
+      if (identity) {
+        for (const peer of Object.keys(dmThreads)) {
+          dmLabels.set(await dmTopicFor(identity.addr, peer), `DM · ${displayNameOf(peer)}`);
+        }
+      }
+      const label = (t) =>
+        t.startsWith(DM_TOPIC_PREFIX) ? dmLabels.get(t) || 'DM (other profile)' : `#${roomLabelFor(roomForTopic(t))}`;
+      setStorageInfo({
+        rooms: rooms.map((r) => ({ ...r, label: label(r.topic) })),
+        usage: Number(estimate?.usage || 0) || 0,
+        quota: Number(estimate?.quota || 0) || 0,
+      });
+    } catch (e) {
+      show('Storage', String(e?.message || e || 'Could not read storage'), 'error', 2800);
+    }
+  }
 
-    setMessages((prev) => prev.filter((m) => m.addr !== addr));
-    try { presenceRef.current.delete(addr); } catch {}
-    show('User blocked', `${shortAddr(addr)} blocked in this room`, 'info', 2200);
+  async function enableNotifications() {
+    if (typeof Notification === 'undefined') return;
+    try {
+      setNotifyPerm(await Notification.requestPermission());
+    } catch {
+      setNotifyPerm(Notification.permission);
+    }
   }
 
-  function unblockUser(address) {
-    const addr = String(address || '').trim();
-    if (!addr) return;
-    setBlockedByAddr((prev) => {
-      if (!prev || !prev[addr]) return prev || {};
-      const next = { ...prev };
-      delete next[addr];
-      return next;
+  function setRoomNotifyMode(roomTopic, mode) {
+    setNotify((prev) => {
+      const modes = { ...prev.modes };
+      if (mode === NOTIFY_DEFAULT_MODE) delete modes[roomTopic];
+      else modes[roomTopic] = mode;
+      return { ...prev, modes };
     });
-    show('User unblocked', `${shortAddr(addr)} can speak again in this room`, 'success', 2200);
   }
 
-  function openUserModalFor(address) {
-    const addr = String(address || '').trim();
-    if (!addr) return;
-    if (addr && status.address && addr === status.address) return;
-    setUserModal({ addr });
+  function setDnd(patch) {
+    setNotify((prev) => ({ ...prev, dnd: { ...prev.dnd, ...patch } }));
   }
 
-  function pushMessage(entry) {
-    setMessages((prev) => {
-      const next = prev.length > 240 ? prev.slice(prev.length - 200) : prev.slice();
-      next.push(entry);
-      return next;
-    });
-    if (entry && (entry.kind === 'system' || entry.persist === false)) return;
-    void dbPutMessage(topicRef.current, entry).catch(() => {});
+  function openStorage() {
+    setStorageOpen(true);
+    setPendingPurgeTopic('');
+    void refreshStorage();
   }
 
-  function pushPresenceEvent(event, address) {
-    const ev = String(event || '').trim();
-    const addr = String(address || '').trim();
-    if (!ev || !addr) return;
-    const ts = nowMs();
-    pushMessage({ id: `sys:${ev}:${addr}:${ts}`, kind: 'system', event: ev, addr, ts, persist: false });
+  async function applyRetentionNow(topics = null) {
+    setCompacting(true);
+    try {
+      const removed = await compactRooms(topics);
+      show('Compacted', removed ? `${removed} messages removed` : 'Nothing to remove', 'info', 1800);
+      await refreshStorage();
+    } finally {
+      setCompacting(false);
+    }
   }
 
-  async function publishSigned(type, fields) {
-    const api = L();
-    if (!api?.pubsub?.publish) throw new Error('lumen.pubsub.publish unavailable');
-    const { profileId, address } = await getActiveProfile();
-    const safeNick = String(nick || '').trim().slice(0, 22) || 'anon';
-    const ts = nowMs();
-    const baseFields = {
-      room: topic,
-      ts: String(ts),
-      addr: address,
-      nick: safeNick,
-      ...fields,
-    };
-    const { payload, nonce } = await minePowPayload(type, baseFields, POW_DIFFICULTY_BITS);
-    const sig = await signPayload(profileId, address, payload);
-    const msg = {
-      t: type,
-      address: sig.address || address,
-      pubkeyB64: sig.pubkeyB64,
-      signatureB64: sig.signatureB64,
-      payload,
-    };
-    const res = await api.pubsub.publish(topic, msg, { encoding: 'json' });
-    if (!res?.ok) throw new Error(res?.error || 'publish failed');
-    return { address: msg.address, nonce, ts, type, payload };
+  async function purgeRoom(t) {
+    if (pendingPurgeTopic !== t) {
+      setPendingPurgeTopic(t);
+      return;
+    }
+    setPendingPurgeTopic('');
+    try {
+      await dbClearMessages(t);
+      if (t === topicRef.current) setMessages([]);
+      setRoomMeta((prev) => (prev[t] ? { ...prev, [t]: { unread: 0 } } : prev));
+      show('Deleted', 'Stored messages of this room were removed', 'info', 1800);
+    } catch (e) {
+      show('Delete failed', String(e?.message || e || 'unknown error'), 'error', 2800);
+    }
+    await refreshStorage();
+  }
+
+  async function backToLatest() {
+    focusRef.current = null;
+    focusScrollRef.current = '';
+    setFocusMsg(null);
+    const t = topicRef.current;
+    const rows = await dbGetRecentMessages(t, MESSAGE_PAGE_SIZE).catch(() => []);
+    if (topicRef.current !== t || focusRef.current) return;
+    const blocked = blockedByAddrRef.current || {};
+    stickToBottomRef.current = true;
+    setMessages(withOutbox(rows.filter((m) => !blocked[m.addr]), t));
+    setOlderEnd(rows.length < MESSAGE_PAGE_SIZE ? { topic: t, ts: Infinity } : null);
+  }
+
+  async function joinFromDraft() {
+    const name = String(joinDraft || '').trim();
+    if (!name) return;
+    setErr('');
+    try {
+      const s = await joinRoom(name, keyMode, keySecret);
+      if (!s) return;
+      setJoinDraft('');
+      setKeySecret('');
+      show('Joined', `Room: ${s.room}`, 'success', 1800);
+    } catch (e) {
+      show('Join failed', String(e?.message || e || 'unknown error'), 'error', 3200);
+    }
+  }
+
+  // A saved private room has no key after a reload; selecting it prefills the join form instead.
+  function selectRoom(r) {
+    if (roomsRef.current.has(r.topic) || !status.connected) {
+      openRoom(r.room);
+      if (!status.connected) setKeyMode(r.keyMode);
+      return;
+    }
+    setJoinDraft(r.room);
+    setKeyMode(r.keyMode);
+    setKeySecret('');
+    show('Key needed', r.keyMode === 'password' ? 'Enter the room password and press Join' : 'Paste the invite key and press Join', 'info', 2600);
+  }
+
+  async function leaveRoom(roomTopic) {
+    const s = roomsRef.current.get(roomTopic);
+    const rest = joinedRooms.filter((r) => r.topic !== roomTopic);
+    setJoinedRooms(rest);
+    setRoomMeta((prev) => {
+      const next = { ...prev };
+      delete next[roomTopic];
+      return next;
+    });
+    if (roomTopic === topicRef.current) {
+      const next = rest.find((r) => roomsRef.current.has(r.topic)) || (status.connected ? null : rest[0]);
+      if (next) openRoom(next.room);
+      else if (status.connected) {
+        await disconnect();
+        return;
+      }
+    }
+    if (!s) return;
+    s.left = true;
+    clearSessionTimers(s);
+    try { await publishSigned('leave', {}, roomTopic); } catch {}
+    try { if (s.unsubscribe) await s.unsubscribe(); } catch {}
+    if (roomsRef.current.get(roomTopic) === s) roomsRef.current.delete(roomTopic);
+    setStatus((st) => ({ ...st, topics: subscribedTopics() }));
   }
 
   async function connect() {
     if (status.connected) return;
     const mySeq = ++connectSeqRef.current;
     setErr('');
-    const api = L();
+    const api = T();
     if (!api?.pubsub?.subscribe) {
-      setErr('window.lumen.pubsub is not available in this context.');
+      setErr('window.lumen.pubsub is not available in this context (open with #transport=local to run without the Lumen host).');
       return;
     }
     if (!api?.wallet?.signArbitrary || !api?.wallet?.verifyArbitrary) {
-      setErr('window.lumen.wallet.signArbitrary/verifyArbitrary is not available in this context.');
+      setErr('window.lumen.wallet.signArbitrary/verifyArbitrary is not available in this context (try #signer=soft).');
+      return;
+    }
+    if (keyMode !== 'open' && !String(keySecret || '').trim()) {
+      setErr(keyMode === 'password' ? 'Enter the room password.' : 'Enter the room invite key.');
       return;
     }
 
     setRxStats({ total: 0, accepted: 0, dropped: 0, lastDrop: '' });
-    lastAcceptedAtRef.current = new Map();
-    recentNoncesRef.current = new Map();
-    seenMsgIdRef.current = new Set();
-    spamWindowRef.current = new Map();
-    lastPeerSeenAtRef.current = 0;
-    lastRemoteSeenAtRef.current = 0;
-    lastHeartbeatAtRef.current = 0;
-    presenceRef.current = new Map();
+    dmGuardRef.current = createGuardState();
+    dmKeyByPeerRef.current = new Map();
+    dhByAddrRef.current = new Map();
+    setRoomMeta({});
+    setDmMessages({});
+    setActiveDm('');
 
     show('Connecting', `Subscribing to ${topic}`, 'info', 2200);
 
     try {
       const { address: selfAddress } = await getActiveProfile();
+      selfAddrRef.current = selfAddress;
       updateName(selfAddress, nick);
-      const sub = await api.pubsub.subscribe(
-        topic,
-        { encoding: 'json', autoConnect: true },
-        async (m) => {
-          try {
-            setRxStats((s) => ({ ...s, total: s.total + 1 }));
-            const data = m?.json;
-            if (!data || typeof data !== 'object') {
-              const sample = String(m?.text || '').trim().replace(/\s+/g, ' ').slice(0, 60);
-              setRxStats((s) => ({
-                ...s,
-                dropped: s.dropped + 1,
-                lastDrop: sample ? `bad_json:${sample}` : 'bad_json',
-              }));
-              return;
-            }
-
-            const payload = String(data.payload || '');
-            const address = String(data.address || '').trim();
-            const pubkeyB64 = String(data.pubkeyB64 || '').trim();
-            const signatureB64 = String(data.signatureB64 || '').trim();
-            if (!payload || !address || !pubkeyB64 || !signatureB64) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'missing_fields' }));
-              return;
-            }
-
-            const parsed = decodePayload(payload);
-            if (!parsed) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'bad_payload' }));
-              return;
-            }
-            if (String(parsed.room || '') !== topic) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'wrong_room' }));
-              return;
-            }
-
-            const nonce = String(parsed.nonce || '').trim();
-            if (!nonce || nonce.length > 20) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'bad_nonce' }));
-              return;
-            }
-
-            try {
-              const okPow = await hasValidPow(payload, POW_DIFFICULTY_BITS);
-              if (!okPow) {
-                setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'bad_pow' }));
-                return;
-              }
-            } catch (e) {
-              const suffix = String(e?.message || e || '').trim();
-              setRxStats((s) => ({
-                ...s,
-                dropped: s.dropped + 1,
-                lastDrop: suffix ? `pow_error:${suffix.slice(0, 40)}` : 'pow_error',
-              }));
-              return;
-            }
-
-            const v = await verifyPayload(payload, signatureB64, pubkeyB64, address);
-            if (!v.signatureValid) {
-              const suffix = v.error ? `:${String(v.error).slice(0, 60)}` : '';
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: `bad_sig${suffix}` }));
-              return;
-            }
-
-            const canonicalAddr = v.derivedAddress || address;
-            const msgId = `${canonicalAddr}:${nonce}`;
-            if (seenMsgIdRef.current.has(msgId)) return;
-            seenMsgIdRef.current.add(msgId);
-
-            if (isBlocked(canonicalAddr)) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'blocked' }));
-              return;
-            }
-
-            if (!markSeenNonce(canonicalAddr, nonce)) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'nonce_replay' }));
-              return;
-            }
-
-            const safeNick = String(parsed.nick || '').trim().slice(0, 22);
-            if (safeNick) updateName(canonicalAddr, safeNick);
-
-            const kind = String(parsed.type || '');
-
-            const spamCount = recordSpam(canonicalAddr);
-            if (spamCount > AUTO_BLOCK_MAX_MESSAGES) {
-              blockUser(canonicalAddr, 'auto_spam', safeNick);
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'auto_blocked' }));
-              return;
-            }
-
-            // Presence (best-effort): emit join/leave events in the chat stream.
-            if (canonicalAddr && canonicalAddr !== selfAddress) {
-              if (kind === 'leave') {
-                if (presenceRef.current.has(canonicalAddr)) presenceRef.current.delete(canonicalAddr);
-                pushPresenceEvent('leave', canonicalAddr);
-              } else {
-                const existed = presenceRef.current.has(canonicalAddr);
-                presenceRef.current.set(canonicalAddr, { lastSeenAt: nowMs() });
-                if (!existed) pushPresenceEvent('join', canonicalAddr);
-              }
-            }
-
-            if (kind === 'profile') {
-              if (isRateLimited(canonicalAddr)) {
-                setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'rate_limited' }));
-                return;
-              }
-              if (canonicalAddr && canonicalAddr !== selfAddress) lastRemoteSeenAtRef.current = nowMs();
-              setRxStats((s) => ({ ...s, accepted: s.accepted + 1 }));
-              return;
-            }
-
-            if (kind === 'ping') {
-              if (canonicalAddr && canonicalAddr !== selfAddress) lastRemoteSeenAtRef.current = nowMs();
-              setRxStats((s) => ({ ...s, accepted: s.accepted + 1 }));
-              return;
-            }
-
-            if (kind === 'leave') {
-              if (canonicalAddr && canonicalAddr !== selfAddress) lastRemoteSeenAtRef.current = nowMs();
-              setRxStats((s) => ({ ...s, accepted: s.accepted + 1 }));
-              return;
-            }
-
-            if (kind !== 'msg') {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'unknown_type' }));
-              return;
-            }
-
-            if (isRateLimited(canonicalAddr)) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'rate_limited' }));
-              return;
-            }
-            if (canonicalAddr && canonicalAddr !== selfAddress) lastRemoteSeenAtRef.current = nowMs();
-
-            const txt = String(parsed.text || '').trim();
-            if (!txt) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'empty_text' }));
-              return;
-            }
-            if (txt.length > 500) {
-              setRxStats((s) => ({ ...s, dropped: s.dropped + 1, lastDrop: 'text_too_long' }));
-              return;
-            }
-
-            const ts = Number(parsed.ts || 0) || nowMs();
-            pushMessage({
-              id: msgId,
-              addr: canonicalAddr,
-              text: txt,
-              ts,
-            });
-            setRxStats((s) => ({ ...s, accepted: s.accepted + 1 }));
-          } catch {
-            // ignore invalid messages
-          }
-        }
-      );
-
-      if (connectSeqRef.current !== mySeq) {
-        try { await sub.unsubscribe(); } catch {}
-        return;
+      try {
+        dmIdentityRef.current = await loadOrCreateDmIdentity(selfAddress);
+      } catch {
+        dmIdentityRef.current = null; // DMs unavailable (no IndexedDB/WebCrypto); room chat still works
+      }
+      // Whatever did not go out last time is published again once its room is joined.
+      const pending = await dbGetOutbox(selfAddress).catch(() => []);
+      outboxRef.current = new Map(pending.map((r) => [r.id, { ...r, nextAt: 0 }]));
+      for (const r of pending) if (r.peer) dmGuardRef.current.seenMsgIds.add(r.id);
+      setMessages((prev) => withOutbox(prev, topicRef.current));
+      const threads = loadDmThreads(selfAddress);
+      for (const th of Object.values(threads)) {
+        if (th && isDmPubKey(th.dh)) dhByAddrRef.current.set(String(th.peer || ''), th.dh);
       }
+      setDmThreads(threads);
+      if (connectSeqRef.current !== mySeq) return;
+
+      const saved = joinedRooms.filter((r) => r.topic !== topic);
+      const first = await joinRoom(room, keyMode, keySecret);
+      if (!first || connectSeqRef.current !== mySeq) return;
 
-      subRef.current.unsubscribe = sub.unsubscribe;
       setStatus({
         connected: true,
         topic,
-        subId: String(sub.subId || ''),
+        subId: '',
         address: selfAddress,
-        topics: Array.isArray(sub.topics) ? sub.topics : [],
+        topics: subscribedTopics(),
       });
       show('Connected', `Room: ${room}`, 'success', 1800);
+      for (const peer of Object.keys(threads)) void ensureDmSubscription(peer, { force: true });
+      if (outboxRef.current.size) void flushOutbox();
 
-      // announce my nickname (signed)
-      try {
-        await publishSigned('profile', {});
-      } catch {}
+      // Rejoin the other saved open rooms in the background; private ones wait for their key.
+      for (const r of saved) {
+        if (r.keyMode !== 'open') continue;
+        if (connectSeqRef.current !== mySeq) return;
+        try {
+          await joinRoom(r.room, 'open', '', { activate: false });
+        } catch {}
+      }
     } catch (e) {
       setErr(String(e?.message || e || 'Connect failed'));
       show('Connect failed', String(e?.message || e || 'unknown error'), 'error', 3500);
@@ -823,32 +4622,54 @@ function App() {
   async function disconnect() {
     connectSeqRef.current += 1;
     setPeerCount(0);
-    try {
-      if (status.connected) await publishSigned('leave', {});
-    } catch {}
-    try {
-      const u = subRef.current.unsubscribe;
-      subRef.current.unsubscribe = null;
-      if (u) await u();
-    } catch {}
-    presenceRef.current = new Map();
+    const sessions = Array.from(roomsRef.current.values());
+    for (const s of sessions) clearSessionTimers(s);
+    for (const s of sessions) {
+      try {
+        if (status.connected) await publishSigned('leave', {}, s.topic);
+      } catch {}
+    }
+    roomsRef.current = new Map();
+    for (const s of sessions) {
+      s.left = true;
+      try {
+        if (s.unsubscribe) await s.unsubscribe();
+      } catch {}
+    }
+    await closeDmSubscriptions();
+    cancelPowJobs();
+    outboxRef.current = new Map(); // stays in the database for the next connect
+    linkStateRef.current = 'connected';
+    setLinkState('connected');
+    dmIdentityRef.current = null;
+    setActiveDm('');
+    setJoinedRooms((prev) => prev.map((r) => ({ ...r, kid: '', live: false })));
+    setPowLevel(null);
+    setRoster([]);
+    setTypingBy({});
     setStatus({ connected: false, topic: '', subId: '', address: '', topics: [] });
     show('Disconnected', 'Stopped listening to PubSub', 'info', 1800);
   }
 
-  // PubSub peer count (best-effort)
+  // PubSub peer count per joined room (best-effort); the header shows the active room's.
   useEffect(() => {
     if (!status.connected) return;
     let alive = true;
-    const api = L();
+    const api = T();
     const tick = async () => {
-      if (!alive) return;
-      try {
-        const res = await api?.pubsub?.peers?.(topic);
-        const peers = Array.isArray(res?.peers) ? res.peers : [];
-        if (peers.length > 0) lastPeerSeenAtRef.current = nowMs();
-        if (alive) setPeerCount(peers.length);
-      } catch {}
+      for (const s of Array.from(roomsRef.current.values())) {
+        if (!alive) return;
+        try {
+          const res = await api?.pubsub?.peers?.(s.topic);
+          if (res?.ok === false) throw new Error(res.error || 'peers failed');
+          const peers = Array.isArray(res?.peers) ? res.peers : [];
+          if (peers.length > 0) s.lastPeerSeenAt = nowMs();
+          if (s.link) LINK.notePeers(s.link, peers.length, nowMs());
+          if (alive && isActive(s)) setPeerCount(peers.length);
+        } catch {
+          if (s.link) LINK.notePeersFailed(s.link);
+        }
+      }
     };
     tick();
     const t = setInterval(tick, 2500);
@@ -866,12 +4687,21 @@ function App() {
       if (!alive) return;
       const now = nowMs();
       const selfAddr = String(status.address || '').trim();
-      for (const [addr, rec] of presenceRef.current.entries()) {
-        if (!addr || addr === selfAddr) continue;
-        const lastSeenAt = Number(rec?.lastSeenAt || 0) || 0;
-        if (lastSeenAt && now - lastSeenAt > PRESENCE_LEAVE_TIMEOUT_MS) {
-          presenceRef.current.delete(addr);
-          pushPresenceEvent('leave', addr);
+      for (const s of roomsRef.current.values()) {
+        for (const [addr, rec] of s.presence.entries()) {
+          if (!addr || addr === selfAddr) continue;
+          const lastSeenAt = Number(rec?.lastSeenAt || 0) || 0;
+          if (lastSeenAt && now - lastSeenAt > PRESENCE_LEAVE_TIMEOUT_MS) {
+            s.presence.delete(addr);
+            pushPresenceEvent(s, 'leave', addr);
+          }
+        }
+        syncRoster(s); // also ages idle states and last-seen times on screen
+        const expired = ['powLevel', 'powRaise'].filter((f) => s[f] && s[f].until <= now);
+        if (expired.length) {
+          for (const f of expired) s[f] = null;
+          const lvl = livePowLevel(s);
+          if (isActive(s)) setPowLevel(lvl ? { bits: lvl.bits, until: lvl.until } : null);
         }
       }
     };
@@ -882,26 +4712,26 @@ function App() {
     };
   }, [status.connected, status.address]);
 
-  // Heartbeat (signed + PoW) to keep PubSub streams active.
+  // Heartbeat (signed + PoW) to keep every joined room's PubSub stream active.
   useEffect(() => {
     if (!status.connected) return;
     let alive = true;
 
     const tick = async () => {
-      if (!alive) return;
-      if (sendingRef.current) return;
-      const peerSeenAt = Math.max(lastPeerSeenAtRef.current, lastRemoteSeenAtRef.current);
-      if (!peerSeenAt) return; // don't mine heartbeats while truly alone
-      const now = nowMs();
-      if (now - lastHeartbeatAtRef.current < HEARTBEAT_INTERVAL_MS - 500) return;
-      if (heartbeatInFlightRef.current) return;
+      for (const s of Array.from(roomsRef.current.values())) {
+        if (!alive || sendingRef.current) return;
+        if (!isLive(s) || s.heartbeatInFlight) continue;
+        const peerSeenAt = Math.max(s.lastPeerSeenAt, s.lastRemoteSeenAt);
+        if (!peerSeenAt) continue; // don't mine heartbeats while truly alone
+        if (nowMs() - s.lastHeartbeatAt < HEARTBEAT_INTERVAL_MS - 500) continue;
 
-      heartbeatInFlightRef.current = true;
-      try {
-        await publishSigned('ping', {});
-        lastHeartbeatAtRef.current = nowMs();
-      } catch {}
-      heartbeatInFlightRef.current = false;
+        s.heartbeatInFlight = true;
+        try {
+          await publishSigned('ping', { ...myDmFields(), ...myPresenceFields() }, s.topic);
+          s.lastHeartbeatAt = nowMs();
+        } catch {}
+        s.heartbeatInFlight = false;
+      }
     };
 
     const t0 = setTimeout(tick, HEARTBEAT_FIRST_DELAY_MS);
@@ -910,52 +4740,456 @@ function App() {
       alive = false;
       try { clearTimeout(t0); } catch {}
       try { clearInterval(t); } catch {}
-      heartbeatInFlightRef.current = false;
+      for (const s of roomsRef.current.values()) s.heartbeatInFlight = false;
     };
-  }, [status.connected, topic]);
+  }, [status.connected]);
+
+  // Connection supervisor: replaces room subscriptions that went quiet (sleep/wake, a dropped host connection)
+  // with back-off, and keeps the link pill and the send queue in step.
+  useEffect(() => {
+    if (!status.connected) return;
+    let alive = true;
+    let lastTickAt = nowMs();
+    const live = () => Array.from(roomsRef.current.values()).filter((s) => isLive(s) && s.link);
+
+    const tick = () => {
+      if (!alive) return;
+      const now = nowMs();
+      if (LINK.sleptThrough(lastTickAt, now, SUPERVISE_INTERVAL_MS)) {
+        for (const s of live()) LINK.retryNow(s.link, now, 'wake');
+        void reopenDmSubscriptions();
+      }
+      lastTickAt = now;
+      for (const s of live()) {
+        const why = LINK.stallReason(s.link, now);
+        if (why) LINK.startRetry(s.link, now, why);
+        if (LINK.retryDue(s.link, now)) void resubscribeRoom(s);
+      }
+      syncLinkState();
+      if (outboxRef.current.size) void flushOutbox();
+    };
+    const onOffline = () => {
+      for (const s of live()) LINK.startRetry(s.link, nowMs(), 'offline');
+      syncLinkState();
+    };
+    const onOnline = () => {
+      for (const s of live()) LINK.retryNow(s.link, nowMs(), 'online');
+      void reopenDmSubscriptions();
+      tick();
+    };
+
+    const t = setInterval(tick, SUPERVISE_INTERVAL_MS);
+    window.addEventListener('offline', onOffline);
+    window.addEventListener('online', onOnline);
+    return () => {
+      alive = false;
+      try { clearInterval(t); } catch {}
+      window.removeEventListener('offline', onOffline);
+      window.removeEventListener('online', onOnline);
+    };
+  }, [status.connected]);
+
+  function syncLinkState() {
+    const now = nowMs();
+    const sessions = Array.from(roomsRef.current.values()).filter((s) => isLive(s) && s.link);
+    const next = LINK.worstQuality(sessions.map((s) => LINK.linkQuality(s.link, now)));
+    linkStateRef.current = next;
+    setLinkState(next);
+  }
+
+  // Direct messages ride on the same host connection as the rooms; DMs have no session of their own to watch.
+  function isReconnecting(s) {
+    return s ? s.link?.state === 'reconnecting' : linkStateRef.current === 'reconnecting';
+  }
+
+  // Swaps in a new subscription for a stalled room. Dedup, nonce and rate state stay (the same envelopes may
+  // arrive again); typing indicators go, and peers are asked for what was said in the gap.
+  async function resubscribeRoom(s) {
+    const api = T();
+    const mySeq = connectSeqRef.current;
+    const link = s.link;
+    LINK.beginRetry(link);
+    syncLinkState();
+    const old = s.unsubscribe;
+    s.unsubscribe = null;
+    try {
+      if (old) await old();
+    } catch {}
+    try {
+      const sub = await api.pubsub.subscribe(s.topic, { encoding: 'json', autoConnect: true }, (m) => handleRoomEnvelope(s, m));
+      if (connectSeqRef.current !== mySeq || !isLive(s)) {
+        try { await sub.unsubscribe(); } catch {}
+        return;
+      }
+      s.unsubscribe = sub.unsubscribe;
+      s.topics = Array.isArray(sub.topics) ? sub.topics : s.topics;
+      LINK.resubscribed(link, nowMs());
+    } catch {
+      LINK.retryFailed(link, nowMs());
+      syncLinkState();
+      return;
+    }
+    syncLinkState();
+    s.typing.clear();
+    if (isActive(s)) setTypingBy({});
+    s.heartbeatInFlight = false;
+    const newest = await dbGetRecentMessages(s.topic, 1).catch(() => []);
+    s.history.since = Math.max(s.history.since, Number(newest[0]?.ts || 0) || 0);
+    s.history.answered = false;
+    s.history.asks = 0;
+    s.lastProfileAt = nowMs();
+    try {
+      await publishSigned('profile', { ...myDmFields(), ...myPowFields(s), ...myPresenceFields() }, s.topic);
+    } catch {}
+    void requestHistory(s);
+    void flushOutbox();
+  }
+
+  async function reopenDmSubscriptions() {
+    const peers = Array.from(dmSubsRef.current.keys());
+    await closeDmSubscriptions();
+    for (const peer of peers) void ensureDmSubscription(peer, { force: true });
+  }
+
+  // Signs a chat message for a room (or a DM when `dmPeer` is set), keeps it in the outbox and publishes it,
+  // unless its link is reconnecting or older messages for the same place are still waiting.
+  async function publishChat(s, dmPeer, msg, { replyTo = '', withAttach = null } = {}) {
+    let signed;
+    let pubTopic;
+    let encrypted = false;
+    let attach = null;
+    if (dmPeer) {
+      const dmKey = await getDmKey(dmPeer);
+      if (!dmKey) throw new Error('No DM key for this user yet');
+      const fields = { ...(await sealText(dmKey, msg)), to: dmPeer, ...myDmFields() };
+      pubTopic = dmKey.topic;
+      signed = await signEnvelope('msg', fields, pubTopic);
+      encrypted = true;
+    } else {
+      const roomKey = s.roomKey;
+      const fields = roomKey ? await sealText(roomKey, msg) : { text: msg };
+      if (replyTo) fields.reply_to = replyTo;
+      if (withAttach) {
+        // Keep the upload so a failed publish can be retried without adding the file again.
+        attach = withAttach.saved || (await saveAttachment(withAttach.file));
+        setPendingAttach((prev) => (prev?.file === withAttach.file ? { ...prev, saved: attach } : prev));
+        Object.assign(fields, attachFields(attach));
+      }
+      pubTopic = s.topic;
+      s.lastChatAt = nowMs();
+      signed = await signEnvelope('msg', fields, pubTopic);
+      encrypted = !!roomKey;
+      s.lastTypingAt = 0; // the message itself clears our indicator at the receivers
+    }
+    const msgId = `${signed.address}:${signed.nonce}`;
+    const g = dmPeer ? dmGuardRef.current : s;
+    g.seenMsgIds.add(msgId);
+    markSeenNonce(g, signed.address, signed.nonce);
+    if (!dmPeer) updateName(signed.address, String(nickRef.current || '').trim().slice(0, 22));
+    const entry = {
+      id: msgId,
+      addr: signed.address,
+      text: msg,
+      ts: signed.ts || nowMs(),
+      envelope: signed.envelope,
+      verified: { via: 'own', at: nowMs() },
+      ...(encrypted ? { encrypted: true } : {}),
+      ...(replyTo ? { replyTo } : {}),
+      ...(attach ? { attach } : {}),
+    };
+    const row = {
+      id: msgId,
+      addr: signed.address,
+      topic: pubTopic,
+      room: dmPeer ? '' : s.topic,
+      peer: dmPeer || '',
+      envelope: signed.envelope,
+      entry,
+      state: 'pending',
+      tries: 0,
+      nextAt: 0,
+      error: '',
+      createdAt: nowMs(),
+    };
+    const waiting = Array.from(outboxRef.current.values()).some((r) => outboxPlace(r) === outboxPlace(row));
+    await putOutbox(row);
+    if (dmPeer) pushDmMessage(dmPeer, outboxEntry(row));
+    else pushMessage(outboxEntry(row), s.topic);
+    if (waiting || isReconnecting(dmPeer ? null : s)) {
+      void flushOutbox();
+      return;
+    }
+    if (!(await sendOutboxRow(row))) {
+      show('Not sent yet', `${row.error}. It stays pending and is retried automatically.`, 'warning', 3200);
+    }
+  }
+
+  function outboxPlace(row) {
+    return row.peer ? `dm:${row.peer}` : row.room;
+  }
+
+  function outboxEntry(row) {
+    return { ...row.entry, outbox: row.state, outboxError: row.error || '', persist: false };
+  }
+
+  // Adds the outbox rows of a room (or of a DM peer) to timeline rows loaded from the database.
+  function withOutbox(rows, roomTopic, peer = '') {
+    const ids = new Set(rows.map((m) => m.id));
+    const extra = Array.from(outboxRef.current.values())
+      .filter((r) => (peer ? r.peer === peer : !r.peer && r.room === roomTopic) && !ids.has(r.id))
+      .map(outboxEntry);
+    return extra.length ? rows.concat(extra).sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0)) : rows;
+  }
+
+  // Replaces (or with `entry` null removes) a row's message in the timeline on screen, if it is there.
+  function showOutboxEntry(row, entry) {
+    const apply = (list) => (entry ? list.map((m) => (m.id === row.id ? entry : m)) : list.filter((m) => m.id !== row.id));
+    if (row.peer) setDmMessages((prev) => (prev[row.peer] ? { ...prev, [row.peer]: apply(prev[row.peer]) } : prev));
+    else if (row.room === topicRef.current) setMessages(apply);
+  }
+
+  async function putOutbox(row) {
+    outboxRef.current.set(row.id, row);
+    await dbPutOutbox(row).catch(() => {});
+  }
+
+  // One publish attempt; on success the message becomes an ordinary stored one.
+  async function sendOutboxRow(row) {
+    row.tries += 1;
+    const s = row.peer ? null : roomsRef.current.get(row.room);
+    if (s) s.lastChatAt = nowMs();
+    try {
+      await publishEnvelope(row.topic, row.envelope, row.id);
+    } catch (e) {
+      if (!outboxRef.current.has(row.id)) return false; // discarded meanwhile
+      row.state = 'failed';
+      row.error = String(e?.message || e || 'publish failed');
+      row.nextAt = nowMs() + LINK.backoffDelay(row.tries, OUTBOX_RETRY);
+      await putOutbox(row);
+      showOutboxEntry(row, outboxEntry(row));
+      return false;
+    }
+    outboxRef.current.delete(row.id);
+    void dbDeleteOutbox(row.id).catch(() => {});
+    showOutboxEntry(row, row.entry);
+    void dbPutMessage(row.topic, row.entry).catch(() => {});
+    if (!row.peer) noteRoomActivity(row.room, [row.entry], false);
+    return true;
+  }
+
+  // The next row to publish: the oldest one of each room or DM goes first, so a row waiting out its back-off
+  // (or the room's slow mode) holds back the newer ones behind it instead of being overtaken.
+  function nextOutboxRow(now) {
+    const held = new Set();
+    for (const r of outboxRef.current.values()) {
+      const place = outboxPlace(r);
+      if (held.has(place)) continue;
+      held.add(place);
+      const s = r.peer ? null : roomsRef.current.get(r.room);
+      const reachable = r.peer ? !!dmIdentityRef.current : isLive(s);
+      if (reachable && !isReconnecting(s) && r.nextAt <= now && !(s && slowModeWait(s, now))) return r;
+    }
+    return null;
+  }
+
+  // Publishes the outbox oldest first, one message per OUTBOX_SEND_GAP_MS: receivers rate-limit each sender,
+  // and a copy they drop for that still counts as seen.
+  async function flushOutbox() {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      for (;;) {
+        const row = nextOutboxRow(nowMs());
+        if (!row) return;
+        const wait = OUTBOX_SEND_GAP_MS - (nowMs() - lastSentAtRef.current);
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+        if (!outboxRef.current.has(row.id)) continue;
+        lastSentAtRef.current = nowMs();
+        await sendOutboxRow(row);
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }
+
+  function retryOutbox(id) {
+    const row = outboxRef.current.get(id);
+    if (!row) return;
+    row.nextAt = 0;
+    row.state = 'pending';
+    showOutboxEntry(row, outboxEntry(row));
+    if (isReconnecting(row.peer ? null : roomsRef.current.get(row.room))) show('Waiting for the connection', 'It is sent once the room is back', 'info', 2200);
+    void flushOutbox();
+  }
+
+  async function discardOutbox(m) {
+    const row = outboxRef.current.get(m.id) || { id: m.id, peer: activeDm, room: topicRef.current };
+    outboxRef.current.delete(m.id);
+    await dbDeleteOutbox(m.id).catch(() => {});
+    showOutboxEntry(row, null);
+  }
+
+  // `override` sends that text instead of the draft (a slash command's output); as a click handler it is an event.
+  async function sendMessage(override) {
+    const s = sessionFor();
+    if (!status.connected || !s) {
+      show('Not connected', 'Connect to a room first', 'warning', 2200);
+      return;
+    }
+    if (sending) return;
+    const draft = String(text || '').trim();
+    const command = typeof override === 'string' || editingId ? null : parseSlashCommand(draft);
+    if (command) {
+      await runSlashCommand(command);
+      return;
+    }
+    const msg = typeof override === 'string' ? override.trim() : draft.startsWith('//') ? draft.slice(1) : draft;
+    // Command output (`override`) goes out on its own; a staged file waits for the next real message.
+    const withAttach = pendingAttach && !editingId && typeof override !== 'string' ? pendingAttach : null;
+    if (!msg && !withAttach) return;
+    if (withAttach && (activeDm || s.roomKey)) {
+      show('Attachments are public', 'Files can only be shared in open rooms', 'warning', 2600);
+      return;
+    }
+    const textMax = activeDm ? MSG_TEXT_MAX : roomTextMax(s);
+    if (msg.length > textMax) {
+      show('Message too long', `Max ${textMax} characters`, 'warning', 2200);
+      return;
+    }
+    if (!canSendNow()) {
+      show('Slow down', '1 message per second', 'warning', 1600);
+      return;
+    }
+    const slowWait = activeDm || editingId ? 0 : slowModeWait(s);
+    if (slowWait > 0) {
+      show('Slow mode', `One message every ${s.config.slowS}s in this room; wait ${Math.ceil(slowWait / 1000)}s`, 'warning', 2200);
+      return;
+    }
+    const dmPeer = activeDm;
+    const replyTo = dmPeer ? '' : replyToId;
+    if (!dmPeer && peerCount <= 0 && nowMs() - Math.max(s.lastPeerSeenAt, s.lastRemoteSeenAt) > PEER_STALE_MS) {
+      show('No peers detected', 'Message will be sent anyway, but may not be received yet.', 'info', 2400);
+    }
+    setSending(true);
+    lastSentAtRef.current = nowMs();
+    try {
+      if (editingId && !dmPeer) {
+        const roomKey = s.roomKey;
+        const target = editingId;
+        const fields = { target, ...(roomKey ? await sealText(roomKey, msg) : { text: msg }) };
+        const res = await publishSigned('edit', fields, s.topic);
+        s.seenMsgIds.add(`${res.address}:${res.nonce}`);
+        markSeenNonce(s, res.address, res.nonce);
+        applyRevision(s.topic, target, {
+          kind: 'edit',
+          ts: res.ts,
+          id: target,
+          addr: res.address,
+          envelope: res.envelope,
+          text: msg,
+          encrypted: !!roomKey,
+        });
+        cancelEdit();
+        return;
+      }
+
+      await publishChat(s, dmPeer, msg, { replyTo, withAttach });
+      setText('');
+      if (replyTo) setReplyToId('');
+      if (withAttach) setPendingAttach(null);
+      stickToBottomRef.current = true;
+    } catch (e) {
+      if (String(e?.message || '') === 'pow_cancelled') return; // disconnected while mining
+      show('Send failed', String(e?.message || e || 'unknown error'), 'error', 3200);
+    } finally {
+      setSending(false);
+    }
+  }
+
+  // A local-only line in whichever timeline is on screen (never stored or sent).
+  function pushLocalNote(event, text) {
+    const entry = { id: `sys:${event}:${nowMs()}:${Math.random().toString(36).slice(2, 6)}`, kind: 'system', event, text, ts: nowMs(), persist: false };
+    const peer = activeDmRef.current;
+    if (peer) setDmMessages((prev) => ({ ...prev, [peer]: (prev[peer] || []).concat(entry) }));
+    else pushMessage(entry);
+  }
 
-  async function sendMessage() {
-    if (!status.connected) {
-      show('Not connected', 'Connect to a room first', 'warning', 2200);
+  // What slash commands can do; see SLASH_COMMANDS.
+  const commandCtx = {
+    send: (t) => sendMessage(t),
+    setNick: async (arg) => {
+      const nn = arg.slice(0, 22);
+      nickRef.current = nn;
+      setNick(nn);
+      if (status.address) updateName(status.address, nn);
+      await announceProfile();
+      show('Nick changed', `You are now ${nn}`, 'success', 1800);
+    },
+    join: async (arg) => {
+      const s = await joinRoom(arg, 'open', '');
+      if (s) show('Joined', `Room: ${s.room}`, 'success', 1800);
+    },
+    leave: () => leaveRoom(topicRef.current),
+    block: (arg) => blockUser(resolveUserArg(arg, nameByAddr), 'manual'),
+    unblock: (arg) => {
+      const names = { ...nameByAddr };
+      for (const b of Object.values(blockedByAddr || {})) if (b?.addr) names[b.addr] = b.name;
+      const addr = resolveUserArg(arg, names);
+      if (!blockedByAddr?.[addr]) throw new Error(`${names[addr] || shortAddr(addr)} is not blocked`);
+      unblockUser(addr);
+    },
+    clear: () => {
+      if (activeDm) setDmMessages((prev) => ({ ...prev, [activeDm]: [] }));
+      else setMessages([]);
+    },
+    stats: () =>
+      pushLocalNote(
+        'stats',
+        `Received ${rxStats.total}, accepted ${rxStats.accepted}, dropped ${rxStats.dropped}${rxStats.lastDrop ? ` (last: ${rxStats.lastDrop})` : ''}.`
+      ),
+    exportRoom: (arg) => {
+      const kind = String(arg || 'md').toLowerCase();
+      if (kind !== 'md' && kind !== 'json') throw new Error('Export as md or json');
+      return exportRoom(kind);
+    },
+    help: (arg) => {
+      const c = slashCommand(String(arg || '').replace(/^\//, '').toLowerCase());
+      if (c) show(slashUsage(c), c.help, 'info', 3200);
+      else pushLocalNote('help', `Commands: ${SLASH_COMMANDS.map(slashUsage).join(', ')}. Start with // to send a literal /.`);
+    },
+  };
+
+  async function runSlashCommand({ name, arg }) {
+    const c = slashCommand(name);
+    if (!c) {
+      show('Unknown command', `/${name} is not a command. Try /help, or //${name} to send it as text.`, 'warning', 2800);
       return;
     }
-    if (sending) return;
-    const msg = String(text || '').trim();
-    if (!msg) return;
-    if (msg.length > 500) {
-      show('Message too long', 'Max 500 characters', 'warning', 2200);
+    if (c.room && activeDm) {
+      show('Not in a DM', `${slashUsage(c)} works in a room`, 'warning', 2200);
       return;
     }
-    if (!canSendNow()) {
-      show('Slow down', '1 message per second', 'warning', 1600);
+    if (c.args.startsWith('<') && !arg) {
+      show('Usage', `${slashUsage(c)} — ${c.help}`, 'info', 2600);
       return;
     }
-    if (peerCount <= 0 && nowMs() - Math.max(lastPeerSeenAtRef.current, lastRemoteSeenAtRef.current) > PEER_STALE_MS) {
-      show('No peers detected', 'Message will be sent anyway, but may not be received yet.', 'info', 2400);
-    }
-    setSending(true);
-    lastSentAtRef.current = nowMs();
+    setText('');
     try {
-      const res = await publishSigned('msg', { text: msg });
-      setText('');
-      if (res?.address && res?.nonce) {
-        updateName(res.address, String(nick || '').trim().slice(0, 22));
-        const msgId = `${res.address}:${res.nonce}`;
-        if (!seenMsgIdRef.current.has(msgId)) {
-          seenMsgIdRef.current.add(msgId);
-          markSeenNonce(res.address, res.nonce);
-          pushMessage({
-            id: msgId,
-            addr: res.address,
-            text: msg,
-            ts: res.ts || nowMs(),
-          });
-        }
-      }
+      await c.run(commandCtx, arg);
     } catch (e) {
-      show('Send failed', String(e?.message || e || 'unknown error'), 'error', 3200);
-    } finally {
-      setSending(false);
+      setText(`/${c.name} ${arg}`.trim());
+      show(`/${c.name} failed`, String(e?.message || e || 'unknown error'), 'error', 3000);
+    }
+  }
+
+  // Silent re-announce, e.g. when the away flag changes.
+  async function announceProfile() {
+    for (const s of Array.from(roomsRef.current.values())) {
+      if (!isLive(s)) continue;
+      s.lastProfileAt = nowMs();
+      try {
+        await publishSigned('profile', { ...myDmFields(), ...myPowFields(s), ...myPresenceFields() }, s.topic);
+      } catch {}
     }
   }
 
@@ -970,8 +5204,11 @@ function App() {
     }
     lastSentAtRef.current = nowMs();
     try {
-      await publishSigned('profile', {});
-      show('Updated', 'Your display name was broadcast', 'success', 1600);
+      for (const s of Array.from(roomsRef.current.values())) {
+        s.lastProfileAt = nowMs();
+        await publishSigned('profile', { ...myDmFields(), ...myPowFields(s), ...myPresenceFields() }, s.topic);
+      }
+      show('Updated', 'Your name and status were broadcast', 'success', 1600);
     } catch (e) {
       show('Update failed', String(e?.message || e || 'unknown error'), 'error', 2800);
     }
@@ -989,13 +5226,451 @@ function App() {
     return values;
   }, [blockedByAddr]);
 
+  const activeSession = sessionFor(topic);
   const isAlone =
-    status.connected && peerCount <= 0 && nowMs() - Math.max(lastPeerSeenAtRef.current, lastRemoteSeenAtRef.current) > PEER_STALE_MS;
-  const composeDisabled = !status.connected || sending;
+    !!activeSession && peerCount <= 0 && nowMs() - Math.max(activeSession.lastPeerSeenAt, activeSession.lastRemoteSeenAt) > PEER_STALE_MS;
+  const activeJoin = joinedRooms.find((r) => r.topic === topic && r.live) || null;
+  const roomKeyInfo = activeJoin?.kid ? { kid: activeJoin.kid, mode: activeJoin.keyMode } : null;
+  const composeDisabled = !status.connected || sending || (!activeDm && !activeSession);
+  const canAttach = !activeDm && !roomKeyInfo && !editingId;
+
+  const dmList = useMemo(() => {
+    const values = Object.values(dmThreads || {}).filter((th) => th && th.peer);
+    values.sort((a, b) => Number(b.lastTs || 0) - Number(a.lastTs || 0));
+    return values;
+  }, [dmThreads]);
+  const dmUnreadTotal = dmList.reduce((n, th) => n + (Number(th.unread || 0) || 0), 0);
+  const roomOwner = roomOwnerOf(topic);
+  const roomLabel = roomLabelFor(room);
+  const roomUnreadTotal = joinedRooms.reduce((n, r) => n + (Number(roomMeta[r.topic]?.unread || 0) || 0), 0);
+  const unreadTotal = roomUnreadTotal + dmUnreadTotal;
+  useEffect(() => showUnreadBadge(unreadTotal), [unreadTotal]);
+  const modState = useMemo(() => replayModLog(roomOwner, modEvents), [roomOwner, modEvents]);
+  const amOwner = !!(status.address && status.address === roomOwner);
+  const amMod = amOwner || (modState.mods.has(status.address) && !modState.bans.has(status.address));
+  const composerMax = activeDm ? MSG_TEXT_MAX : roomConfig?.maxLen || MSG_TEXT_MAX;
+  const editConfigForm = (key) => (e) => {
+    const v = String(e?.target?.value || '');
+    setConfigForm((prev) => (prev ? { ...prev, [key]: v } : prev));
+  };
+  const roomLimits = roomConfig
+    ? [
+        roomConfig.slowS ? `Slow mode: 1 message every ${roomConfig.slowS}s` : '',
+        roomConfig.maxLen ? `max ${roomConfig.maxLen} characters` : '',
+        roomConfig.powBits ? `${roomConfig.powBits}-bit proof-of-work` : '',
+      ].filter(Boolean)
+    : [];
+  const visibleMessages = activeDm
+    ? dmMessages[activeDm] || []
+    : modState.bans.size
+      ? messages.filter((m) => !modState.bans.has(m.addr))
+      : messages;
+  const displayNameOf = (addr) => nameByAddr[addr] || dmThreads[addr]?.nick || 'anon';
+  const activeDmName = activeDm ? displayNameOf(activeDm) : '';
+
+  // Replies whose parent is on screen are folded into the parent's thread; orphans stay in the timeline.
+  const messageById = useMemo(() => {
+    const out = new Map();
+    for (const m of messages) if (m && m.kind !== 'system') out.set(m.id, m);
+    return out;
+  }, [messages]);
+  const repliesByParent = useMemo(() => {
+    const out = new Map();
+    for (const m of messages) {
+      if (!m?.replyTo || !messageById.has(m.replyTo)) continue;
+      if (!out.has(m.replyTo)) out.set(m.replyTo, []);
+      out.get(m.replyTo).push(m);
+    }
+    return out;
+  }, [messages, messageById]);
+  const timeline = activeDm ? visibleMessages : visibleMessages.filter((m) => !m?.replyTo || !messageById.has(m.replyTo));
+  const oldestLoadedTs = Number(messages.find((m) => m.kind !== 'system')?.ts || 0) || 0;
+  const atStoredStart = !!oldestLoadedTs && olderEnd?.topic === topic && oldestLoadedTs <= olderEnd.ts;
+  const virtual = useVirtualRows(chatBodyRef, timelineRef, timeline.map((m) => m.id), stickToBottomRef);
+  const dividerBeforeId =
+    !activeDm && divider?.topic === topic && divider.ts
+      ? timeline.find((m) => m.kind !== 'system' && m.addr !== status.address && Number(m.ts || 0) > divider.ts)?.id || ''
+      : '';
+
+  // A search hit inside a thread is reached through its parent's row.
+  useEffect(() => {
+    const id = focusScrollRef.current;
+    if (!id || activeDm) return;
+    const hit = messageById.get(id);
+    if (!hit) return;
+    const rowKey = hit.replyTo && messageById.has(hit.replyTo) ? hit.replyTo : id;
+    stickToBottomRef.current = false;
+    if (virtual.scrollToKey(rowKey)) focusScrollRef.current = '';
+  }, [messages, focusMsg, activeDm]);
+  const threadRepliesFor = (parentId) => {
+    const live = repliesByParent.get(parentId) || [];
+    const stored = threadLoaded[parentId];
+    if (!stored?.length) return live;
+    const byId = new Map(stored.filter((r) => !blockedByAddr[r.addr]).map((r) => [r.id, r]));
+    for (const r of live) byId.set(r.id, r);
+    return Array.from(byId.values()).sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0));
+  };
+  const quoteSnippet = (m) => {
+    if (m.deleted) return 'Message deleted';
+    if (m.locked) return '🔒 Locked message';
+    const t = String(m.text || '').replace(/\s+/g, ' ').trim();
+    if (!t && m.attach) return `📎 ${m.attach.name}`;
+    return t.length > 80 ? `${t.slice(0, 80)}…` : t;
+  };
+  const replyingTo = replyToId && !activeDm ? messageById.get(replyToId) || null : null;
+
+  // target id -> [{ emoji, count, mine }], palette emojis first.
+  const reactionsByMsg = useMemo(() => {
+    const counts = new Map();
+    for (const r of Object.values(reactionRows)) {
+      if (!r?.on || blockedByAddr[r.addr]) continue;
+      if (!counts.has(r.target)) counts.set(r.target, new Map());
+      const byEmoji = counts.get(r.target);
+      const cur = byEmoji.get(r.emoji) || { emoji: r.emoji, count: 0, mine: false };
+      cur.count += 1;
+      if (r.addr === status.address) cur.mine = true;
+      byEmoji.set(r.emoji, cur);
+    }
+    const rank = (e) => {
+      const i = REACTION_EMOJIS.indexOf(e);
+      return i < 0 ? REACTION_EMOJIS.length : i;
+    };
+    const out = new Map();
+    for (const [target, byEmoji] of counts) {
+      out.set(target, Array.from(byEmoji.values()).sort((a, b) => rank(a.emoji) - rank(b.emoji)));
+    }
+    return out;
+  }, [reactionRows, blockedByAddr, status.address]);
+
+  // Lowercased nick -> addr for @mentions; a nick used by several addresses resolves to none of them.
+  const mentionIndex = useMemo(() => {
+    const out = new Map();
+    for (const [addr, n] of Object.entries(nameByAddr)) {
+      const k = String(n || '').trim().toLowerCase();
+      if (k) out.set(k, out.has(k) && out.get(k) !== addr ? '' : addr);
+    }
+    return out;
+  }, [nameByAddr]);
+  const richCtx = {
+    resolveMention: (name) => (isLikelyLmnAddress(name) ? name : mentionIndex.get(name.toLowerCase()) || ''),
+    selfAddr: status.address,
+    onMention: (addr) => (addr === status.address ? null : openUserModalFor(addr)),
+  };
+
+  // msg id -> peer addrs whose latest read receipt points at it.
+  const readersByMsg = useMemo(() => {
+    const out = new Map();
+    for (const [addr, id] of Object.entries(readMarks)) {
+      if (addr === status.address || blockedByAddr[addr]) continue;
+      if (!out.has(id)) out.set(id, []);
+      out.get(id).push(addr);
+    }
+    return out;
+  }, [readMarks, blockedByAddr, status.address]);
+  const linkTitle =
+    linkState === 'reconnecting'
+      ? Array.from(roomsRef.current.values())
+          .filter((s) => isLive(s) && s.link?.state === 'reconnecting')
+          .map((s) => `${s.room}: resubscribing, ${LINK_REASON_TEXT[s.link.reason] || s.link.reason}`)
+          .join('\n')
+      : linkState === 'degraded'
+        ? 'Some rooms are slow to answer or failed a send; they are resubscribed if it goes on.'
+        : 'Every joined room is receiving.';
+  const typingNames = Object.keys(typingBy)
+    .filter((addr) => !blockedByAddr[addr])
+    .map((addr) => displayNameOf(addr));
+  const typingLine =
+    typingNames.length === 1
+      ? `${typingNames[0]} is typing…`
+      : typingNames.length === 2
+        ? `${typingNames[0]} and ${typingNames[1]} are typing…`
+        : typingNames.length > 2
+          ? 'Several people are typing…'
+          : '';
+
+  // Usage of the command being typed: every match while the name is incomplete, then the one command.
+  const draftCommand = editingId ? null : parseSlashCommand(text);
+  const typedCommand = draftCommand ? slashCommand(draftCommand.name) : null;
+  let commandHint = typedCommand ? `${slashUsage(typedCommand)} — ${typedCommand.help}` : '';
+  if (draftCommand && !typedCommand) {
+    const matches = draftCommand.arg ? [] : SLASH_COMMANDS.filter((c) => c.name.startsWith(draftCommand.name));
+    commandHint = matches.length ? matches.map(slashUsage).join('   ') : `Unknown command /${draftCommand.name}`;
+  }
+
+  // Tab completes the word at the caret; pressing it again cycles, until the draft changes some other way.
+  function completeComposer(el) {
+    const caret = typeof el?.selectionStart === 'number' ? el.selectionStart : text.length;
+    let cycle = tabCycleRef.current;
+    if (!cycle || cycle.text !== text || cycle.caret !== caret) {
+      const nicks = Object.keys(nameByAddr)
+        .filter((addr) => addr !== status.address && !blockedByAddr[addr])
+        .map((addr) => nameByAddr[addr]);
+      const { start, options } = completionsAt(text, caret, nicks);
+      if (!options.length) return false;
+      cycle = { head: text.slice(0, start), tail: text.slice(caret), options, i: -1 };
+    }
+    const i = (cycle.i + 1) % cycle.options.length;
+    const option = /^\s/.test(cycle.tail) ? cycle.options[i].trimEnd() : cycle.options[i];
+    const before = cycle.head + option;
+    const next = (before + cycle.tail).slice(0, composerMax);
+    tabCycleRef.current = { ...cycle, i, text: next, caret: before.length };
+    setText(next);
+    setTimeout(() => {
+      try {
+        el.setSelectionRange(before.length, before.length);
+      } catch {}
+    }, 0);
+    return true;
+  }
+
+  // Roster of the active room: me first, then peers by state and name.
+  const rosterNow = nowMs();
+  const members =
+    status.connected && activeSession && !activeDm
+      ? [
+          ...(status.address ? [{ addr: status.address, self: true, state: away ? 'away' : 'online', status: cleanStatusText(myStatus) }] : []),
+          ...roster
+            .filter((r) => r.addr !== status.address && !blockedByAddr[r.addr] && !modState.bans.has(r.addr))
+            .map((r) => ({ ...r, state: presenceStateOf(r, rosterNow) }))
+            .sort(
+              (a, b) =>
+                PRESENCE_STATES.indexOf(a.state) - PRESENCE_STATES.indexOf(b.state) || displayNameOf(a.addr).localeCompare(displayNameOf(b.addr))
+            ),
+        ]
+      : [];
+
+  function renderMessage(m, { inThread = false } = {}) {
+    if (m && m.kind === 'system') {
+      const addr = String(m.addr || '').trim();
+      const ev = String(m.event || '').trim();
+      const n = addr ? String(nameByAddr[addr] || 'anon').trim().slice(0, 22) : '';
+      const who = addr ? `${n || 'anon'} (${shortAddr(addr)})` : 'unknown';
+      const line = ev === 'join' ? `${who} joined.` : ev === 'leave' ? `${who} left.` : String(m.text || '').trim();
+      return React.createElement(
+        'div',
+        {
+          key: m.id,
+          className: 'muted',
+          style: { padding: '6px 10px', textAlign: 'center', fontSize: 12 },
+        },
+        line
+      );
+    }
+    const name = displayNameOf(m.addr);
+    const color = hashColor(m.addr);
+    const letter = String(name || '?').slice(0, 1).toUpperCase();
+    const isMine = !!(status.address && m.addr === status.address);
+    const canAct = !activeDm && !m.deleted && !m.outbox && status.connected;
+    const parent = m.replyTo ? messageById.get(m.replyTo) : null;
+    const replies = !inThread && !activeDm ? threadRepliesFor(m.id) : [];
+    const threadOpen = !!openThreads[m.id];
+    const reactions = !activeDm && !m.deleted ? reactionsByMsg.get(m.id) || [] : [];
+    const readers = !activeDm ? readersByMsg.get(m.id) || [] : [];
+    const mentioned = !isMine && !m.deleted && !m.locked && textMentions(m.text, status.address, nick);
+    const verdict = verifyById[m.id] || null;
+    const stop = (fn) => (e) => {
+      try { e.stopPropagation(); } catch {}
+      fn();
+    };
+    return React.createElement(
+      'div',
+      { key: m.id, className: inThread ? 'threadItem' : null, 'data-msg-id': m.id },
+      React.createElement(
+        'div',
+        {
+          className: `msg${focusMsg?.id === m.id && !activeDm ? ' focused' : ''}${mentioned ? ' mentioned' : ''}`,
+          onClick: isMine ? null : () => openUserModalFor(m.addr),
+          style: isMine ? null : { cursor: 'pointer' },
+          title: isMine ? null : 'Click for actions',
+        },
+        React.createElement('div', { className: 'avatar', style: { borderColor: color, color } }, letter),
+        React.createElement(
+          'div',
+          { className: 'msgMain' },
+          React.createElement(
+            'div',
+            { className: 'msgMeta' },
+            React.createElement('div', { className: 'msgName', style: { color } }, name),
+            React.createElement('div', { className: 'msgAddr' }, shortAddr(m.addr)),
+            m.encrypted ? React.createElement('div', { className: 'msgAddr', title: 'End-to-end encrypted' }, '🔒') : null,
+            m.outbox === 'pending'
+              ? React.createElement('span', { className: 'msgQueued', title: 'Signed and waiting to be published; retried automatically' }, 'pending')
+              : null,
+            m.outbox === 'failed'
+              ? React.createElement(
+                  'button',
+                  {
+                    className: 'linkBtn danger',
+                    type: 'button',
+                    onClick: stop(() => retryOutbox(m.id)),
+                    title: `${m.outboxError || 'Publish failed'}. Retried automatically; click to retry now.`,
+                  },
+                  'failed (retry)'
+                )
+              : null,
+            verdict
+              ? React.createElement(
+                  'div',
+                  { className: `verifyBadge ${verdict.ok ? 'ok' : 'bad'}`, title: `${verdict.summary}\n${verdict.detail}` },
+                  verdict.ok ? '✓ verified' : '✗ not verified'
+                )
+              : null,
+            React.createElement('div', { className: 'msgTime' }, new Date(m.ts || nowMs()).toLocaleTimeString())
+          ),
+          m.replyTo && !inThread
+            ? React.createElement(
+                'div',
+                {
+                  className: 'msgQuote',
+                  onClick: parent ? stop(() => toggleThread(parent.id, true)) : null,
+                  title: parent ? 'Show thread' : null,
+                },
+                parent
+                  ? [
+                      React.createElement('b', { key: 'n' }, displayNameOf(parent.addr)),
+                      ' ',
+                      quoteSnippet(parent),
+                    ]
+                  : 'Reply to an earlier message'
+              )
+            : null,
+          m.deleted
+            ? React.createElement('div', { className: 'msgText msgLocked' }, 'Message deleted')
+            : m.locked
+              ? React.createElement(
+                  'div',
+                  { className: 'msgText msgLocked' },
+                  '🔒 Locked message — encrypted with a room key you do not hold.'
+                )
+              : [
+                  meAction(m.text)
+                    ? React.createElement(
+                        'div',
+                        { key: 't', className: 'msgText msgAction' },
+                        `* ${displayNameOf(m.addr)} `,
+                        renderRichNodes(parseRichText(meAction(m.text)), richCtx),
+                        m.edited ? React.createElement('span', { className: 'msgEdited' }, ' (edited)') : null
+                      )
+                    : m.text || !m.attach
+                      ? React.createElement(
+                          'div',
+                          { key: 't', className: 'msgText' },
+                          renderRichNodes(parseRichText(m.text), richCtx),
+                          m.edited ? React.createElement('span', { className: 'msgEdited' }, ' (edited)') : null
+                        )
+                      : null,
+                  m.attach ? React.createElement(Attachment, { key: 'a', attach: m.attach }) : null,
+                ],
+          reactions.length
+            ? React.createElement(
+                'div',
+                { className: 'reactions' },
+                reactions.map((r) =>
+                  React.createElement(
+                    'button',
+                    {
+                      key: r.emoji,
+                      className: `reaction${r.mine ? ' mine' : ''}`,
+                      type: 'button',
+                      onClick: stop(() => toggleReaction(m, r.emoji)),
+                      disabled: !status.connected,
+                      title: r.mine ? 'Remove your reaction' : 'React',
+                    },
+                    `${r.emoji} ${r.count}`
+                  )
+                )
+              )
+            : null,
+          canAct && reactPickerId === m.id
+            ? React.createElement(
+                'div',
+                { className: 'reactions' },
+                REACTION_EMOJIS.map((e) =>
+                  React.createElement(
+                    'button',
+                    { key: e, className: 'reaction', type: 'button', onClick: stop(() => toggleReaction(m, e)) },
+                    e
+                  )
+                )
+              )
+            : null,
+          React.createElement(
+            'div',
+            { className: 'msgActions' },
+            canAct
+              ? React.createElement(
+                  'button',
+                  { className: 'linkBtn', type: 'button', onClick: stop(() => startReply(m.replyTo && inThread ? m.replyTo : m.id)), disabled: sending },
+                  replyToId === m.id ? 'replying…' : 'reply'
+                )
+              : null,
+            canAct
+              ? React.createElement(
+                  'button',
+                  { className: 'linkBtn', type: 'button', onClick: stop(() => setReactPickerId((cur) => (cur === m.id ? '' : m.id))) },
+                  'react'
+                )
+              : null,
+            canAct && isMine && !m.locked
+              ? React.createElement(
+                  'button',
+                  { className: 'linkBtn', type: 'button', onClick: () => startEdit(m), disabled: sending },
+                  editingId === m.id ? 'editing…' : 'edit'
+                )
+              : null,
+            canAct && isMine
+              ? React.createElement(
+                  'button',
+                  { className: 'linkBtn danger', type: 'button', onClick: () => deleteMessage(m), disabled: sending },
+                  pendingDeleteId === m.id ? 'confirm delete' : 'delete'
+                )
+              : null,
+            m.outbox
+              ? React.createElement(
+                  'button',
+                  { className: 'linkBtn danger', type: 'button', onClick: stop(() => void discardOutbox(m)), title: 'Drop this message without sending it' },
+                  'discard'
+                )
+              : React.createElement(
+                  'button',
+                  { className: 'linkBtn', type: 'button', onClick: stop(() => void reverifyMessage(m)), title: 'Re-check the stored signature and proof-of-work' },
+                  'verify'
+                )
+          ),
+          replies.length
+            ? React.createElement(
+                'button',
+                { className: 'linkBtn threadToggle', type: 'button', onClick: stop(() => toggleThread(m.id)) },
+                `${threadOpen ? '▾' : '▸'} ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`
+              )
+            : null,
+          readers.length
+            ? React.createElement(
+                'div',
+                { className: 'readBy', title: `Read by ${readers.map((a) => displayNameOf(a)).join(', ')}` },
+                readers.slice(0, READ_AVATARS_MAX).map((a) => {
+                  const c = hashColor(a);
+                  return React.createElement(
+                    'div',
+                    { key: a, className: 'readAvatar', style: { borderColor: c, color: c } },
+                    String(displayNameOf(a) || '?').slice(0, 1).toUpperCase()
+                  );
+                }),
+                readers.length > READ_AVATARS_MAX ? `+${readers.length - READ_AVATARS_MAX}` : null
+              )
+            : null
+        )
+      ),
+      threadOpen && replies.length
+        ? React.createElement('div', { className: 'thread' }, replies.map((r) => renderMessage(r, { inThread: true })))
+        : null
+    );
+  }
 
   const modalAddr = String(userModal?.addr || '').trim();
   const modalBlock = modalAddr ? blockedByAddr[modalAddr] : null;
-  const modalName = modalAddr ? String(nameByAddr[modalAddr] || modalBlock?.name || 'anon').trim() : '';
+  const modalName = modalAddr ? String(nameByAddr[modalAddr] || modalBlock?.name || dmThreads[modalAddr]?.nick || 'anon').trim() : '';
+  const modalCanDm = !!(modalAddr && status.connected && (dhByAddrRef.current.get(modalAddr) || dmThreads[modalAddr]?.dh));
 
   return React.createElement(
     React.Fragment,
@@ -1004,8 +5679,13 @@ function App() {
       'div',
       { className: 'topbar' },
       React.createElement('div', { className: 'brand' }, 'PubSub Chat'),
-      React.createElement('span', { className: 'pill' }, 'signed messages • ADR-036 • PoW'),
-      React.createElement('span', { className: 'pill' }, status.connected ? 'connected' : 'disconnected'),
+      React.createElement('span', { className: 'pill' }, TRANSPORT?.signer === 'soft' ? 'signed messages • soft P-256 • PoW' : 'signed messages • ADR-036 • PoW'),
+      TRANSPORT && TRANSPORT.kind !== 'lumen' ? React.createElement('span', { className: 'pill' }, `transport: ${TRANSPORT.label}`) : null,
+      React.createElement(
+        'span',
+        { className: `pill link-${status.connected ? linkState : 'disconnected'}`, title: status.connected ? linkTitle : null },
+        status.connected ? (linkState === 'reconnecting' ? 'reconnecting…' : linkState) : 'disconnected'
+      ),
       status.connected
         ? React.createElement('span', { className: 'pill' }, `rx: ${rxStats.accepted}/${rxStats.total}`)
         : null,
@@ -1032,12 +5712,14 @@ function App() {
             React.createElement(
               'label',
               null,
-              'Room',
+              status.connected ? 'Join another room' : 'Room',
               React.createElement('input', {
-                value: room,
-                onChange: (e) => setRoom(String(e?.target?.value || '')),
-                disabled: status.connected,
-                placeholder: 'lobby',
+                value: status.connected ? joinDraft : room,
+                onChange: (e) => (status.connected ? setJoinDraft : setRoom)(String(e?.target?.value || '')),
+                onKeyDown: (e) => {
+                  if (status.connected && e.key === 'Enter') void joinFromDraft();
+                },
+                placeholder: status.connected ? 'room name' : 'lobby',
               })
             ),
             React.createElement(
@@ -1050,13 +5732,95 @@ function App() {
                 placeholder: 'Your name',
               })
             ),
+            React.createElement(
+              'label',
+              null,
+              'Status',
+              React.createElement('input', {
+                value: myStatus,
+                onChange: (e) => setMyStatus(String(e?.target?.value || '').slice(0, STATUS_TEXT_MAX)),
+                onKeyDown: (e) => {
+                  if (status.connected && e.key === 'Enter') void updateProfile();
+                },
+                placeholder: 'What are you up to? (optional)',
+              })
+            ),
+            React.createElement(
+              'label',
+              null,
+              'Room privacy',
+              React.createElement(
+                'select',
+                {
+                  value: keyMode,
+                  onChange: (e) => {
+                    const next = String(e?.target?.value || 'open');
+                    setKeyMode(ROOM_KEY_MODES.includes(next) ? next : 'open');
+                    setKeySecret('');
+                  },
+                },
+                React.createElement('option', { value: 'open' }, 'Open (cleartext)'),
+                React.createElement('option', { value: 'password' }, 'Private: password'),
+                React.createElement('option', { value: 'invite' }, 'Private: invite key')
+              )
+            ),
+            keyMode !== 'open'
+              ? React.createElement(
+                  'label',
+                  null,
+                  keyMode === 'password' ? 'Room password' : 'Invite key',
+                  React.createElement('input', {
+                    type: keyMode === 'password' ? 'password' : 'text',
+                    value: keySecret,
+                    onChange: (e) => setKeySecret(String(e?.target?.value || '')),
+                    placeholder: keyMode === 'password' ? 'Shared password' : 'Paste or generate an invite key',
+                    autoComplete: 'off',
+                    spellCheck: false,
+                  })
+                )
+              : null,
+            keyMode === 'invite'
+              ? React.createElement(
+                  'div',
+                  { className: 'row' },
+                  React.createElement(
+                    'button',
+                    { className: 'btn', type: 'button', onClick: () => setKeySecret(generateInviteKey()) },
+                    'Generate key'
+                  ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: 'btn',
+                      type: 'button',
+                      disabled: !keySecret,
+                      onClick: async () => {
+                        try {
+                          await navigator.clipboard.writeText(keySecret);
+                          show('Copied', 'Invite key copied to clipboard', 'success', 1600);
+                        } catch {
+                          show('Copy failed', 'Select the key and copy it manually', 'error', 2200);
+                        }
+                      },
+                    },
+                    'Copy key'
+                  )
+                )
+              : null,
             React.createElement(
               'div',
               { className: 'row' },
+              status.connected
+                ? React.createElement(
+                    'button',
+                    { className: 'btn', type: 'button', onClick: joinFromDraft, disabled: !String(joinDraft || '').trim() },
+                    'Join'
+                  )
+                : null,
               React.createElement(
                 'button',
                 { className: 'btn', type: 'button', onClick: updateProfile, disabled: !status.connected },
-                'Broadcast name'
+                'Broadcast profile'
               ),
               React.createElement(
                 'button',
@@ -1072,36 +5836,345 @@ function App() {
                 'Clear'
               )
             ),
+            React.createElement(
+              'div',
+              { className: 'row', style: { flexWrap: 'wrap' } },
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => exportRoom('json'), title: 'Messages, names and signed envelopes' },
+                'Export JSON'
+              ),
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => exportRoom('md'), title: 'Readable transcript' },
+                'Export Markdown'
+              ),
+              React.createElement('input', {
+                ref: importInputRef,
+                type: 'file',
+                accept: 'application/json,.json',
+                style: { display: 'none' },
+                onChange: (e) => {
+                  void importTranscript(e?.target?.files?.[0] || null);
+                  e.target.value = '';
+                },
+              }),
+              React.createElement(
+                'button',
+                {
+                  className: 'btn',
+                  type: 'button',
+                  onClick: () => importInputRef.current?.click(),
+                  disabled: importing,
+                  title: 'Merge a JSON export; every signature is checked again',
+                },
+                importing ? 'Importing…' : 'Import'
+              ),
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: openStorage, title: 'Sizes, retention and purge per room' },
+                'Storage'
+              ),
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => setNotifyOpen(true), title: 'Desktop notifications and do-not-disturb' },
+                'Notifications'
+              )
+            ),
+            React.createElement(
+              'label',
+              { className: 'checkRow', title: 'Peers see how far you have read in each room' },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: readReceipts,
+                onChange: (e) => setReadReceipts(!!e?.target?.checked),
+              }),
+              'Send read receipts'
+            ),
             status.connected
               ? React.createElement('div', { className: 'muted' }, 'Connected as ', React.createElement('b', null, myDisplay))
               : React.createElement('div', { className: 'muted' }, 'Connect to start chatting.'),
             status.connected && status.topics && status.topics.length
               ? React.createElement(
                   'div',
-                  { className: 'muted', style: { fontSize: 12 } },
-                  React.createElement('b', null, 'Subscribed topic variants:'),
-                  ' ',
-                  status.topics.join(', ')
+                  { className: 'muted', style: { fontSize: 12 } },
+                  React.createElement('b', null, 'Subscribed topic variants:'),
+                  ' ',
+                  status.topics.join(', ')
+                )
+              : null,
+            status.connected && rxStats.lastDrop
+              ? React.createElement(
+                  'div',
+                  { className: 'muted', style: { fontSize: 12 } },
+                  `Last drop: ${rxStats.lastDrop} (dropped ${rxStats.dropped})`
+                )
+              : null,
+            joinedRooms.length
+              ? React.createElement(
+                  'div',
+                  { className: 'row', style: { fontSize: 12 } },
+                  React.createElement('b', null, 'Rooms'),
+                  roomUnreadTotal ? React.createElement('span', { className: 'badge' }, String(roomUnreadTotal)) : null
+                )
+              : null,
+            joinedRooms.length
+              ? React.createElement(
+                  'ul',
+                  { className: 'list' },
+                  joinedRooms.map((r) => {
+                    const meta = roomMeta[r.topic] || {};
+                    const unread = Number(meta.unread || 0) || 0;
+                    const current = r.topic === topic && !activeDm;
+                    const sub = meta.id
+                      ? `${meta.who}: ${meta.body}`
+                      : r.live
+                        ? 'No messages yet'
+                        : status.connected && r.keyMode !== 'open'
+                          ? 'Key needed to rejoin'
+                          : 'Not joined';
+                    return React.createElement(
+                      'li',
+                      { key: r.topic, className: `listItem${current ? ' active' : ''}${r.live ? '' : ' idle'}` },
+                      React.createElement(
+                        'div',
+                        { className: 'listLeft' },
+                        React.createElement('div', { className: 'listTitle' }, `${r.keyMode !== 'open' ? '🔒 ' : ''}#${roomLabelFor(r.room)}`),
+                        React.createElement('div', { className: 'listSub' }, sub)
+                      ),
+                      unread ? React.createElement('span', { className: 'badge' }, String(unread)) : null,
+                      React.createElement(
+                        'button',
+                        { className: 'btn', type: 'button', onClick: () => selectRoom(r), disabled: current },
+                        'Open'
+                      ),
+                      React.createElement(
+                        'button',
+                        { className: 'iconBtn', type: 'button', onClick: () => leaveRoom(r.topic), title: 'Leave room' },
+                        '×'
+                      )
+                    );
+                  })
+                )
+              : null,
+            members.length
+              ? React.createElement('div', { className: 'row', style: { fontSize: 12 } }, React.createElement('b', null, `Members (${members.length})`))
+              : null,
+            members.length
+              ? React.createElement(
+                  'ul',
+                  { className: 'list' },
+                  members.map((p) => {
+                    const color = hashColor(p.addr);
+                    const seen = p.self ? '' : `seen ${new Date(p.lastSeenAt).toLocaleTimeString()}`;
+                    return React.createElement(
+                      'li',
+                      {
+                        key: p.addr,
+                        className: 'listItem',
+                        onClick: p.self ? null : () => openUserModalFor(p.addr),
+                        style: p.self ? null : { cursor: 'pointer' },
+                        title: p.self ? null : 'Click for actions',
+                      },
+                      React.createElement('span', { className: `presenceDot ${p.state}`, title: p.state }),
+                      React.createElement(
+                        'div',
+                        { className: 'listLeft' },
+                        React.createElement(
+                          'div',
+                          { className: 'listTitle', style: { color } },
+                          p.self ? `${String(nick || '').trim().slice(0, 22) || 'anon'} (you)` : String(displayNameOf(p.addr)).slice(0, 22)
+                        ),
+                        React.createElement('div', { className: 'listSub' }, [p.status, p.state, seen].filter(Boolean).join(' · '))
+                      )
+                    );
+                  })
+                )
+              : null,
+            status.connected
+              ? React.createElement(
+                  'div',
+                  { className: 'row', style: { fontSize: 12 } },
+                  React.createElement('b', null, 'Direct messages'),
+                  dmUnreadTotal ? React.createElement('span', { className: 'badge' }, String(dmUnreadTotal)) : null
+                )
+              : null,
+            status.connected
+              ? dmList.length
+                ? React.createElement(
+                    'ul',
+                    { className: 'list' },
+                    dmList.map((th) => {
+                      const n = String(displayNameOf(th.peer)).trim().slice(0, 22);
+                      const unread = Number(th.unread || 0) || 0;
+                      return React.createElement(
+                        'li',
+                        { key: th.peer, className: `listItem${activeDm === th.peer ? ' active' : ''}` },
+                        React.createElement(
+                          'div',
+                          { className: 'listLeft' },
+                          React.createElement('div', { className: 'listTitle' }, n || 'anon'),
+                          React.createElement('div', { className: 'listSub' }, shortAddr(th.peer))
+                        ),
+                        unread ? React.createElement('span', { className: 'badge' }, String(unread)) : null,
+                        React.createElement(
+                          'button',
+                          { className: 'btn', type: 'button', onClick: () => openDm(th.peer), disabled: activeDm === th.peer },
+                          'Open'
+                        )
+                      );
+                    })
+                  )
+                : React.createElement(
+                    'div',
+                    { className: 'muted', style: { fontSize: 12 } },
+                    'No conversations yet. Click a user message and choose "Message privately".'
+                  )
+              : null,
+            React.createElement(
+              'div',
+              { className: 'muted', style: { fontSize: 12 } },
+              React.createElement('b', null, 'Security:'),
+              ` ADR-036 signatures + PoW (${powLevel && powLevel.bits > (roomConfig?.powBits || 0) ? `${powLevel.bits} bits, raised until ${new Date(powLevel.until).toLocaleTimeString()}` : `${roomConfig?.powBits || POW_DIFFICULTY_BITS} bits`}). Rate-limit: 1 msg/sec accepted${roomConfig?.slowS ? `, slow mode 1 msg/${roomConfig.slowS}s` : ''} (reactions: ${REACTION_RATE_MAX}/${REACTION_RATE_WINDOW_MS / 1000}s). Auto-block: >${AUTO_BLOCK_MAX_MESSAGES} msgs/${AUTO_BLOCK_WINDOW_MS}ms.`,
+              roomKeyInfo ? ` Messages are end-to-end encrypted (AES-GCM, key id ${roomKeyInfo.kid}).` : ''
+            ),
+            React.createElement(
+              'div',
+              { className: 'muted', style: { fontSize: 12 } },
+              React.createElement('b', null, 'Moderation:'),
+              roomOwner
+                ? ` owned by ${nameByAddr[roomOwner] || 'anon'} (${shortAddr(roomOwner)}).${amOwner ? ' You are the owner.' : amMod ? ' You are a moderator.' : ''}`
+                : ' none. Rooms named name@<owner address> have an owner who can appoint moderators and ban users.'
+            ),
+            !roomOwner && !status.connected
+              ? React.createElement(
+                  'div',
+                  { className: 'row' },
+                  React.createElement('button', { className: 'btn', type: 'button', onClick: claimRoom }, 'Own this room name')
                 )
               : null,
-            status.connected && rxStats.lastDrop
+            roomOwner && (modState.mods.size || modState.bans.size)
+              ? React.createElement(
+                  'ul',
+                  { className: 'list' },
+                  Array.from(modState.mods)
+                    .map((addr) => ({ addr, role: 'mod' }))
+                    .concat(Array.from(modState.bans.keys()).map((addr) => ({ addr, role: 'ban' })))
+                    .map(({ addr, role }) =>
+                      React.createElement(
+                        'li',
+                        { key: `${role}:${addr}`, className: 'listItem' },
+                        React.createElement(
+                          'div',
+                          { className: 'listLeft' },
+                          React.createElement('div', { className: 'listTitle' }, `${role === 'mod' ? '🛡 ' : '⛔ '}${String(nameByAddr[addr] || 'anon').slice(0, 22)}`),
+                          React.createElement('div', { className: 'listSub' }, `${shortAddr(addr)} · ${role === 'mod' ? 'moderator' : 'banned'}`)
+                        ),
+                        (role === 'mod' ? amOwner : amMod) && status.connected
+                          ? React.createElement(
+                              'button',
+                              { className: 'btn', type: 'button', onClick: () => publishModEvent(role === 'mod' ? 'mod_remove' : 'unban', addr) },
+                              role === 'mod' ? 'Remove' : 'Unban'
+                            )
+                          : null
+                      )
+                    )
+                )
+              : null,
+            roomOwner && modState.log.length
+              ? React.createElement(
+                  'details',
+                  { className: 'modLog' },
+                  React.createElement('summary', null, `Moderation log (${modState.log.length})`),
+                  modState.log
+                    .slice(-50)
+                    .reverse()
+                    .map((ev) =>
+                      React.createElement(
+                        'div',
+                        { key: ev.id, className: ev.applied ? 'modLogItem' : 'modLogItem ignored', title: ev.applied ? 'Signed and authorised' : `Ignored: ${ev.why}` },
+                        `${new Date(ev.ts).toLocaleString()} · ${modEventLine(ev)}${ev.applied ? '' : ` (ignored: ${ev.why})`}`
+                      )
+                    )
+                )
+              : null,
+            amOwner && status.connected && !configForm
               ? React.createElement(
                   'div',
-                  { className: 'muted', style: { fontSize: 12 } },
-                  `Last drop: ${rxStats.lastDrop} (dropped ${rxStats.dropped})`
+                  { className: 'row' },
+                  React.createElement('button', { className: 'btn', type: 'button', onClick: () => setConfigForm(roomConfigDraft(roomConfig)) }, 'Room settings')
+                )
+              : null,
+            amOwner && status.connected && configForm
+              ? React.createElement(
+                  'div',
+                  { className: 'col roomSettings' },
+                  React.createElement('b', null, 'Room settings'),
+                  React.createElement(
+                    'label',
+                    null,
+                    'Title',
+                    React.createElement('input', { value: configForm.title, maxLength: ROOM_TITLE_MAX, onChange: editConfigForm('title'), placeholder: 'Shown above the chat' })
+                  ),
+                  React.createElement(
+                    'label',
+                    null,
+                    'Description',
+                    React.createElement('input', { value: configForm.desc, maxLength: ROOM_DESC_MAX, onChange: editConfigForm('desc'), placeholder: 'What this room is about' })
+                  ),
+                  React.createElement(
+                    'label',
+                    null,
+                    'Pinned rules',
+                    React.createElement('textarea', { value: configForm.rules, maxLength: ROOM_RULES_MAX, onChange: editConfigForm('rules'), placeholder: 'One per line' })
+                  ),
+                  React.createElement(
+                    'div',
+                    { className: 'row' },
+                    React.createElement(
+                      'label',
+                      null,
+                      'Max length',
+                      React.createElement('input', { type: 'number', min: 1, max: ROOM_TEXT_MAX_LIMIT, value: configForm.maxLen, onChange: editConfigForm('maxLen'), placeholder: String(MSG_TEXT_MAX) })
+                    ),
+                    React.createElement(
+                      'label',
+                      null,
+                      'Slow mode (s)',
+                      React.createElement('input', { type: 'number', min: 0, max: ROOM_SLOW_MAX_S, value: configForm.slowS, onChange: editConfigForm('slowS'), placeholder: 'off' })
+                    ),
+                    React.createElement(
+                      'label',
+                      null,
+                      'PoW',
+                      React.createElement(
+                        'select',
+                        { value: configForm.powBits, onChange: editConfigForm('powBits') },
+                        React.createElement('option', { value: '0' }, `${POW_DIFFICULTY_BITS} bits`),
+                        Array.from({ length: POW_MAX_BITS - POW_DIFFICULTY_BITS }, (_, i) => POW_DIFFICULTY_BITS + 1 + i).map((b) =>
+                          React.createElement('option', { key: b, value: String(b) }, `${b} bits`)
+                        )
+                      )
+                    )
+                  ),
+                  React.createElement(
+                    'div',
+                    { className: 'muted', style: { fontSize: 12 } },
+                    'Everyone in the room enforces these limits; you and your moderators are exempt from slow mode.'
+                  ),
+                  React.createElement(
+                    'div',
+                    { className: 'row' },
+                    React.createElement('button', { className: 'btn primary', type: 'button', onClick: () => publishRoomConfig(configForm) }, 'Publish'),
+                    React.createElement('button', { className: 'btn', type: 'button', onClick: () => setConfigForm(null) }, 'Cancel')
+                  )
                 )
               : null,
-            React.createElement(
-              'div',
-              { className: 'muted', style: { fontSize: 12 } },
-              React.createElement('b', null, 'Security:'),
-              ` ADR-036 signatures + PoW (${POW_DIFFICULTY_BITS} bits). Rate-limit: 1 msg/sec accepted. Auto-block: >${AUTO_BLOCK_MAX_MESSAGES} msgs/${AUTO_BLOCK_WINDOW_MS}ms.`
-            ),
             React.createElement(
               'div',
               { className: 'muted', style: { fontSize: 12 } },
               React.createElement('b', null, 'Blocklist (this room):'),
-              ' click a user message to block.'
+              ' click a user message to block. Only affects you.'
             ),
             blockedList.length
               ? React.createElement(
@@ -1142,13 +6215,62 @@ function App() {
           React.createElement(
             'div',
             { className: 'chatHeader' },
-            React.createElement('div', { style: { fontWeight: 900 } }, status.connected ? `#${room}` : 'Chat'),
-            React.createElement('div', { className: 'muted' }, status.connected ? 'connected' : 'offline')
+            activeDm
+              ? React.createElement('div', { style: { fontWeight: 900 } }, `🔒 DM · ${activeDmName}`)
+              : React.createElement('div', { style: { fontWeight: 900 } }, status.connected ? `${roomKeyInfo ? '🔒 ' : ''}#${roomLabel}` : 'Chat'),
+            activeDm
+              ? React.createElement(
+                  'button',
+                  { className: 'iconBtn', type: 'button', onClick: () => setActiveDm('') },
+                  `Back to #${roomLabel}`
+                )
+              : React.createElement(
+                  'div',
+                  { className: 'row' },
+                  React.createElement(
+                    'button',
+                    { className: 'iconBtn', type: 'button', onClick: () => setSearchOpen(true), title: 'Search stored history of all rooms' },
+                    'Search'
+                  ),
+                  React.createElement('div', { className: 'muted' }, status.connected ? 'connected' : 'offline')
+                )
           ),
+          !activeDm && roomConfig && (roomConfig.title || roomConfig.desc || roomConfig.rules || roomLimits.length)
+            ? React.createElement(
+                'div',
+                { className: 'roomInfo' },
+                roomConfig.title || roomConfig.desc
+                  ? React.createElement(
+                      'div',
+                      { className: 'roomInfoText' },
+                      roomConfig.title ? React.createElement('b', null, roomConfig.title) : null,
+                      roomConfig.title && roomConfig.desc ? ' · ' : '',
+                      roomConfig.desc
+                    )
+                  : null,
+                roomLimits.length ? React.createElement('div', { className: 'muted' }, roomLimits.join(' · ')) : null,
+                roomConfig.rules
+                  ? React.createElement(
+                      'details',
+                      { className: 'roomRules' },
+                      React.createElement('summary', null, 'Pinned rules'),
+                      React.createElement('div', { className: 'roomRulesText' }, roomConfig.rules)
+                    )
+                  : null
+              )
+            : null,
+          focusMsg && !activeDm && focusMsg.topic === topic
+            ? React.createElement(
+                'div',
+                { className: 'replyBanner' },
+                React.createElement('div', { className: 'replyBannerText' }, 'Showing a search result with the messages around it.'),
+                React.createElement('button', { className: 'iconBtn', type: 'button', onClick: backToLatest }, 'Back to latest')
+              )
+            : null,
           React.createElement(
             'div',
-            { className: 'chatBody', ref: chatBodyRef },
-            isAlone
+            { className: 'chatBody', ref: chatBodyRef, onScroll: onChatScroll },
+            isAlone && !activeDm
               ? React.createElement(
                   'div',
                   {
@@ -1165,81 +6287,155 @@ function App() {
                   ' You can still send messages, but they may not be received until someone joins.'
                 )
               : null,
-            messages.length
-              ? messages.map((m) => {
-                  if (m && m.kind === 'system') {
-                    const addr = String(m.addr || '').trim();
-                    const ev = String(m.event || '').trim();
-                    const n = addr ? String(nameByAddr[addr] || 'anon').trim().slice(0, 22) : '';
-                    const who = addr ? `${n || 'anon'} (${shortAddr(addr)})` : 'unknown';
-                    const line = ev === 'join' ? `${who} joined.` : ev === 'leave' ? `${who} left.` : String(m.text || '').trim();
-                    return React.createElement(
-                      'div',
-                      {
-                        key: m.id,
-                        className: 'muted',
-                        style: { padding: '6px 10px', textAlign: 'center', fontSize: 12 },
-                      },
-                      line
-                    );
-                  }
-                  const name = nameByAddr[m.addr] || 'anon';
-                  const color = hashColor(m.addr);
-                  const letter = String(name || '?').slice(0, 1).toUpperCase();
-                  const isMine = !!(status.address && m.addr === status.address);
-                  return React.createElement(
-                    'div',
-                    {
-                      key: m.id,
-                      className: 'msg',
-                      onClick: isMine ? null : () => openUserModalFor(m.addr),
-                      style: isMine ? null : { cursor: 'pointer' },
-                      title: isMine ? null : 'Click for actions',
-                    },
-                    React.createElement('div', { className: 'avatar', style: { borderColor: color, color } }, letter),
+            loadingOlder ? React.createElement('div', { className: 'muted timelineNote' }, 'Loading older messages…') : null,
+            !activeDm && atStoredStart
+              ? React.createElement('div', { className: 'muted timelineNote' }, 'Beginning of the history stored on this device.')
+              : null,
+            visibleMessages.length
+              ? React.createElement(
+                  'div',
+                  { ref: timelineRef, style: { paddingTop: virtual.padTop, paddingBottom: virtual.padBottom } },
+                  timeline.slice(virtual.start, virtual.end).map((m) =>
                     React.createElement(
                       'div',
-                      { className: 'msgMain' },
-                      React.createElement(
-                        'div',
-                        { className: 'msgMeta' },
-                        React.createElement('div', { className: 'msgName', style: { color } }, name),
-                        React.createElement('div', { className: 'msgAddr' }, shortAddr(m.addr)),
-                        React.createElement('div', { className: 'msgTime' }, new Date(m.ts || nowMs()).toLocaleTimeString())
-                      ),
-                      React.createElement('div', { className: 'msgText' }, m.text)
+                      { key: m.id, ref: virtual.rowRef(m.id) },
+                      m.id === dividerBeforeId
+                        ? React.createElement('div', { className: 'newDivider' }, React.createElement('span', null, 'New messages'))
+                        : null,
+                      renderMessage(m)
                     )
-                  );
-                })
+                  )
+                )
               : React.createElement(
                   'div',
                   { className: 'muted', style: { padding: 10 } },
-                  status.connected ? 'No messages yet.' : 'Connect to start chatting.'
+                  activeDm
+                    ? `No messages with ${activeDmName} yet. Only the two of you can read this thread.`
+                    : status.connected
+                      ? 'No messages yet.'
+                      : 'Connect to start chatting.'
+                ),
+            awayFromBottom && visibleMessages.length
+              ? React.createElement(
+                  'button',
+                  { className: 'iconBtn jumpLatest', type: 'button', onClick: jumpToBottom, title: 'Scroll to the newest message' },
+                  '↓ Latest'
                 )
+              : null
           ),
+          replyToId && !activeDm && !editingId
+            ? React.createElement(
+                'div',
+                { className: 'replyBanner' },
+                React.createElement(
+                  'div',
+                  { className: 'replyBannerText' },
+                  replyingTo
+                    ? [
+                        'Replying to ',
+                        React.createElement('b', { key: 'n' }, displayNameOf(replyingTo.addr)),
+                        `: ${quoteSnippet(replyingTo)}`,
+                      ]
+                    : 'Replying to an earlier message'
+                ),
+                React.createElement(
+                  'button',
+                  { className: 'iconBtn', type: 'button', onClick: () => setReplyToId(''), title: 'Cancel reply (Esc)' },
+                  '×'
+                )
+              )
+            : null,
+          pendingAttach && canAttach
+            ? React.createElement(
+                'div',
+                { className: 'replyBanner' },
+                React.createElement(
+                  'div',
+                  { className: 'replyBannerText' },
+                  `📎 ${pendingAttach.file.name} · ${formatBytes(pendingAttach.file.size)}`,
+                  sending && !pendingAttach.saved ? ' · uploading…' : ''
+                ),
+                React.createElement(
+                  'button',
+                  { className: 'iconBtn', type: 'button', onClick: () => setPendingAttach(null), title: 'Remove attachment', disabled: sending },
+                  '×'
+                )
+              )
+            : null,
+          typingLine && !activeDm ? React.createElement('div', { className: 'typingLine' }, typingLine) : null,
+          commandHint ? React.createElement('div', { className: 'cmdHint' }, commandHint) : null,
           React.createElement(
             'div',
             { className: 'composer' },
-            React.createElement('input', {
+            editingId && !activeDm
+              ? React.createElement(
+                  'button',
+                  { className: 'btn', type: 'button', onClick: cancelEdit, title: 'Cancel edit (Esc)' },
+                  'Cancel'
+                )
+              : null,
+            canAttach
+              ? [
+                  React.createElement('input', {
+                    key: 'f',
+                    ref: fileInputRef,
+                    type: 'file',
+                    accept: ATTACH_CONFIG.types.join(','),
+                    style: { display: 'none' },
+                    onChange: (e) => {
+                      pickAttachment(e?.target?.files?.[0] || null);
+                      e.target.value = '';
+                    },
+                  }),
+                  React.createElement(
+                    'button',
+                    {
+                      key: 'b',
+                      className: 'btn',
+                      type: 'button',
+                      onClick: () => fileInputRef.current?.click(),
+                      disabled: composeDisabled,
+                      title: `Attach a file (max ${formatBytes(ATTACH_CONFIG.maxBytes)}, stored on IPFS)`,
+                    },
+                    '📎'
+                  ),
+                ]
+              : null,
+            React.createElement('textarea', {
               value: text,
-              onChange: (e) => setText(String(e?.target?.value || '').slice(0, 500)),
+              rows: Math.min(6, text.split('\n').length),
+              onChange: (e) => {
+                const next = String(e?.target?.value || '').slice(0, composerMax);
+                setText(next);
+                if (next.trim()) noteTyping();
+              },
               onKeyDown: (e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
                   sendMessage();
+                } else if (e.key === 'Tab' && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey && completeComposer(e.target)) {
+                  e.preventDefault();
+                } else if (e.key === 'Escape' && editingId) {
+                  e.preventDefault();
+                  cancelEdit();
+                } else if (e.key === 'Escape' && replyToId) {
+                  e.preventDefault();
+                  setReplyToId('');
                 }
               },
               placeholder: status.connected
-                ? isAlone
-                  ? 'No peers yet (you can still send).'
-                  : 'Type a message.'
+                ? activeDm
+                  ? `Message ${activeDmName} privately.`
+                  : isAlone
+                    ? 'No peers yet (you can still send).'
+                    : 'Type a message. Shift+Enter for a new line, ``` for code.'
                 : 'Connect to a room to chat.',
               disabled: composeDisabled,
             }),
             React.createElement(
               'button',
               { className: 'btn primary', type: 'button', onClick: sendMessage, disabled: composeDisabled },
-              sending ? 'Sending…' : 'Send'
+              sending ? 'Sending…' : editingId && !activeDm ? 'Save edit' : 'Send'
             )
           )
         )
@@ -1284,7 +6480,48 @@ function App() {
                     'div',
                     { className: 'muted', style: { marginTop: 10, fontSize: 12 } },
                     'Not blocked in this room.'
+                  ),
+              roomOwner
+                ? React.createElement(
+                    'div',
+                    { className: 'muted', style: { marginTop: 6, fontSize: 12 } },
+                    modalAddr === roomOwner
+                      ? 'Room owner.'
+                      : modState.bans.has(modalAddr)
+                        ? 'Banned by a moderator.'
+                        : modState.mods.has(modalAddr)
+                          ? 'Moderator.'
+                          : 'Member.'
                   )
+                : null,
+              amMod && status.connected && modalAddr !== roomOwner
+                ? React.createElement(
+                    'div',
+                    { className: 'row', style: { marginTop: 10 } },
+                    amOwner
+                      ? React.createElement(
+                          'button',
+                          {
+                            className: 'btn',
+                            type: 'button',
+                            onClick: () => publishModEvent(modState.mods.has(modalAddr) ? 'mod_remove' : 'mod_add', modalAddr),
+                          },
+                          modState.mods.has(modalAddr) ? 'Remove moderator' : 'Make moderator'
+                        )
+                      : null,
+                    amOwner || !modState.mods.has(modalAddr)
+                      ? React.createElement(
+                          'button',
+                          {
+                            className: modState.bans.has(modalAddr) ? 'btn' : 'btn danger',
+                            type: 'button',
+                            onClick: () => publishModEvent(modState.bans.has(modalAddr) ? 'unban' : 'ban', modalAddr),
+                          },
+                          modState.bans.has(modalAddr) ? 'Unban from room' : 'Ban from room'
+                        )
+                      : null
+                  )
+                : null
             ),
             React.createElement(
               'div',
@@ -1294,6 +6531,17 @@ function App() {
                 { className: 'btn', type: 'button', onClick: () => setUserModal(null) },
                 'Close'
               ),
+              React.createElement(
+                'button',
+                {
+                  className: 'btn',
+                  type: 'button',
+                  disabled: !modalCanDm || !!modalBlock,
+                  title: modalCanDm ? 'Open an end-to-end encrypted thread' : 'Waiting for this user to announce a DM key',
+                  onClick: () => openDm(modalAddr),
+                },
+                'Message privately'
+              ),
               modalBlock
                 ? React.createElement(
                     'button',
@@ -1323,6 +6571,359 @@ function App() {
           )
         )
       : null,
+    notifyOpen
+      ? React.createElement(
+          'div',
+          { className: 'modalBackdrop', onClick: () => setNotifyOpen(false) },
+          React.createElement(
+            'div',
+            {
+              className: 'modal',
+              onClick: (e) => {
+                try {
+                  e.stopPropagation();
+                } catch {}
+              },
+            },
+            React.createElement(
+              'div',
+              { className: 'modalHeader' },
+              React.createElement('div', { className: 'modalTitle' }, 'Notifications'),
+              React.createElement(
+                'button',
+                { className: 'iconBtn', type: 'button', onClick: () => setNotifyOpen(false) },
+                '×'
+              )
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalBody col' },
+              React.createElement(
+                'div',
+                { className: 'row' },
+                React.createElement(
+                  'div',
+                  { className: 'muted', style: { fontSize: 12, flex: 1 } },
+                  notifyPerm === 'granted'
+                    ? 'Desktop notifications are allowed.'
+                    : notifyPerm === 'denied'
+                      ? 'Desktop notifications are blocked in the browser settings for this site.'
+                      : notifyPerm === 'unsupported'
+                        ? 'This browser has no desktop notifications.'
+                        : 'Desktop notifications are not allowed yet.'
+                ),
+                notifyPerm === 'default'
+                  ? React.createElement('button', { className: 'btn', type: 'button', onClick: () => void enableNotifications() }, 'Allow')
+                  : null
+              ),
+              React.createElement(
+                'label',
+                { className: 'checkRow' },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: notify.dnd.on,
+                  onChange: (e) => setDnd({ on: !!e?.target?.checked }),
+                }),
+                'Do not disturb between'
+              ),
+              React.createElement(
+                'div',
+                { className: 'row' },
+                React.createElement('input', {
+                  type: 'time',
+                  value: notify.dnd.from,
+                  onChange: (e) => minutesOfDay(e?.target?.value) != null && setDnd({ from: e.target.value }),
+                  disabled: !notify.dnd.on,
+                  'aria-label': 'From',
+                }),
+                React.createElement('span', { className: 'muted' }, 'and'),
+                React.createElement('input', {
+                  type: 'time',
+                  value: notify.dnd.to,
+                  onChange: (e) => minutesOfDay(e?.target?.value) != null && setDnd({ to: e.target.value }),
+                  disabled: !notify.dnd.on,
+                  'aria-label': 'To',
+                })
+              ),
+              React.createElement(
+                'div',
+                { className: 'muted', style: { fontSize: 12 } },
+                'Desktop notifications only appear for rooms you are not looking at. Unread counts and mentions in the app are not affected by do-not-disturb.'
+              ),
+              joinedRooms.length
+                ? React.createElement(
+                    'div',
+                    { className: 'list scrollList' },
+                    joinedRooms.map((r) =>
+                      React.createElement(
+                        'div',
+                        { key: r.topic, className: 'listItem' },
+                        React.createElement(
+                          'div',
+                          { className: 'listLeft' },
+                          React.createElement('div', { className: 'listTitle' }, `${r.keyMode !== 'open' ? '🔒 ' : ''}#${roomLabelFor(r.room)}`)
+                        ),
+                        React.createElement(
+                          'select',
+                          {
+                            value: notify.modes[r.topic] || NOTIFY_DEFAULT_MODE,
+                            onChange: (e) => setRoomNotifyMode(r.topic, String(e?.target?.value || NOTIFY_DEFAULT_MODE)),
+                            title: 'Notify me about',
+                          },
+                          NOTIFY_MODES.map((m) => React.createElement('option', { key: m.id, value: m.id }, m.label))
+                        )
+                      )
+                    )
+                  )
+                : React.createElement('div', { className: 'muted', style: { fontSize: 12 } }, 'Join a room to choose what it notifies you about.')
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalFooter' },
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => setNotifyOpen(false) },
+                'Close'
+              )
+            )
+          )
+        )
+      : null,
+    storageOpen
+      ? React.createElement(
+          'div',
+          { className: 'modalBackdrop', onClick: () => setStorageOpen(false) },
+          React.createElement(
+            'div',
+            {
+              className: 'modal',
+              onClick: (e) => {
+                try {
+                  e.stopPropagation();
+                } catch {}
+              },
+            },
+            React.createElement(
+              'div',
+              { className: 'modalHeader' },
+              React.createElement('div', { className: 'modalTitle' }, 'Storage'),
+              React.createElement(
+                'button',
+                { className: 'iconBtn', type: 'button', onClick: () => setStorageOpen(false) },
+                '×'
+              )
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalBody col' },
+              !storageInfo
+                ? React.createElement('div', { className: 'muted' }, 'Reading storage…')
+                : [
+                    React.createElement(
+                      'div',
+                      { key: 'usage', className: 'muted', style: { fontSize: 12 } },
+                      storageInfo.quota
+                        ? `This site uses ${formatBytes(storageInfo.usage)} of ${formatBytes(storageInfo.quota)} available (${((storageInfo.usage / storageInfo.quota) * 100).toFixed(1)}%).`
+                        : 'The browser does not report storage usage here.',
+                      ' Retention policies are applied in the background every few minutes.'
+                    ),
+                    storageInfo.rooms.length
+                      ? React.createElement(
+                          'div',
+                          { key: 'rooms', className: 'list scrollList' },
+                          storageInfo.rooms.map((r) =>
+                            React.createElement(
+                              'div',
+                              { key: r.topic, className: 'listItem' },
+                              React.createElement(
+                                'div',
+                                { className: 'listLeft' },
+                                React.createElement('div', { className: 'listTitle' }, r.label),
+                                React.createElement(
+                                  'div',
+                                  { className: 'listSub' },
+                                  `${r.count} messages · ≈${formatBytes(r.bytes)} · since ${new Date(r.oldestTs).toLocaleDateString()}`
+                                )
+                              ),
+                              React.createElement(
+                                'select',
+                                {
+                                  value: retention[r.topic] || 'forever',
+                                  onChange: (e) => {
+                                    const id = String(e?.target?.value || 'forever');
+                                    setRetention((prev) => {
+                                      const next = { ...prev };
+                                      if (id === 'forever') delete next[r.topic];
+                                      else next[r.topic] = id;
+                                      return next;
+                                    });
+                                  },
+                                  title: 'Retention',
+                                },
+                                RETENTION_CHOICES.map((c) => React.createElement('option', { key: c.id, value: c.id }, c.label))
+                              ),
+                              React.createElement(
+                                'button',
+                                { className: 'btn danger', type: 'button', onClick: () => void purgeRoom(r.topic) },
+                                pendingPurgeTopic === r.topic ? 'Confirm' : 'Delete'
+                              )
+                            )
+                          )
+                        )
+                      : React.createElement('div', { key: 'none', className: 'muted', style: { fontSize: 12 } }, 'No messages are stored.')
+                  ]
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalFooter' },
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => setStorageOpen(false) },
+                'Close'
+              ),
+              React.createElement(
+                'button',
+                {
+                  className: 'btn primary',
+                  type: 'button',
+                  onClick: () => void applyRetentionNow(),
+                  disabled: compacting || !Object.keys(retention).length,
+                },
+                compacting ? 'Compacting…' : 'Apply retention now'
+              )
+            )
+          )
+        )
+      : null,
+    searchOpen
+      ? React.createElement(
+          'div',
+          { className: 'modalBackdrop', onClick: () => setSearchOpen(false) },
+          React.createElement(
+            'div',
+            {
+              className: 'modal',
+              onClick: (e) => {
+                try {
+                  e.stopPropagation();
+                } catch {}
+              },
+            },
+            React.createElement(
+              'div',
+              { className: 'modalHeader' },
+              React.createElement('div', { className: 'modalTitle' }, 'Search history'),
+              React.createElement(
+                'button',
+                { className: 'iconBtn', type: 'button', onClick: () => setSearchOpen(false) },
+                '×'
+              )
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalBody col' },
+              React.createElement(
+                'label',
+                null,
+                'Words',
+                React.createElement('input', {
+                  value: searchForm.query,
+                  autoFocus: true,
+                  onChange: (e) => setSearchForm((f) => ({ ...f, query: String(e?.target?.value || '').slice(0, 200) })),
+                  onKeyDown: (e) => {
+                    if (e.key === 'Enter') void runSearch();
+                  },
+                  placeholder: 'e.g. release date',
+                })
+              ),
+              React.createElement(
+                'div',
+                { className: 'row' },
+                React.createElement(
+                  'label',
+                  { style: { flex: 1 } },
+                  'Author',
+                  React.createElement('input', {
+                    value: searchForm.author,
+                    onChange: (e) => setSearchForm((f) => ({ ...f, author: String(e?.target?.value || '').slice(0, 80) })),
+                    onKeyDown: (e) => {
+                      if (e.key === 'Enter') void runSearch();
+                    },
+                    placeholder: 'nick or lmn1… address',
+                  })
+                ),
+                React.createElement(
+                  'label',
+                  null,
+                  'From',
+                  React.createElement('input', {
+                    type: 'date',
+                    value: searchForm.since,
+                    onChange: (e) => setSearchForm((f) => ({ ...f, since: String(e?.target?.value || '') })),
+                  })
+                ),
+                React.createElement(
+                  'label',
+                  null,
+                  'To',
+                  React.createElement('input', {
+                    type: 'date',
+                    value: searchForm.until,
+                    onChange: (e) => setSearchForm((f) => ({ ...f, until: String(e?.target?.value || '') })),
+                  })
+                )
+              ),
+              searchResults === null
+                ? React.createElement(
+                    'div',
+                    { className: 'muted', style: { fontSize: 12 } },
+                    'Searches every room stored on this device. Direct messages are not included.'
+                  )
+                : searchResults.length
+                  ? React.createElement(
+                      'div',
+                      { className: 'list scrollList' },
+                      searchResults.map((r) =>
+                        React.createElement(
+                          'div',
+                          { key: `${r.topic}|${r.id}`, className: 'listItem' },
+                          React.createElement(
+                            'div',
+                            { className: 'listLeft' },
+                            React.createElement(
+                              'div',
+                              { className: 'listTitle' },
+                              `#${roomLabelFor(roomForTopic(r.topic))} · ${r.nick || shortAddr(r.addr)} · ${new Date(r.ts).toLocaleString()}`
+                            ),
+                            React.createElement('div', { className: 'searchSnippet' }, quoteSnippet(r))
+                          ),
+                          React.createElement(
+                            'button',
+                            { className: 'btn', type: 'button', onClick: () => void jumpToMessage(r) },
+                            'Show'
+                          )
+                        )
+                      )
+                    )
+                  : React.createElement('div', { className: 'muted', style: { fontSize: 12 } }, 'No matching messages.')
+            ),
+            React.createElement(
+              'div',
+              { className: 'modalFooter' },
+              React.createElement(
+                'button',
+                { className: 'btn', type: 'button', onClick: () => setSearchOpen(false) },
+                'Close'
+              ),
+              React.createElement(
+                'button',
+                { className: 'btn primary', type: 'button', onClick: () => void runSearch(), disabled: searching },
+                searching ? 'Searching…' : 'Search'
+              )
+            )
+          )
+        )
+      : null,
     toast.open
       ? React.createElement(
           'div',
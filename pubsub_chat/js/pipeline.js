@@ -0,0 +1,379 @@
+// Receive pipeline for pubsub_chat envelopes (loaded by index.html before js/app.js, required by test/*.test.js).
+// A pipeline is an ordered list of stages. Each stage reads the envelope context, may add facts for the stages
+// after it, and returns nothing to go on or { drop } to stop; drop codes are the ones shown as `lastDrop`.
+// Stages only touch the guard state they are handed (dedup, nonces, spam and rate windows), never the UI:
+// what a drop leads to (auto-block, PoW pressure, counters) is up to the caller.
+
+(function (root) {
+  const LIGHT_EVENT_TYPES = ['typing', 'read']; // ephemeral: never stored, replayed or exported
+  const LIGHT_POW_BITS = 8;
+  // Reactions are stored but also pay the light tier: each is tiny, and the reaction window bounds them.
+  const LIGHT_POW_TYPES = [...LIGHT_EVENT_TYPES, 'react'];
+  const MOD_EVENT_TYPES = ['mod_add', 'mod_remove', 'ban', 'unban'];
+  const ROOM_EVENT_TYPES = [
+    'msg',
+    'edit',
+    'delete',
+    'react',
+    'profile',
+    'ping',
+    'leave',
+    'pow_level',
+    'history_req',
+    'history_resp',
+    'room_config',
+    ...LIGHT_EVENT_TYPES,
+    ...MOD_EVENT_TYPES,
+  ];
+  const AUTO_BLOCK_WINDOW_MS = 2000;
+  const AUTO_BLOCK_MAX_MESSAGES = 10;
+  const REACTION_RATE_WINDOW_MS = 10_000;
+  const REACTION_RATE_MAX = 8;
+  const MSG_TEXT_MAX = 500;
+  const RATE_GAP_MS = 1000; // 1 msg/sec per bucket
+  const SLOW_MODE_SLACK = 0.9; // a room's slow-mode gap, less a tenth for delivery jitter
+  const NONCE_MAX_LEN = 20;
+  const MOD_EVENT_SKEW_MS = 2 * 60_000;
+  const POW_LEVEL_GRACE_MS = 5_000; // peers that haven't seen a raise yet still get through meanwhile
+
+  function encodePayload(type, fields) {
+    const entries = Object.entries(fields || {}).map(([k, v]) => [String(k), String(v)]);
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    const parts = entries.map(([k, v]) => `${k}=${encodeURIComponent(v)}`);
+    return `pubsub_chat|v1|${type}|` + parts.join('|');
+  }
+
+  function decodePayload(payload) {
+    const s = String(payload || '');
+    const parts = s.split('|');
+    if (parts.length < 4) return null;
+    if (parts[0] !== 'pubsub_chat' || parts[1] !== 'v1') return null;
+    const type = parts[2];
+    const obj = {};
+    for (const p of parts.slice(3)) {
+      const i = p.indexOf('=');
+      if (i <= 0) continue;
+      const k = p.slice(0, i);
+      const v = p.slice(i + 1);
+      obj[k] = decodeURIComponent(v);
+    }
+    return { type, ...obj };
+  }
+
+  // ---- guard state ----
+
+  // Replay and rate-limit bookkeeping for one stream of traffic (a joined room, or all DM threads together).
+  function createGuardState() {
+    return {
+      lastAcceptedAt: new Map(), // rate bucket -> ms
+      reactionWindow: new Map(), // addr -> accepted reaction timestamps (sliding window)
+      recentNonces: new Map(), // addr -> array of nonces
+      seenMsgIds: new Set(), // message ids
+      spamWindow: new Map(), // addr -> timestamps (last 2s)
+    };
+  }
+
+  function markSeenNonce(g, address, nonce) {
+    const addr = String(address || '').trim();
+    const n = String(nonce || '').trim();
+    if (!addr || !n) return false;
+    const existing = g.recentNonces.get(addr) || [];
+    if (existing.includes(n)) return false;
+    const next = existing.length >= 24 ? existing.slice(existing.length - 20) : existing.slice();
+    next.push(n);
+    g.recentNonces.set(addr, next);
+    return true;
+  }
+
+  // `bucket` is an address, or `<kind>|<address>` for types that must not eat the chat slot.
+  function isRateLimited(g, bucket, now = Date.now(), gapMs = RATE_GAP_MS) {
+    const key = String(bucket || '').trim();
+    if (!key) return true;
+    const last = g.lastAcceptedAt.get(key) || 0;
+    if (now - last < gapMs) return true;
+    g.lastAcceptedAt.set(key, now);
+    return false;
+  }
+
+  // Reactions get their own budget so reacting never eats the 1 msg/sec chat slot.
+  function isReactionRateLimited(g, address, now = Date.now()) {
+    const addr = String(address || '').trim();
+    if (!addr) return true;
+    const recent = (g.reactionWindow.get(addr) || []).filter((t) => now - t < REACTION_RATE_WINDOW_MS);
+    if (recent.length >= REACTION_RATE_MAX) {
+      g.reactionWindow.set(addr, recent);
+      return true;
+    }
+    recent.push(now);
+    g.reactionWindow.set(addr, recent);
+    return false;
+  }
+
+  // Counts every envelope from `address` in the auto-block window, whatever its type; returns the count.
+  function recordSpam(g, address, now = Date.now()) {
+    const addr = String(address || '').trim();
+    if (!addr) return 0;
+    const prev = g.spamWindow.get(addr) || [];
+    const next = prev.filter((t) => now - t < AUTO_BLOCK_WINDOW_MS);
+    next.push(now);
+    g.spamWindow.set(addr, next);
+    return next.length;
+  }
+
+  // Which 1 msg/sec bucket a room event spends; '' for types bounded elsewhere (reactions, presence, history).
+  function rateBucketOf(kind, address) {
+    if (kind === 'msg' || kind === 'edit' || kind === 'delete') return address;
+    if (kind === 'profile') return `profile|${address}`;
+    if (kind === 'pow_level') return `pow|${address}`;
+    if (LIGHT_EVENT_TYPES.includes(kind)) return `${kind}|${address}`;
+    if (MOD_EVENT_TYPES.includes(kind)) return `mod|${address}`;
+    if (kind === 'room_config') return `config|${address}`;
+    return '';
+  }
+
+  // Final message text (plain, or opened from a sealed payload). An attachment may stand in for the text.
+  // `max` is the room's limit when its configuration sets one.
+  function checkText(text, hasAttach = false, max = MSG_TEXT_MAX) {
+    const txt = String(text || '');
+    if (!txt && !hasAttach) return { drop: 'empty_text' };
+    if (txt.length > max) return { drop: 'text_too_long' };
+    return null;
+  }
+
+  // ---- proof-of-work level ----
+
+  // Difficulty a room asks for at `now`: `base`, or the owner's { powBits, since } floor from `config`, or a raise
+  // above it. `level` is a { bits, until, since } raise adopted from room staff, `raise` one this client made on its
+  // own under spam pressure. Receivers (`enforce`) apply a new floor or staff level only after the grace period and
+  // never the own raise: peers ignore a raise no staff member asked for, so enforcing it drops every honest sender.
+  function powBitsAt(now, { base, config = null, level = null, raise = null }, { enforce = false } = {}) {
+    const floor = config?.powBits && !(enforce && now - config.since < POW_LEVEL_GRACE_MS) ? config.powBits : base;
+    const raises = (enforce ? [level] : [level, raise]).filter(
+      (l) => l && l.until > now && !(enforce && now - l.since < POW_LEVEL_GRACE_MS)
+    );
+    return Math.max(floor, ...raises.map((l) => l.bits));
+  }
+
+  // ---- moderation ----
+
+  // The time a moderation event is replayed at. Its `ts` is the signer's claim, so it must sit within
+  // MOD_EVENT_SKEW_MS of our clock when it arrives live, is clamped to the receipt time (a ban dated ahead
+  // would outrank every later unban), and may not fall before the newest event we already hold by more
+  // than the skew: a removed moderator cannot slip an event in before their removal, live or via history.
+  // A newcomer's first history reply is still taken on trust. Returns { ts } or { drop }.
+  function modEventTime(claimedTs, now, { live = true, newestTs = 0 } = {}) {
+    const ts = Number(claimedTs || 0);
+    if (!Number.isFinite(ts) || ts <= 0) return { drop: 'mod_bad_ts' };
+    if (ts - now > MOD_EVENT_SKEW_MS) return { drop: 'mod_from_future' };
+    if (live && now - ts > MOD_EVENT_SKEW_MS) return { drop: 'mod_backdated' };
+    if (newestTs && newestTs - ts > MOD_EVENT_SKEW_MS) return { drop: 'mod_backdated' };
+    return { ts: Math.min(ts, now) };
+  }
+
+  // Rebuilds mods and bans from `owner` and the events in (ts, id) order; each log row says whether it applied
+  // and, if not, why. Events carry { id, type, actor, who, ts } (see js/app.js for who may sign what).
+  function replayModLog(owner, events) {
+    const mods = new Set();
+    const bans = new Map(); // addr -> { by, ts }
+    const log = [];
+    const sorted = (events || []).slice().sort((a, b) => a.ts - b.ts || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    for (const ev of sorted) {
+      const byOwner = !!owner && ev.actor === owner;
+      let why = '';
+      if (!owner) why = 'no_owner';
+      else if (ev.who === owner) why = 'target_is_owner';
+      else if (ev.type === 'mod_add' || ev.type === 'mod_remove') {
+        if (!byOwner) why = 'not_owner';
+      } else if (!byOwner && (!mods.has(ev.actor) || bans.has(ev.actor))) why = 'not_moderator';
+      else if (!byOwner && mods.has(ev.who)) why = 'target_is_moderator';
+      if (!why) {
+        if (ev.type === 'mod_add') mods.add(ev.who);
+        else if (ev.type === 'mod_remove') mods.delete(ev.who);
+        else if (ev.type === 'ban') bans.set(ev.who, { by: ev.actor, ts: ev.ts });
+        else bans.delete(ev.who);
+      }
+      log.push({ ...ev, applied: !why, why });
+    }
+    return { owner, mods, bans, log };
+  }
+
+  // ---- stages ----
+  // `c` is { m, topic, minBits, now, g, opts } plus the facts earlier stages added.
+
+  function json(c) {
+    const data = c.m?.json;
+    if (!data || typeof data !== 'object') {
+      const sample = String(c.m?.text || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+      return { drop: sample ? `bad_json:${sample}` : 'bad_json' };
+    }
+    c.data = data;
+  }
+
+  function fields(c) {
+    c.payload = String(c.data.payload || '');
+    c.address = String(c.data.address || '').trim();
+    c.pubkeyB64 = String(c.data.pubkeyB64 || '').trim();
+    c.signatureB64 = String(c.data.signatureB64 || '').trim();
+    if (!c.payload || !c.address || !c.pubkeyB64 || !c.signatureB64) return { drop: 'missing_fields' };
+  }
+
+  function payload(c) {
+    c.parsed = decodePayload(c.payload);
+    if (!c.parsed) return { drop: 'bad_payload' };
+    c.kind = String(c.parsed.type || '');
+  }
+
+  function room(c) {
+    if (String(c.parsed.room || '') !== c.topic) return { drop: 'wrong_room' };
+  }
+
+  function nonce(c) {
+    c.nonce = String(c.parsed.nonce || '').trim();
+    if (!c.nonce || c.nonce.length > NONCE_MAX_LEN) return { drop: 'bad_nonce' };
+  }
+
+  // Typing, read receipts and reactions pay less work; the spam window and their own rate budgets still bound them.
+  async function pow(c) {
+    const needBits = LIGHT_POW_TYPES.includes(c.kind) ? Math.min(c.minBits, LIGHT_POW_BITS) : c.minBits;
+    try {
+      c.powBits = await c.opts.powZeros(c.payload);
+    } catch (e) {
+      const suffix = String(e?.message || e || '').trim();
+      return { drop: suffix ? `pow_error:${suffix.slice(0, 40)}` : 'pow_error' };
+    }
+    if (c.powBits < needBits) return { drop: 'bad_pow' };
+  }
+
+  async function signature(c) {
+    const v = await c.opts.verify(c.payload, c.signatureB64, c.pubkeyB64, c.address);
+    if (!v?.signatureValid) {
+      const suffix = v?.error ? `:${String(v.error).slice(0, 60)}` : '';
+      return { drop: `bad_sig${suffix}` };
+    }
+    c.canonicalAddr = String(v.derivedAddress || '').trim() || c.address;
+    c.msgId = `${c.canonicalAddr}:${c.nonce}`;
+    c.envelope = { t: String(c.data.t || c.kind), address: c.address, pubkeyB64: c.pubkeyB64, signatureB64: c.signatureB64, payload: c.payload };
+  }
+
+  // The same envelope arriving twice (gossip fan-in, history replies) is not worth a drop counter.
+  function duplicate(c) {
+    if (c.g.seenMsgIds.has(c.msgId)) return { drop: 'duplicate', silent: true };
+    c.g.seenMsgIds.add(c.msgId);
+  }
+
+  function blocked(c) {
+    if (c.opts.isBlocked?.(c.canonicalAddr)) return { drop: 'blocked' };
+  }
+
+  function banned(c) {
+    if (c.opts.isBanned?.(c.canonicalAddr)) return { drop: 'banned' };
+  }
+
+  function replay(c) {
+    if (!markSeenNonce(c.g, c.canonicalAddr, c.nonce)) return { drop: 'nonce_replay' };
+  }
+
+  function spam(c) {
+    if (recordSpam(c.g, c.canonicalAddr, c.now) > AUTO_BLOCK_MAX_MESSAGES) return { drop: 'auto_blocked' };
+  }
+
+  function type(c) {
+    if (!ROOM_EVENT_TYPES.includes(c.kind)) return { drop: 'unknown_type' };
+  }
+
+  function rate(c) {
+    if (c.kind === 'react') {
+      if (isReactionRateLimited(c.g, c.canonicalAddr, c.now)) return { drop: 'reaction_rate_limited' };
+      return;
+    }
+    const bucket = rateBucketOf(c.kind, c.canonicalAddr);
+    if (bucket && isRateLimited(c.g, bucket, c.now)) return { drop: 'rate_limited' };
+    // Slow mode spaces new messages only; edits and deletes keep the plain chat slot.
+    const slowMs = Number(c.opts.slowMs || 0);
+    if (c.kind !== 'msg' || slowMs <= RATE_GAP_MS || c.opts.isSlowExempt?.(c.canonicalAddr)) return;
+    if (isRateLimited(c.g, `slow|${c.canonicalAddr}`, c.now, slowMs * SLOW_MODE_SLACK)) return { drop: 'slow_mode' };
+  }
+
+  // Sealed text is checked by the caller once it is opened.
+  function text(c) {
+    if (c.kind !== 'msg' || c.parsed.enc) return;
+    return checkText(String(c.parsed.text || '').trim(), !!c.parsed.attach, Number(c.opts.textMax || 0) || MSG_TEXT_MAX);
+  }
+
+  // Shape, room, nonce, PoW and signature: what every subscription (rooms, DMs, history batches) checks.
+  const ENVELOPE_STAGES = [json, fields, payload, room, nonce, pow, signature];
+  // Limits judge the envelope, not its sender: a drop there still counts as a sign of life (presence, names).
+  const LIMIT_STAGES = [type, rate, text];
+  const ROOM_STAGES = [...ENVELOPE_STAGES, duplicate, blocked, banned, replay, spam, ...LIMIT_STAGES];
+
+  // opts: { topic, minBits, powZeros(payload), verify(payload, sigB64, pubkeyB64, address),
+  //         guard?, isBlocked?(addr), isBanned?(addr), now?, textMax?, slowMs?, isSlowExempt?(addr) }
+  // Resolves to { ok: true, ...facts } or { ok: false, drop, stage, silent, admitted, ...facts known so far }, where
+  // the facts are { parsed, kind, nonce, canonicalAddr, msgId, envelope, powBits } and `admitted` means only one
+  // of the LIMIT_STAGES stopped it. Unexpected errors reject.
+  async function runPipeline(stages, m, opts = {}) {
+    const c = {
+      m,
+      topic: String(opts.topic || ''),
+      minBits: Number(opts.minBits || 0),
+      now: Number(opts.now || 0) || Date.now(),
+      g: opts.guard || null,
+      opts,
+    };
+    let res = null;
+    let stage = null;
+    for (const fn of stages) {
+      res = await fn(c);
+      if (res && res.drop) {
+        stage = fn;
+        break;
+      }
+      res = null;
+    }
+    const facts = {
+      parsed: c.parsed || null,
+      kind: c.kind || '',
+      nonce: c.nonce || '',
+      canonicalAddr: c.canonicalAddr || '',
+      msgId: c.msgId || '',
+      envelope: c.envelope || null,
+      powBits: c.powBits || 0,
+    };
+    if (res) return { ok: false, drop: res.drop, stage: stage.name, silent: !!res.silent, admitted: LIMIT_STAGES.includes(stage), ...facts };
+    return { ok: true, ...facts };
+  }
+
+  const api = {
+    LIGHT_EVENT_TYPES,
+    LIGHT_POW_BITS,
+    LIGHT_POW_TYPES,
+    MOD_EVENT_TYPES,
+    ROOM_EVENT_TYPES,
+    AUTO_BLOCK_WINDOW_MS,
+    AUTO_BLOCK_MAX_MESSAGES,
+    REACTION_RATE_WINDOW_MS,
+    REACTION_RATE_MAX,
+    MSG_TEXT_MAX,
+    RATE_GAP_MS,
+    encodePayload,
+    decodePayload,
+    createGuardState,
+    markSeenNonce,
+    isRateLimited,
+    isReactionRateLimited,
+    recordSpam,
+    rateBucketOf,
+    checkText,
+    POW_LEVEL_GRACE_MS,
+    powBitsAt,
+    MOD_EVENT_SKEW_MS,
+    modEventTime,
+    replayModLog,
+    ENVELOPE_STAGES,
+    LIMIT_STAGES,
+    ROOM_STAGES,
+    runPipeline,
+  };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ChatPipeline = api;
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,82 @@
+// Proof-of-work worker for pubsub_chat (loaded by js/app.js as a pool of dedicated workers).
+// mine:   { id, op: 'mine', head, tail, bits }  -> { id, ok, payload, nonce, attempts }
+// verify: { id, op: 'verify', payload }         -> { id, ok, zeros }
+// cancel: { op: 'cancel', id }
+
+const running = new Set();
+const cancelled = new Set();
+
+function randHex(n) {
+  const alphabet = '0123456789abcdef';
+  let out = '';
+  for (let i = 0; i < n; i++) out += alphabet[(Math.random() * alphabet.length) | 0];
+  return out;
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const b of bytes) {
+    if (b === 0) {
+      bits += 8;
+      continue;
+    }
+    for (let i = 7; i >= 0; i--) {
+      if (b & (1 << i)) return bits;
+      bits += 1;
+    }
+    return bits;
+  }
+  return bits;
+}
+
+async function zerosOf(str) {
+  const hash = await self.crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(str || '')));
+  return leadingZeroBits(new Uint8Array(hash));
+}
+
+async function mine(id, head, tail, bits) {
+  let attempts = 0;
+  while (true) {
+    if (cancelled.has(id)) {
+      self.postMessage({ id, ok: false, error: 'pow_cancelled' });
+      return;
+    }
+    const nonce = randHex(16);
+    const payload = `${head}${nonce}${tail}`;
+    attempts += 1;
+    if ((await zerosOf(payload)) >= bits) {
+      self.postMessage({ id, ok: true, payload, nonce, attempts });
+      return;
+    }
+    // Yield so a queued cancel message can be handled.
+    if (attempts % 256 === 0) await new Promise((r) => setTimeout(r, 0));
+  }
+}
+
+self.onmessage = async (ev) => {
+  const msg = ev?.data || {};
+  const id = Number(msg.id || 0);
+  try {
+    if (msg.op === 'cancel') {
+      if (running.has(id)) cancelled.add(id);
+      return;
+    }
+    if (msg.op === 'mine') {
+      running.add(id);
+      try {
+        await mine(id, String(msg.head || ''), String(msg.tail || ''), Number(msg.bits || 0) || 0);
+      } finally {
+        running.delete(id);
+        cancelled.delete(id);
+      }
+      return;
+    }
+    if (msg.op === 'verify') {
+      self.postMessage({ id, ok: true, zeros: await zerosOf(msg.payload) });
+      return;
+    }
+    self.postMessage({ id, ok: false, error: 'unknown_op' });
+  } catch (e) {
+    self.postMessage({ id, ok: false, error: String(e?.message || e || 'worker_error') });
+  }
+};
@@ -0,0 +1,377 @@
+// Pluggable pubsub transport + signer for the pubsub demos (loaded by index.html before js/app.js).
+// The source is pubsub_chat/js/transport.js; pubsub_livegame/js/transport.js is a byte-identical copy, since each
+// app is served from its own directory (pubsub_chat/test/transport.test.js fails when they differ). Each app passes
+// its own name to select().
+//
+// A transport has the same shape as the parts of window.lumen the apps use:
+//   profiles.getActive()                        -> { id, walletAddress }
+//   wallet.signArbitrary({ address, payload })  -> { ok, address, pubkeyB64, signatureB64 }
+//   wallet.verifyArbitrary({ payload, signatureB64, pubkeyB64, address })
+//                                               -> { ok, signatureValid, addressMatches, derivedAddress }
+//   pubsub.subscribe(topic, opts, cb)           -> { subId, topics, unsubscribe }   cb({ json, text })
+//   pubsub.publish(topic, msg, opts)            -> { ok, error? }
+//   pubsub.peers(topic)                         -> { peers }
+//   pubsub.close()                              local/relay only: leave, stop timers, release the channel
+//
+// Selected by URL hash flags (same place as the attach_* flags):
+//   #transport=lumen                  the Lumen host (default)
+//   #transport=local                  same-tab loopback + BroadcastChannel to other tabs of this origin
+//   #transport=relay&relay=ws://…     a WebSocket hub that forwards every frame to all other clients
+//                                     (e.g. `websocat -t ws-l:127.0.0.1:8765 broadcast:mirror:`)
+//   #signer=lumen|soft                wallet signatures or an in-browser ECDSA P-256 key
+//                                     (default: lumen with the lumen transport, soft otherwise)
+//   #signer_id=alice                  keep the soft key in localStorage under that name instead of
+//                                     per-tab sessionStorage, so an identity survives closing the tab
+//
+// Soft signatures only verify against other soft signers; mixing them with wallet peers drops everything.
+
+(function (root) {
+  const HELLO_EVERY_MS = 2000;
+  const PEER_TTL_MS = 6500;
+  const RELAY_RETRY_MS = 3000;
+
+  function randHex(n) {
+    const alphabet = '0123456789abcdef';
+    let out = '';
+    for (let i = 0; i < n; i++) out += alphabet[(Math.random() * alphabet.length) | 0];
+    return out;
+  }
+
+  function bytesToB64(bytes) {
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin);
+  }
+
+  function b64ToBytes(b64) {
+    const bin = atob(String(b64 || ''));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function readFlags(hash) {
+    const out = { transport: 'lumen', relay: '', signer: '', signerId: '' };
+    try {
+      const p = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+      const t = String(p.get('transport') || '').trim().toLowerCase();
+      if (t === 'local' || t === 'relay') out.transport = t;
+      out.relay = String(p.get('relay') || '').trim();
+      const s = String(p.get('signer') || '').trim().toLowerCase();
+      if (s === 'lumen' || s === 'soft') out.signer = s;
+      out.signerId = String(p.get('signer_id') || '').trim().slice(0, 40);
+    } catch {}
+    if (!out.signer) out.signer = out.transport === 'lumen' ? 'lumen' : 'soft';
+    return out;
+  }
+
+  // ---- software signer ----
+
+  const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+  const ECDSA_SIGN = { name: 'ECDSA', hash: 'SHA-256' };
+
+  // `lmn1` + 38 hex chars of sha256(pubkey): passes the apps' address checks but is not a bech32 wallet address.
+  async function softAddressOf(pubRaw) {
+    const h = new Uint8Array(await crypto.subtle.digest('SHA-256', pubRaw));
+    return 'lmn1' + Array.from(h, (b) => b.toString(16).padStart(2, '0')).join('').slice(0, 38);
+  }
+
+  async function loadSoftKey(storage, storageKey) {
+    try {
+      const saved = JSON.parse(storage?.getItem(storageKey) || 'null');
+      if (saved?.priv && saved?.pub) {
+        const privateKey = await crypto.subtle.importKey('jwk', saved.priv, ECDSA, true, ['sign']);
+        const pubRaw = b64ToBytes(saved.pub);
+        return { privateKey, pubRaw };
+      }
+    } catch {}
+    const pair = await crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+    const pubRaw = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+    try {
+      const priv = await crypto.subtle.exportKey('jwk', pair.privateKey);
+      storage?.setItem(storageKey, JSON.stringify({ priv, pub: bytesToB64(pubRaw) }));
+    } catch {}
+    return { privateKey: pair.privateKey, pubRaw };
+  }
+
+  // Verification needs no key material, so it works without a storage (e.g. under node --test).
+  async function softVerify({ payload, signatureB64, pubkeyB64, address } = {}) {
+    try {
+      const pubRaw = b64ToBytes(pubkeyB64);
+      const publicKey = await crypto.subtle.importKey('raw', pubRaw, ECDSA, false, ['verify']);
+      const signatureValid = await crypto.subtle.verify(
+        ECDSA_SIGN,
+        publicKey,
+        b64ToBytes(signatureB64),
+        new TextEncoder().encode(String(payload || ''))
+      );
+      const derivedAddress = await softAddressOf(pubRaw);
+      const addressMatches = derivedAddress === String(address || '').trim();
+      return { ok: signatureValid && addressMatches, signatureValid, addressMatches, derivedAddress };
+    } catch (e) {
+      return { ok: false, signatureValid: false, addressMatches: false, derivedAddress: '', error: String(e?.message || e) };
+    }
+  }
+
+  function createSoftSigner({ app = 'pubsub', signerId = '', storage = null } = {}) {
+    const storageKey = `lumen.${app}.soft_signer${signerId ? '.' + signerId : ''}.v1`;
+    let keyP = null;
+    const key = () => {
+      if (!keyP) keyP = loadSoftKey(storage, storageKey);
+      return keyP;
+    };
+    const identity = async () => {
+      const k = await key();
+      return { ...k, address: await softAddressOf(k.pubRaw) };
+    };
+    return {
+      profiles: {
+        getActive: async () => {
+          const { address } = await identity();
+          return { id: `soft:${signerId || 'tab'}`, walletAddress: address };
+        },
+      },
+      wallet: {
+        signArbitrary: async ({ payload } = {}) => {
+          try {
+            const { privateKey, pubRaw, address } = await identity();
+            const sig = await crypto.subtle.sign(ECDSA_SIGN, privateKey, new TextEncoder().encode(String(payload || '')));
+            return { ok: true, address, pubkeyB64: bytesToB64(pubRaw), signatureB64: bytesToB64(new Uint8Array(sig)) };
+          } catch (e) {
+            return { ok: false, error: String(e?.message || e || 'sign failed') };
+          }
+        },
+        verifyArbitrary: softVerify,
+      },
+    };
+  }
+
+  // ---- hub pubsub (loopback, BroadcastChannel, WebSocket relay) ----
+
+  // `hub` carries frames to the other clients: { post(frame) -> bool, listen(fn), close(), error?() }.
+  // Topic filtering and the peer table live here, so the relay can stay a dumb fan-out.
+  function createHubPubsub(hub) {
+    const selfId = randHex(16);
+    const subs = new Map(); // topic -> Set(cb)
+    const peers = new Map(); // peerId -> { topics: Set, seenAt }
+    let helloTimer = null;
+    let nextSub = 1;
+    let closed = false;
+
+    const deliver = (topic, text) => {
+      for (const cb of Array.from(subs.get(topic) || [])) {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch {}
+        setTimeout(() => {
+          try {
+            cb({ json, text });
+          } catch {}
+        }, 0);
+      }
+    };
+
+    const hello = () => hub.post({ k: 'hello', from: selfId, topics: Array.from(subs.keys()) });
+
+    const syncHello = () => {
+      if (subs.size && !helloTimer) helloTimer = setInterval(hello, HELLO_EVERY_MS);
+      if (!subs.size && helloTimer) {
+        clearInterval(helloTimer);
+        helloTimer = null;
+      }
+      hello();
+    };
+
+    hub.listen((frame) => {
+      if (closed || !frame || typeof frame !== 'object' || frame.from === selfId) return;
+      const from = String(frame.from || '').slice(0, 40);
+      if (!from) return;
+      if (frame.k === 'hello') {
+        const known = peers.has(from);
+        peers.set(from, { topics: new Set(Array.isArray(frame.topics) ? frame.topics.map(String) : []), seenAt: Date.now() });
+        if (!known) hello(); // answer newcomers so they see us before our next tick
+      } else if (frame.k === 'bye') {
+        peers.delete(from);
+      } else if (frame.k === 'msg' && typeof frame.topic === 'string' && typeof frame.text === 'string') {
+        deliver(frame.topic, frame.text);
+      }
+    });
+
+    const close = () => {
+      if (closed) return;
+      hub.post({ k: 'bye', from: selfId });
+      closed = true;
+      clearInterval(helloTimer);
+      helloTimer = null;
+      subs.clear();
+      peers.clear();
+      hub.close();
+    };
+
+    // A page kept in the back/forward cache may come back, so it only says goodbye; an unload closes for good.
+    try {
+      root.addEventListener?.('pagehide', (ev) => (ev?.persisted ? hub.post({ k: 'bye', from: selfId }) : close()));
+    } catch {}
+
+    return {
+      subscribe: async (topic, _opts, cb) => {
+        if (closed) throw new Error('transport closed');
+        const t = String(topic || '');
+        if (!subs.has(t)) subs.set(t, new Set());
+        subs.get(t).add(cb);
+        syncHello();
+        const subId = `hub-${nextSub++}`;
+        return {
+          subId,
+          topics: [t],
+          unsubscribe: async () => {
+            const set = subs.get(t);
+            if (!set) return;
+            set.delete(cb);
+            if (!set.size) subs.delete(t);
+            syncHello();
+          },
+        };
+      },
+      publish: async (topic, msg) => {
+        if (closed) return { ok: false, error: 'transport closed' };
+        const t = String(topic || '');
+        const text = typeof msg === 'string' ? msg : JSON.stringify(msg);
+        if (!hub.post({ k: 'msg', from: selfId, topic: t, text })) return { ok: false, error: hub.error?.() || 'transport offline' };
+        deliver(t, text); // loopback: other subscriptions in this tab see it too
+        return { ok: true };
+      },
+      peers: async (topic) => {
+        const t = String(topic || '');
+        const now = Date.now();
+        const out = [];
+        for (const [id, p] of peers) {
+          if (now - p.seenAt > PEER_TTL_MS) peers.delete(id);
+          else if (p.topics.has(t)) out.push(id);
+        }
+        return { peers: out };
+      },
+      close,
+    };
+  }
+
+  function broadcastHub(name) {
+    const listeners = [];
+    let ch = null;
+    try {
+      ch = new BroadcastChannel(name);
+      ch.onmessage = (ev) => listeners.forEach((fn) => fn(ev?.data));
+    } catch {}
+    return {
+      // Without BroadcastChannel this still works as a same-tab loopback.
+      post: (frame) => {
+        try {
+          ch?.postMessage(frame);
+        } catch {}
+        return true;
+      },
+      listen: (fn) => listeners.push(fn),
+      close: () => {
+        listeners.length = 0;
+        try {
+          ch?.close();
+        } catch {}
+      },
+    };
+  }
+
+  function relayHub(url) {
+    const listeners = [];
+    let ws = null;
+    let lastError = '';
+    let retryTimer = null;
+    let closed = false;
+    const open = () => {
+      retryTimer = null;
+      if (closed) return;
+      try {
+        ws = new WebSocket(url);
+      } catch (e) {
+        lastError = String(e?.message || e || 'relay unavailable');
+        retryTimer = setTimeout(open, RELAY_RETRY_MS);
+        return;
+      }
+      ws.onmessage = (ev) => {
+        let frame = null;
+        try {
+          frame = JSON.parse(String(ev?.data || ''));
+        } catch {}
+        if (frame) listeners.forEach((fn) => fn(frame));
+      };
+      ws.onopen = () => {
+        lastError = '';
+      };
+      ws.onclose = () => {
+        lastError = 'relay disconnected';
+        if (!closed) retryTimer = setTimeout(open, RELAY_RETRY_MS);
+      };
+    };
+    if (url) open();
+    else lastError = 'no relay url (#relay=ws://…)';
+    return {
+      post: (frame) => {
+        if (!ws || ws.readyState !== 1) return false;
+        try {
+          ws.send(JSON.stringify(frame));
+          return true;
+        } catch (e) {
+          lastError = String(e?.message || e);
+          return false;
+        }
+      },
+      listen: (fn) => listeners.push(fn),
+      error: () => lastError,
+      close: () => {
+        closed = true;
+        listeners.length = 0;
+        clearTimeout(retryTimer);
+        try {
+          ws?.close();
+        } catch {}
+      },
+    };
+  }
+
+  // ---- selection ----
+
+  // The lumen parts are read on every access, so a host that injects window.lumen late still works.
+  function select(app, hash = root.location?.hash) {
+    const flags = readFlags(hash);
+    const lumen = () => root.lumen || null;
+    let pubsub = null;
+    if (flags.transport === 'local') pubsub = createHubPubsub(broadcastHub(`lumen.${app}.local.v1`));
+    if (flags.transport === 'relay') pubsub = createHubPubsub(relayHub(flags.relay));
+    let soft = null;
+    if (flags.signer === 'soft') {
+      let storage = null;
+      try {
+        storage = flags.signerId ? root.localStorage : root.sessionStorage;
+      } catch {}
+      soft = createSoftSigner({ app, signerId: flags.signerId, storage });
+    }
+    return {
+      kind: flags.transport,
+      signer: flags.signer,
+      label: flags.transport === 'relay' ? `relay ${flags.relay || '(unset)'}` : flags.transport,
+      get pubsub() {
+        return pubsub || lumen()?.pubsub || null;
+      },
+      get wallet() {
+        return soft ? soft.wallet : lumen()?.wallet || null;
+      },
+      get profiles() {
+        return soft ? soft.profiles : lumen()?.profiles || null;
+      },
+    };
+  }
+
+  const api = { select, readFlags, createSoftSigner, softVerify, createHubPubsub, broadcastHub, relayHub };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PubsubTransport = api;
+})(typeof self !== 'undefined' ? self : globalThis);
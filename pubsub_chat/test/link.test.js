@@ -0,0 +1,98 @@
+// Link supervisor bookkeeping: node --test pubsub_chat/test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const K = require('../js/link.js');
+
+const T0 = 1_000_000;
+
+test('the livegame copy is byte-identical to this source', () => {
+  const source = fs.readFileSync(path.join(__dirname, '../js/link.js'), 'utf8');
+  const copy = fs.readFileSync(path.join(__dirname, '../../pubsub_livegame/js/link.js'), 'utf8');
+  assert.ok(source === copy, 'copy pubsub_chat/js/link.js over pubsub_livegame/js/link.js');
+});
+
+test('a fresh link is connected and not stalled', () => {
+  const link = K.createLink(T0);
+  assert.equal(K.stallReason(link, T0 + 60_000), '');
+  assert.equal(K.linkQuality(link, T0 + 60_000), 'connected');
+});
+
+test('silence only counts while peers are reported', () => {
+  const link = K.createLink(T0);
+  assert.equal(K.stallReason(link, T0 + 10 * 60_000), ''); // alone and quiet is fine
+  K.notePeers(link, 2, T0 + 100_000);
+  assert.equal(K.linkQuality(link, T0 + 100_000), 'degraded');
+  assert.equal(K.stallReason(link, T0 + 100_000), '');
+  assert.equal(K.stallReason(link, T0 + 151_000), 'silent');
+  K.noteReceived(link, T0 + 151_000);
+  assert.equal(K.stallReason(link, T0 + 152_000), '');
+});
+
+test('missing echoes stall the link once an echo was ever seen', () => {
+  const link = K.createLink(T0);
+  K.noteSent(link, 'me:1', T0);
+  assert.equal(K.stallReason(link, T0 + 20_000), ''); // this host may not echo at all
+  K.noteReceived(link, T0 + 20_000, 'me:1');
+  assert.equal(link.echoSeen, true);
+  K.noteSent(link, 'me:2', T0 + 21_000);
+  assert.equal(K.linkQuality(link, T0 + 27_000), 'degraded');
+  assert.equal(K.stallReason(link, T0 + 32_000), 'no_echo');
+});
+
+test('repeated publish or peers failures stall the link', () => {
+  const link = K.createLink(T0);
+  K.notePublishFailed(link);
+  K.notePublishFailed(link);
+  assert.equal(K.stallReason(link, T0), '');
+  K.notePublishFailed(link);
+  assert.equal(K.stallReason(link, T0), 'publish_failing');
+  K.noteSent(link, 'me:1', T0);
+  for (let i = 0; i < 3; i++) K.notePeersFailed(link);
+  assert.equal(K.stallReason(link, T0), 'peers_failing');
+  K.notePeers(link, 0, T0);
+  assert.equal(K.stallReason(link, T0), '');
+});
+
+test('retries back off exponentially until traffic arrives', () => {
+  const link = K.createLink(T0, { baseDelayMs: 1000, maxDelayMs: 8000 });
+  K.startRetry(link, T0, 'silent');
+  assert.equal(K.linkQuality(link, T0), 'reconnecting');
+  assert.equal(K.retryDue(link, T0), true); // the first retry is immediate
+  const delays = [];
+  let now = T0;
+  for (let i = 0; i < 5; i++) {
+    K.beginRetry(link);
+    assert.equal(K.retryDue(link, now), false); // one attempt in flight at a time
+    K.retryFailed(link, now);
+    delays.push(link.retryAt - now);
+    now = link.retryAt;
+  }
+  const bases = [1000, 2000, 4000, 8000, 8000];
+  delays.forEach((d, i) => assert.ok(d >= bases[i] * 0.8 && d <= bases[i] * 1.2, `delay ${i}: ${d}`));
+  K.beginRetry(link);
+  K.resubscribed(link, now);
+  assert.equal(link.state, 'connected');
+  assert.equal(link.attempt, 6); // kept until the new subscription hears something
+  K.noteReceived(link, now + 10);
+  assert.equal(link.attempt, 0);
+});
+
+test('wake and online retry at once, whatever the back-off', () => {
+  const link = K.createLink(T0);
+  link.attempt = 5;
+  K.retryNow(link, T0, 'wake');
+  assert.equal(K.retryDue(link, T0), true);
+  assert.equal(link.attempt, 0);
+  assert.equal(K.sleptThrough(T0, T0 + 5_000, 5_000), false);
+  assert.equal(K.sleptThrough(T0, T0 + 60_000, 5_000), true);
+});
+
+test('the worst room decides the overall quality', () => {
+  assert.equal(K.worstQuality([]), 'connected');
+  assert.equal(K.worstQuality(['connected', 'degraded']), 'degraded');
+  assert.equal(K.worstQuality(['reconnecting', 'degraded', 'connected']), 'reconnecting');
+});
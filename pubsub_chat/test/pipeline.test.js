@@ -0,0 +1,316 @@
+// Receive pipeline tests: node --test pubsub_chat/test/
+// Envelopes are mined and signed for real, with the software signer from js/transport.js standing in for the wallet.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash, randomBytes } = require('node:crypto');
+
+const P = require('../js/pipeline.js');
+const { createSoftSigner, softVerify } = require('../js/transport.js');
+
+const TOPIC = 'lumen/pubsub_chat/v1/lobby';
+const BITS = 6; // enough to tell mined from unmined payloads, cheap enough to mine a few hundred
+
+function zerosOf(payload) {
+  let bits = 0;
+  for (const b of createHash('sha256').update(String(payload)).digest()) {
+    if (b === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(b) - 24;
+  }
+  return bits;
+}
+
+async function verify(payload, signatureB64, pubkeyB64, address) {
+  return await softVerify({ payload, signatureB64, pubkeyB64, address });
+}
+
+const alice = createSoftSigner({ app: 'test-alice' });
+const mallory = createSoftSigner({ app: 'test-mallory' });
+
+// Mines `fields` at `bits` (or exactly below it with `underpay`) and signs the result.
+async function envelope(type, fields = {}, { signer = alice, topic = TOPIC, bits = BITS, underpay = false, nonce = '' } = {}) {
+  const { walletAddress: addr } = await signer.profiles.getActive();
+  let payload = '';
+  for (;;) {
+    const n = nonce || randomBytes(8).toString('hex');
+    payload = P.encodePayload(type, { room: topic, ts: String(Date.now()), addr, nick: 'alice', ...fields, nonce: n });
+    const z = zerosOf(payload);
+    if (nonce || (underpay ? z < bits : z >= bits)) break;
+  }
+  const sig = await signer.wallet.signArbitrary({ payload });
+  return { json: { t: type, address: sig.address, pubkeyB64: sig.pubkeyB64, signatureB64: sig.signatureB64, payload } };
+}
+
+function room(guard = P.createGuardState(), extra = {}) {
+  return (m, now) =>
+    P.runPipeline(P.ROOM_STAGES, m, { topic: TOPIC, minBits: BITS, guard, powZeros: zerosOf, verify, now, ...extra });
+}
+
+test('accepts a mined, signed message and reports its facts', async () => {
+  const m = await envelope('msg', { text: 'hello' });
+  const res = await room()(m);
+  assert.equal(res.ok, true);
+  assert.equal(res.kind, 'msg');
+  assert.equal(res.canonicalAddr, m.json.address);
+  assert.equal(res.msgId, `${m.json.address}:${res.nonce}`);
+  assert.equal(res.envelope.payload, m.json.payload);
+  assert.ok(res.powBits >= BITS);
+});
+
+test('drops malformed envelopes', async () => {
+  const check = room();
+  assert.equal((await check({ text: 'not json' })).drop, 'bad_json:not json');
+  assert.equal((await check({})).drop, 'bad_json');
+  const m = await envelope('msg', { text: 'x' });
+  assert.equal((await check({ json: { ...m.json, signatureB64: '' } })).drop, 'missing_fields');
+  assert.equal((await check({ json: { ...m.json, payload: 'other_app|v1|msg|a=1' } })).drop, 'bad_payload');
+});
+
+test('drops envelopes for another room', async () => {
+  const m = await envelope('msg', { text: 'hi' }, { topic: 'lumen/pubsub_chat/v1/other' });
+  const res = await room()(m);
+  assert.equal(res.drop, 'wrong_room');
+  assert.equal(res.stage, 'room');
+});
+
+test('drops oversized nonces', async () => {
+  const res = await room()(await envelope('msg', { text: 'hi' }, { nonce: 'x'.repeat(21) }));
+  assert.equal(res.drop, 'bad_nonce');
+});
+
+test('drops underpaid proof-of-work, but lets light events pay less', async () => {
+  assert.equal((await room()(await envelope('msg', { text: 'cheap' }, { underpay: true }))).drop, 'bad_pow');
+  const strict = room(P.createGuardState(), { minBits: P.LIGHT_POW_BITS + 4 });
+  const typing = await envelope('typing', {}, { bits: P.LIGHT_POW_BITS });
+  assert.equal((await strict(typing)).ok, true);
+  const react = await envelope('react', { target: 'a:1', on: '1', text: '👍' }, { bits: P.LIGHT_POW_BITS });
+  assert.equal((await strict(react)).ok, true);
+  const msg = await envelope('msg', { text: 'hi' }, { bits: P.LIGHT_POW_BITS, underpay: true });
+  assert.equal((await strict(msg)).drop, 'bad_pow');
+});
+
+test('reports PoW verifier failures as pow_error', async () => {
+  const check = room(P.createGuardState(), {
+    powZeros: async () => {
+      throw new Error('pool gone');
+    },
+  });
+  assert.equal((await check(await envelope('msg', { text: 'hi' }))).drop, 'pow_error:pool gone');
+});
+
+test('drops bad signatures', async () => {
+  const m = await envelope('msg', { text: 'original' });
+  const forged = await envelope('msg', { text: 'forged' }, { signer: mallory });
+  // Mallory's signature over Alice's payload.
+  const res = await room()({ json: { ...m.json, signatureB64: forged.json.signatureB64 } });
+  assert.equal(res.drop, 'bad_sig');
+  assert.equal(res.stage, 'signature');
+});
+
+test('uses the address derived from the key, not the claimed one', async () => {
+  const m = await envelope('msg', { text: 'hi' }, { signer: mallory });
+  const { walletAddress } = await alice.profiles.getActive();
+  const res = await room()({ json: { ...m.json, address: walletAddress } });
+  assert.equal(res.ok, true);
+  assert.notEqual(res.canonicalAddr, walletAddress);
+});
+
+test('silently drops duplicates and reports nonce replays', async () => {
+  const guard = P.createGuardState();
+  const check = room(guard);
+  const m = await envelope('msg', { text: 'once' });
+  assert.equal((await check(m)).ok, true);
+  const again = await check(m, Date.now() + 5000);
+  assert.equal(again.drop, 'duplicate');
+  assert.equal(again.silent, true);
+
+  // Dedup ids are trimmed long before the per-address nonce ring, so a replay can get past them.
+  guard.seenMsgIds.clear();
+  const replay = await check(m, Date.now() + 10_000);
+  assert.equal(replay.drop, 'nonce_replay');
+  assert.equal(replay.silent, false);
+});
+
+test('drops blocked and banned senders', async () => {
+  const m = await envelope('msg', { text: 'hi' });
+  const addr = m.json.address;
+  assert.equal((await room(P.createGuardState(), { isBlocked: (a) => a === addr })(m)).drop, 'blocked');
+  assert.equal((await room(P.createGuardState(), { isBanned: (a) => a === addr })(m)).drop, 'banned');
+});
+
+test('auto-blocks a sender above the spam window, whatever the types', async () => {
+  const check = room();
+  const t0 = Date.now();
+  for (let i = 0; i < P.AUTO_BLOCK_MAX_MESSAGES; i++) {
+    const res = await check(await envelope('ping'), t0 + i * 10);
+    assert.equal(res.ok, true, `ping ${i}`);
+  }
+  const res = await check(await envelope('msg', { text: 'one too many' }), t0 + 150);
+  assert.equal(res.drop, 'auto_blocked');
+  assert.equal(res.admitted, false);
+  assert.equal(res.canonicalAddr, (await alice.profiles.getActive()).walletAddress);
+  // The window slides: later traffic is counted afresh.
+  assert.equal((await check(await envelope('ping'), t0 + P.AUTO_BLOCK_WINDOW_MS + 200)).ok, true);
+});
+
+test('drops unknown types', async () => {
+  assert.equal((await room()(await envelope('shout', { text: 'hi' }))).drop, 'unknown_type');
+});
+
+test('rate limits each type in its own bucket', async () => {
+  const check = room();
+  const t0 = Date.now();
+  assert.equal((await check(await envelope('msg', { text: 'a' }), t0)).ok, true);
+  const second = await check(await envelope('msg', { text: 'b' }), t0 + 500);
+  assert.equal(second.drop, 'rate_limited');
+  assert.equal(second.kind, 'msg');
+  assert.equal(second.admitted, true); // still a sign of life for presence
+  assert.equal((await check(await envelope('edit', { target: 'x' }), t0 + 600)).drop, 'rate_limited');
+  // The msg slot is still spent, yet every other bucket takes one.
+  for (const [i, kind] of ['typing', 'read', 'profile', 'pow_level', 'ban'].entries()) {
+    const at = t0 + 700 + i * 50;
+    assert.equal((await check(await envelope(kind), at)).ok, true, kind);
+  }
+  assert.equal((await check(await envelope('typing'), t0 + 950)).drop, 'rate_limited');
+  assert.equal((await check(await envelope('msg', { text: 'c' }), t0 + 3500)).ok, true);
+});
+
+test('rate limits reactions by a sliding window', async () => {
+  const check = room();
+  const t0 = Date.now();
+  for (let i = 0; i < P.REACTION_RATE_MAX; i++) {
+    // Spread out so the spam window never trips.
+    assert.equal((await check(await envelope('react', { target: 't', emoji: '👍' }), t0 + i * 400)).ok, true);
+  }
+  const res = await check(await envelope('react', { target: 't', emoji: '👍' }), t0 + P.REACTION_RATE_MAX * 400);
+  assert.equal(res.drop, 'reaction_rate_limited');
+  const later = t0 + P.REACTION_RATE_WINDOW_MS + 1;
+  assert.equal((await check(await envelope('react', { target: 't', emoji: '👍' }), later)).ok, true);
+});
+
+test('drops empty and oversized plain text; sealed text is left to the caller', async () => {
+  const check = room();
+  const t0 = Date.now();
+  assert.equal((await check(await envelope('msg', { text: '   ' }), t0)).drop, 'empty_text');
+  const long = await check(await envelope('msg', { text: 'x'.repeat(P.MSG_TEXT_MAX + 1) }), t0 + 2000);
+  assert.equal(long.drop, 'text_too_long');
+  assert.equal(long.stage, 'text');
+  assert.equal((await check(await envelope('msg', { text: 'x'.repeat(P.MSG_TEXT_MAX) }), t0 + 4000)).ok, true);
+  assert.equal((await check(await envelope('msg', { attach: 'bafy', text: '' }), t0 + 6000)).ok, true);
+  assert.equal((await check(await envelope('msg', { enc: 'aes-gcm', iv: 'iv', text: 'c2VhbGVk' }), t0 + 8000)).ok, true);
+  assert.deepEqual(P.checkText(''), { drop: 'empty_text' });
+  assert.equal(P.checkText('ok'), null);
+});
+
+test('applies a room text limit instead of the default', async () => {
+  const check = room(P.createGuardState(), { textMax: 20 });
+  const t0 = Date.now();
+  assert.equal((await check(await envelope('msg', { text: 'x'.repeat(21) }), t0)).drop, 'text_too_long');
+  assert.equal((await check(await envelope('msg', { text: 'x'.repeat(20) }), t0 + 2000)).ok, true);
+  const wide = room(P.createGuardState(), { textMax: 800 });
+  assert.equal((await wide(await envelope('msg', { text: 'x'.repeat(800) }), t0)).ok, true);
+  assert.deepEqual(P.checkText('x'.repeat(21), false, 20), { drop: 'text_too_long' });
+});
+
+test('slow mode spaces new messages, not edits, and spares exempt senders', async () => {
+  const check = room(P.createGuardState(), { slowMs: 10_000 });
+  const t0 = Date.now();
+  assert.equal((await check(await envelope('msg', { text: 'a' }), t0)).ok, true);
+  const early = await check(await envelope('msg', { text: 'b' }), t0 + 3000);
+  assert.equal(early.drop, 'slow_mode');
+  assert.equal(early.admitted, true);
+  assert.equal((await check(await envelope('edit', { target: 'x' }), t0 + 4500)).ok, true);
+  // A tenth of slack for delivery jitter.
+  assert.equal((await check(await envelope('msg', { text: 'c' }), t0 + 9500)).ok, true);
+
+  const exempt = room(P.createGuardState(), { slowMs: 10_000, isSlowExempt: () => true });
+  assert.equal((await exempt(await envelope('msg', { text: 'a' }), t0)).ok, true);
+  assert.equal((await exempt(await envelope('msg', { text: 'b' }), t0 + 1500)).ok, true);
+});
+
+test('stops at the first failing stage, in order', async () => {
+  // Wrong room and underpaid: the room check runs first.
+  const m = await envelope('msg', { text: 'hi' }, { topic: 'lumen/pubsub_chat/v1/x', underpay: true });
+  assert.equal((await room()(m)).drop, 'wrong_room');
+  const names = P.ROOM_STAGES.map((fn) => fn.name);
+  assert.deepEqual(names, ['json', 'fields', 'payload', 'room', 'nonce', 'pow', 'signature', 'duplicate', 'blocked', 'banned', 'replay', 'spam', 'type', 'rate', 'text']);
+  // A dropped envelope leaves no rate or dedup trace for the stages it never reached.
+  const guard = P.createGuardState();
+  await room(guard)(await envelope('msg', { text: 'x' }, { underpay: true }));
+  assert.equal(guard.seenMsgIds.size, 0);
+  assert.equal(guard.lastAcceptedAt.size, 0);
+});
+
+test('envelope stages alone skip the room guards', async () => {
+  const m = await envelope('shout', { text: 'x'.repeat(P.MSG_TEXT_MAX + 10) });
+  const opts = { topic: TOPIC, minBits: BITS, powZeros: zerosOf, verify };
+  const res = await P.runPipeline(P.ENVELOPE_STAGES, m, opts);
+  assert.equal(res.ok, true);
+  assert.equal((await P.runPipeline(P.ENVELOPE_STAGES, m, opts)).ok, true); // no dedup without a guard
+});
+
+test('payload codec round-trips and sorts fields', () => {
+  const payload = P.encodePayload('msg', { text: 'a|b=c', room: TOPIC, nonce: 'n1' });
+  assert.match(payload, /^pubsub_chat\|v1\|msg\|nonce=n1\|room=/);
+  assert.deepEqual(P.decodePayload(payload), { type: 'msg', nonce: 'n1', room: TOPIC, text: 'a|b=c' });
+  assert.equal(P.decodePayload('pubsub_chat|v2|msg|a=1'), null);
+});
+
+test('pow level: an own pressure raise is mined at but never enforced, a staff level is after the grace', () => {
+  const now = 1_000_000;
+  const raise = { bits: 14, until: now + 300_000, since: now - 60_000 };
+  assert.equal(P.powBitsAt(now, { base: 12, raise }), 14);
+  assert.equal(P.powBitsAt(now, { base: 12, raise }, { enforce: true }), 12);
+  const level = { bits: 16, until: now + 300_000, since: now - 1000 };
+  assert.equal(P.powBitsAt(now, { base: 12, level, raise }), 16);
+  assert.equal(P.powBitsAt(now, { base: 12, level, raise }, { enforce: true }), 12); // still in its grace
+  assert.equal(P.powBitsAt(now + P.POW_LEVEL_GRACE_MS, { base: 12, level, raise }, { enforce: true }), 16);
+  assert.equal(P.powBitsAt(now + 300_000, { base: 12, level, raise }, { enforce: true }), 12); // expired
+  const config = { powBits: 18, since: now - 60_000 };
+  assert.equal(P.powBitsAt(now, { base: 12, config, level, raise }, { enforce: true }), 18);
+});
+
+test('mod event times: future and backdated claims are dropped, near-future ones clamped', () => {
+  const now = Date.now();
+  const skew = P.MOD_EVENT_SKEW_MS;
+  assert.deepEqual(P.modEventTime(now - 1000, now), { ts: now - 1000 });
+  assert.deepEqual(P.modEventTime(now + 1000, now), { ts: now });
+  assert.equal(P.modEventTime(now + skew + 1, now).drop, 'mod_from_future');
+  assert.equal(P.modEventTime(now + skew + 1, now, { live: false }).drop, 'mod_from_future');
+  assert.equal(P.modEventTime(now - skew - 1, now).drop, 'mod_backdated');
+  assert.equal(P.modEventTime('', now).drop, 'mod_bad_ts');
+  // History may carry old events, but none dated well before the newest one already held.
+  const day = 24 * 3600_000;
+  assert.deepEqual(P.modEventTime(now - day, now, { live: false }), { ts: now - day });
+  assert.equal(P.modEventTime(now - day, now, { live: false, newestTs: now - day / 2 }).drop, 'mod_backdated');
+});
+
+test('replay: a removed moderator cannot backdate a ban, a future-dated ban does not outlive an unban', () => {
+  const owner = 'lmn1owner';
+  const now = Date.now();
+  const ev = (id, type, actor, who, ts) => ({ id, type, actor, who, ts });
+  const appointed = ev('a', 'mod_add', owner, 'lmn1mod', now - 3600_000);
+  const removed = ev('b', 'mod_remove', owner, 'lmn1mod', now - 600_000);
+
+  // Signed after the removal but dated between appointment and removal: refused live and via history.
+  const claimed = now - 1800_000;
+  assert.equal(P.modEventTime(claimed, now).drop, 'mod_backdated');
+  assert.equal(P.modEventTime(claimed, now, { live: false, newestTs: removed.ts }).drop, 'mod_backdated');
+  // Had it been taken, replay would have applied it: the time check is what stops it.
+  const accepted = P.replayModLog(owner, [appointed, removed, ev('c', 'ban', 'lmn1mod', 'lmn1user', claimed)]);
+  assert.equal(accepted.bans.has('lmn1user'), true);
+  // Dated honestly it replays after the removal and is refused.
+  const honest = P.replayModLog(owner, [appointed, removed, ev('c', 'ban', 'lmn1mod', 'lmn1user', now)]);
+  assert.equal(honest.log.find((e) => e.id === 'c').why, 'not_moderator');
+
+  // Future-dated: far ahead is dropped; within the skew it is clamped to receipt, so the owner's later unban wins.
+  assert.equal(P.modEventTime(now + 365 * 24 * 3600_000, now).drop, 'mod_from_future');
+  const future = P.modEventTime(now + 60_000, now);
+  assert.deepEqual(future, { ts: now });
+  const unban = P.modEventTime(now + 1000, now + 1000);
+  const after = P.replayModLog(owner, [appointed, ev('f', 'ban', 'lmn1mod', 'lmn1user', future.ts), ev('u', 'unban', owner, 'lmn1user', unban.ts)]);
+  assert.equal(after.bans.has('lmn1user'), false);
+});
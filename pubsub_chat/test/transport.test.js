@@ -0,0 +1,57 @@
+// Hub transport and the shared copy: node --test pubsub_chat/test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const X = require('../js/transport.js');
+
+// A hub that records what was posted and lets the test play the other side.
+function fakeHub() {
+  const listeners = [];
+  const hub = {
+    posted: [],
+    closed: false,
+    post: (frame) => {
+      hub.posted.push(frame);
+      return !hub.closed;
+    },
+    listen: (fn) => listeners.push(fn),
+    close: () => {
+      hub.closed = true;
+    },
+    emit: (frame) => listeners.forEach((fn) => fn(frame)),
+  };
+  return hub;
+}
+
+test('the livegame copy is byte-identical to this source', () => {
+  const source = fs.readFileSync(path.join(__dirname, '../js/transport.js'), 'utf8');
+  const copy = fs.readFileSync(path.join(__dirname, '../../pubsub_livegame/js/transport.js'), 'utf8');
+  assert.ok(source === copy, 'copy pubsub_chat/js/transport.js over pubsub_livegame/js/transport.js');
+});
+
+test('close says goodbye, releases the hub and refuses further use', async () => {
+  const hub = fakeHub();
+  const ps = X.createHubPubsub(hub);
+  const got = [];
+  await ps.subscribe('t', {}, (m) => got.push(m.text));
+  hub.emit({ k: 'hello', from: 'peer1', topics: ['t'] });
+  assert.deepEqual((await ps.peers('t')).peers, ['peer1']);
+
+  ps.close();
+  assert.equal(hub.closed, true);
+  assert.equal(hub.posted.at(-1).k, 'bye');
+  assert.deepEqual((await ps.peers('t')).peers, []);
+  assert.deepEqual(await ps.publish('t', { a: 1 }), { ok: false, error: 'transport closed' });
+  await assert.rejects(ps.subscribe('t', {}, () => {}), /transport closed/);
+
+  // Frames still in flight are ignored, and no more hellos go out.
+  const sent = hub.posted.length;
+  hub.emit({ k: 'msg', from: 'peer1', topic: 't', text: '{}' });
+  await new Promise((r) => setTimeout(r, 10));
+  assert.deepEqual(got, []);
+  ps.close();
+  assert.equal(hub.posted.length, sent);
+});
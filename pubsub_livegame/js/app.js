@@ -3,6 +3,15 @@ const { useEffect, useMemo, useRef, useState } = React;
 
 const L = () => (window && window.lumen) || null;
 
+// Pubsub + signing backend, chosen by URL flag in js/transport.js (#transport=local, #signer=soft, …).
+const TRANSPORT = window.PubsubTransport ? window.PubsubTransport.select('pubsub_livegame') : null;
+const T = () => TRANSPORT || L();
+
+// Stall detection and resubscribe back-off (js/link.js). Players publish at 5Hz, so silence shows up quickly.
+const LINK = window.PubsubLink;
+const LINK_OPTS = { stallMs: 10_000, echoMs: 3_000 };
+const SUPERVISE_INTERVAL_MS = 2_000;
+
 function nowMs() {
   return Date.now();
 }
@@ -71,12 +80,14 @@ function App() {
   const [peerCount, setPeerCount] = useState(0);
   const [connecting, setConnecting] = useState(false);
   const [searchUntil, setSearchUntil] = useState(0);
+  const [linkState, setLinkState] = useState('connected');
   const [err, setErr] = useState('');
   const { lines, push } = useLog();
 
   const canvasRef = useRef(null);
   const loopRef = useRef({ raf: 0, lastSendAt: 0, mouse: { x: 0, y: 0, active: false } });
   const subRef = useRef({ unsubscribe: null });
+  const linkRef = useRef(null); // LINK state of the subscription
   const peersRef = useRef(new Map()); // address -> {x,y,nick,ts,color}
   const seenMsgIdRef = useRef(new Set()); // `${addr}:${nonce}`
   const connectSeqRef = useRef(0);
@@ -84,7 +95,7 @@ function App() {
   const topic = useMemo(() => `lumen/pubsub_livegame/v1/${String(room || 'lobby').trim().toLowerCase()}`, [room]);
 
   async function getActiveProfile() {
-    const api = L();
+    const api = T();
     if (!api?.profiles?.getActive) throw new Error('lumen.profiles.getActive unavailable');
     const p = await api.profiles.getActive();
     const profileId = String(p?.id || '').trim();
@@ -94,7 +105,7 @@ function App() {
   }
 
   async function signPayload(profileId, address, payload) {
-    const api = L();
+    const api = T();
     if (!api?.wallet?.signArbitrary) throw new Error('lumen.wallet.signArbitrary unavailable');
     const res = await api.wallet.signArbitrary({ profileId, address, algo: 'ADR-036', payload });
     if (!res?.ok) throw new Error(res?.error || 'sign failed');
@@ -102,7 +113,7 @@ function App() {
   }
 
   async function verifyPayload(payload, signatureB64, pubkeyB64, address) {
-    const api = L();
+    const api = T();
     if (!api?.wallet?.verifyArbitrary) {
       return { ok: true, signatureValid: true, derivedAddress: '', error: '' }; // best-effort fallback
     }
@@ -114,13 +125,14 @@ function App() {
   }
 
   async function publishSigned(type, fields) {
-    const api = L();
+    const api = T();
     if (!api?.pubsub?.publish) throw new Error('lumen.pubsub.publish unavailable');
     const { profileId, address } = await getActiveProfile();
+    const nonce = randHex(8);
     const payload = encodePayload(type, {
       room: topic,
       ts: String(nowMs()),
-      nonce: randHex(8),
+      nonce,
       addr: address,
       ...fields,
     });
@@ -132,8 +144,68 @@ function App() {
       signatureB64: sig.signatureB64,
       payload,
     };
-    const res = await api.pubsub.publish(topic, msg, { encoding: 'json' });
-    if (!res?.ok) throw new Error(res?.error || 'publish failed');
+    const link = linkRef.current;
+    let res = null;
+    try {
+      res = await api.pubsub.publish(topic, msg, { encoding: 'json' });
+    } catch (e) {
+      if (link) LINK.notePublishFailed(link);
+      throw e;
+    }
+    if (!res?.ok) {
+      if (link) LINK.notePublishFailed(link);
+      throw new Error(res?.error || 'publish failed');
+    }
+    if (link) LINK.noteSent(link, `${msg.address}:${nonce}`, nowMs());
+  }
+
+  async function handleEnvelope(m) {
+    try {
+      const data = m?.json;
+      if (!data || typeof data !== 'object') return;
+      const payload = String(data.payload || '');
+      const address = String(data.address || '').trim();
+      const pubkeyB64 = String(data.pubkeyB64 || '').trim();
+      const signatureB64 = String(data.signatureB64 || '').trim();
+      if (!payload || !address || !pubkeyB64 || !signatureB64) return;
+
+      const parsed = decodePayload(payload);
+      if (!parsed) return;
+      if (String(parsed.room || '') !== topic) return;
+      const nonce = String(parsed.nonce || '').trim();
+      if (!nonce || nonce.length > 20) return;
+      const unverifiedId = `${address}:${nonce}`;
+      if (seenMsgIdRef.current.has(unverifiedId)) return;
+      if (seenMsgIdRef.current.size > 2500) {
+        const next = new Set();
+        let i = 0;
+        for (const id of seenMsgIdRef.current) {
+          if (i++ < 1200) continue;
+          next.add(id);
+        }
+        seenMsgIdRef.current = next;
+      }
+      seenMsgIdRef.current.add(unverifiedId);
+
+      const v = await verifyPayload(payload, signatureB64, pubkeyB64, address);
+      if (!v.signatureValid) return;
+      const canonicalAddr = v.derivedAddress || address;
+      // Only signed traffic proves the subscription alive; forged frames must not hold off a resubscribe.
+      if (linkRef.current) LINK.noteReceived(linkRef.current, nowMs(), `${canonicalAddr}:${nonce}`);
+
+      const t = String(parsed.type || '');
+      if (t === 'join') {
+        const nn = String(parsed.nick || '').slice(0, 22) || 'player';
+        const x = clamp(Number(parsed.x || 0), 0, 1000);
+        const y = clamp(Number(parsed.y || 0), 0, 1000);
+        peersRef.current.set(canonicalAddr, { x, y, nick: nn, ts: nowMs(), color: hashColor(canonicalAddr) });
+      } else if (t === 'state') {
+        const x = clamp(Number(parsed.x || 0), 0, 1000);
+        const y = clamp(Number(parsed.y || 0), 0, 1000);
+        const nn = String(parsed.nick || '').slice(0, 22) || (peersRef.current.get(canonicalAddr)?.nick || 'player');
+        peersRef.current.set(canonicalAddr, { x, y, nick: nn, ts: nowMs(), color: hashColor(canonicalAddr) });
+      }
+    } catch {}
   }
 
   async function connect() {
@@ -141,14 +213,14 @@ function App() {
     const mySeq = ++connectSeqRef.current;
     setErr('');
     setConnecting(true);
-    const api = L();
+    const api = T();
     if (!api?.pubsub?.subscribe) {
-      setErr('window.lumen.pubsub is not available in this context.');
+      setErr('window.lumen.pubsub is not available in this context (open with #transport=local to run without the Lumen host).');
       setConnecting(false);
       return;
     }
     if (!api?.wallet?.signArbitrary) {
-      setErr('window.lumen.wallet.signArbitrary is not available in this context.');
+      setErr('window.lumen.wallet.signArbitrary is not available in this context (try #signer=soft).');
       setConnecting(false);
       return;
     }
@@ -157,52 +229,7 @@ function App() {
 
     try {
       push('Connecting…');
-      const sub = await api.pubsub.subscribe(topic, { encoding: 'json', autoConnect: true }, async (m) => {
-        try {
-          const data = m?.json;
-          if (!data || typeof data !== 'object') return;
-          const payload = String(data.payload || '');
-          const address = String(data.address || '').trim();
-          const pubkeyB64 = String(data.pubkeyB64 || '').trim();
-          const signatureB64 = String(data.signatureB64 || '').trim();
-          if (!payload || !address || !pubkeyB64 || !signatureB64) return;
-
-          const parsed = decodePayload(payload);
-          if (!parsed) return;
-          if (String(parsed.room || '') !== topic) return;
-          const nonce = String(parsed.nonce || '').trim();
-          if (!nonce || nonce.length > 20) return;
-          const unverifiedId = `${address}:${nonce}`;
-          if (seenMsgIdRef.current.has(unverifiedId)) return;
-          if (seenMsgIdRef.current.size > 2500) {
-            const next = new Set();
-            let i = 0;
-            for (const id of seenMsgIdRef.current) {
-              if (i++ < 1200) continue;
-              next.add(id);
-            }
-            seenMsgIdRef.current = next;
-          }
-          seenMsgIdRef.current.add(unverifiedId);
-
-          const v = await verifyPayload(payload, signatureB64, pubkeyB64, address);
-          if (!v.signatureValid) return;
-          const canonicalAddr = v.derivedAddress || address;
-
-          const t = String(parsed.type || '');
-          if (t === 'join') {
-            const nn = String(parsed.nick || '').slice(0, 22) || 'player';
-            const x = clamp(Number(parsed.x || 0), 0, 1000);
-            const y = clamp(Number(parsed.y || 0), 0, 1000);
-            peersRef.current.set(canonicalAddr, { x, y, nick: nn, ts: nowMs(), color: hashColor(canonicalAddr) });
-          } else if (t === 'state') {
-            const x = clamp(Number(parsed.x || 0), 0, 1000);
-            const y = clamp(Number(parsed.y || 0), 0, 1000);
-            const nn = String(parsed.nick || '').slice(0, 22) || (peersRef.current.get(canonicalAddr)?.nick || 'player');
-            peersRef.current.set(canonicalAddr, { x, y, nick: nn, ts: nowMs(), color: hashColor(canonicalAddr) });
-          }
-        } catch {}
-      });
+      const sub = await api.pubsub.subscribe(topic, { encoding: 'json', autoConnect: true }, handleEnvelope);
 
       if (connectSeqRef.current !== mySeq) {
         try { await sub.unsubscribe(); } catch {}
@@ -210,6 +237,8 @@ function App() {
       }
 
       subRef.current.unsubscribe = sub.unsubscribe;
+      linkRef.current = LINK.createLink(nowMs(), LINK_OPTS);
+      setLinkState('connected');
       setStatus({ connected: true, topic, subId: String(sub.subId || ''), me: null });
       push(`Subscribed: ${topic}`);
       setPeerCount(0);
@@ -230,6 +259,7 @@ function App() {
     connectSeqRef.current += 1;
     setConnecting(false);
     setSearchUntil(0);
+    linkRef.current = null;
     try {
       const u = subRef.current.unsubscribe;
       subRef.current.unsubscribe = null;
@@ -251,14 +281,18 @@ function App() {
   useEffect(() => {
     if (!status.connected) return;
     let alive = true;
-    const api = L();
+    const api = T();
     const tick = async () => {
       if (!alive) return;
       try {
         const res = await api?.pubsub?.peers?.(topic);
+        if (res?.ok === false) throw new Error(res.error || 'peers failed');
         const peers = Array.isArray(res?.peers) ? res.peers : [];
+        if (linkRef.current) LINK.notePeers(linkRef.current, peers.length, nowMs());
         if (alive) setPeerCount(peers.length);
-      } catch {}
+      } catch {
+        if (linkRef.current) LINK.notePeersFailed(linkRef.current);
+      }
     };
     tick();
     const t = setInterval(tick, 2000);
@@ -268,6 +302,71 @@ function App() {
     };
   }, [status.connected, topic]);
 
+  // Connection supervisor: resubscribes when the stream goes quiet (sleep/wake, a dropped host connection).
+  useEffect(() => {
+    if (!status.connected) return;
+    let alive = true;
+    let lastTickAt = nowMs();
+    const tick = () => {
+      const link = linkRef.current;
+      if (!alive || !link) return;
+      const now = nowMs();
+      if (LINK.sleptThrough(lastTickAt, now, SUPERVISE_INTERVAL_MS)) LINK.retryNow(link, now, 'wake');
+      lastTickAt = now;
+      const why = LINK.stallReason(link, now);
+      if (why && link.state !== 'reconnecting') {
+        LINK.startRetry(link, now, why);
+        push(`Link stalled (${why}), resubscribing…`);
+      }
+      if (LINK.retryDue(link, now)) void resubscribe(link);
+      setLinkState(LINK.linkQuality(link, now));
+    };
+    const onOffline = () => {
+      if (linkRef.current) LINK.startRetry(linkRef.current, nowMs(), 'offline');
+      tick();
+    };
+    const onOnline = () => {
+      if (linkRef.current) LINK.retryNow(linkRef.current, nowMs(), 'online');
+      tick();
+    };
+    const t = setInterval(tick, SUPERVISE_INTERVAL_MS);
+    window.addEventListener('offline', onOffline);
+    window.addEventListener('online', onOnline);
+    return () => {
+      alive = false;
+      try { clearInterval(t); } catch {}
+      window.removeEventListener('offline', onOffline);
+      window.removeEventListener('online', onOnline);
+    };
+  }, [status.connected, topic]);
+
+  // Peers and the dedup set stay; the render loop's next state update re-announces us.
+  async function resubscribe(link) {
+    const api = T();
+    const mySeq = connectSeqRef.current;
+    LINK.beginRetry(link);
+    setLinkState('reconnecting');
+    try {
+      const u = subRef.current.unsubscribe;
+      subRef.current.unsubscribe = null;
+      if (u) await u();
+    } catch {}
+    try {
+      const sub = await api.pubsub.subscribe(topic, { encoding: 'json', autoConnect: true }, handleEnvelope);
+      if (connectSeqRef.current !== mySeq || linkRef.current !== link) {
+        try { await sub.unsubscribe(); } catch {}
+        return;
+      }
+      subRef.current.unsubscribe = sub.unsubscribe;
+      LINK.resubscribed(link, nowMs());
+      setLinkState('connected');
+      push(`Resubscribed: ${topic}`);
+    } catch (e) {
+      LINK.retryFailed(link, nowMs());
+      push(`Resubscribe failed (${String(e?.message || e || 'unknown error')}), retrying in ${Math.ceil((link.retryAt - nowMs()) / 1000)}s`);
+    }
+  }
+
   // Hide the "searching" hint after ~10s (or as soon as someone appears).
   useEffect(() => {
     if (!status.connected) return;
@@ -380,7 +479,8 @@ function App() {
       }
 
       // send state at 5Hz max
-      if (status.connected && nowMs() - state.lastSendAt > 200) {
+      // Nothing to queue here: positions go stale, the next update after a reconnect says where we are.
+      if (status.connected && linkRef.current?.state !== 'reconnecting' && nowMs() - state.lastSendAt > 200) {
         state.lastSendAt = nowMs();
         try {
           await publishSigned('state', { nick: String(nick || '').trim().slice(0, 22), x: meX.toFixed(1), y: meY.toFixed(1) });
@@ -423,8 +523,13 @@ function App() {
       'div',
       { className: 'topbar' },
       React.createElement('div', { className: 'brand' }, 'PubSub Live Game'),
-      React.createElement('div', { className: 'pill' }, status.connected ? 'online' : 'offline'),
+      React.createElement(
+        'div',
+        { className: `pill link-${status.connected ? linkState : 'offline'}` },
+        status.connected ? (linkState === 'connected' ? 'online' : linkState === 'reconnecting' ? 'reconnecting…' : 'degraded') : 'offline',
+      ),
       status.connected ? React.createElement('div', { className: 'pill' }, `peers ${peerCount}`) : null,
+      TRANSPORT && TRANSPORT.kind !== 'lumen' ? React.createElement('div', { className: 'pill' }, `transport: ${TRANSPORT.label}`) : null,
       status.connected ? React.createElement('div', { className: 'muted' }, topic) : null,
     ),
     React.createElement(
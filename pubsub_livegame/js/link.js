@@ -0,0 +1,187 @@
+// Link supervision for pubsub subscriptions (loaded by index.html before js/app.js; see pubsub_chat/test/link.test.js).
+// The source is pubsub_chat/js/link.js; pubsub_livegame/js/link.js is a byte-identical copy, since each app is
+// served from its own directory (pubsub_chat/test/link.test.js fails when they differ).
+//
+// A link is the bookkeeping for one subscription: what was last heard, which of our own publishes should have
+// echoed back, whether peers() and publish() keep failing, and the resubscribe back-off. The apps feed it from
+// their receive path and timers, ask stallReason() on every supervisor tick and own the actual subscribe calls:
+//
+//   link = createLink(now, opts)       after subscribe
+//   noteReceived(link, now, id)        every envelope whose signature verifies, whatever else it fails
+//   noteSent / notePublishFailed       after each publish
+//   notePeers / notePeersFailed        after each peers() poll
+//   stallReason(link, now)             '' or why the subscription looks dead -> startRetry()
+//   retryDue -> beginRetry -> resubscribed | retryFailed
+//   retryNow(link, now, reason)        skip the back-off (woke from sleep, back online)
+//
+// Echoes only count once one was seen: a host that never loops our own messages back must not look deaf.
+
+(function (root) {
+  const LINK_DEFAULTS = {
+    stallMs: 150_000, // peers are around but nothing arrived for this long
+    echoMs: 10_000, // an own publish that has not come back by then
+    peerErrorsMax: 3, // consecutive failed peers() polls
+    publishErrorsMax: 3, // consecutive failed publishes
+    sleepGapMs: 20_000, // a supervisor tick this late means the machine was asleep
+    baseDelayMs: 1_000,
+    maxDelayMs: 60_000,
+  };
+  const ECHOES_MAX = 32;
+
+  function createLink(now, opts = {}) {
+    return {
+      opts: { ...LINK_DEFAULTS, ...opts },
+      state: 'connected', // or 'reconnecting'
+      reason: '', // why the last retry started
+      subscribedAt: now,
+      lastRxAt: 0,
+      lastPeersAt: 0, // last poll that reported someone
+      peerErrors: 0,
+      publishErrors: 0,
+      echoes: new Map(), // id -> sent at
+      echoSeen: false,
+      attempt: 0, // retries since traffic last arrived
+      retryAt: 0,
+      inFlight: false,
+    };
+  }
+
+  function noteReceived(link, now, id = '') {
+    link.lastRxAt = now;
+    link.attempt = 0;
+    if (id && link.echoes.delete(id)) link.echoSeen = true;
+  }
+
+  function noteSent(link, id, now) {
+    link.publishErrors = 0;
+    if (!id) return;
+    link.echoes.set(id, now);
+    if (link.echoes.size > ECHOES_MAX) link.echoes.delete(link.echoes.keys().next().value);
+  }
+
+  function notePublishFailed(link) {
+    link.publishErrors += 1;
+  }
+
+  function notePeers(link, count, now) {
+    link.peerErrors = 0;
+    if (count > 0) link.lastPeersAt = now;
+  }
+
+  function notePeersFailed(link) {
+    link.peerErrors += 1;
+  }
+
+  function oldestEcho(link) {
+    let oldest = 0;
+    for (const at of link.echoes.values()) if (!oldest || at < oldest) oldest = at;
+    return oldest;
+  }
+
+  // Time since the link last heard anything, counting the subscription itself as a sign of life.
+  function quietFor(link, now) {
+    return now - Math.max(link.lastRxAt, link.subscribedAt);
+  }
+
+  // Why the subscription should be replaced, or '' while it looks fine.
+  function stallReason(link, now) {
+    const o = link.opts;
+    if (link.publishErrors >= o.publishErrorsMax) return 'publish_failing';
+    if (link.peerErrors >= o.peerErrorsMax) return 'peers_failing';
+    const echo = oldestEcho(link);
+    if (link.echoSeen && echo && now - echo > o.echoMs) return 'no_echo';
+    if (link.lastPeersAt && now - link.lastPeersAt < o.stallMs && quietFor(link, now) > o.stallMs) return 'silent';
+    return '';
+  }
+
+  // connected | degraded | reconnecting, for the status pill: degraded is halfway to a stall.
+  function linkQuality(link, now) {
+    if (link.state === 'reconnecting') return 'reconnecting';
+    const o = link.opts;
+    const echo = oldestEcho(link);
+    if (link.publishErrors || link.peerErrors) return 'degraded';
+    if (link.echoSeen && echo && now - echo > o.echoMs / 2) return 'degraded';
+    if (link.lastPeersAt && now - link.lastPeersAt < o.stallMs && quietFor(link, now) > o.stallMs / 2) return 'degraded';
+    return 'connected';
+  }
+
+  const QUALITY_ORDER = ['connected', 'degraded', 'reconnecting'];
+
+  function worstQuality(list) {
+    return list.reduce((a, b) => (QUALITY_ORDER.indexOf(b) > QUALITY_ORDER.indexOf(a) ? b : a), 'connected');
+  }
+
+  // Exponential with ±20% jitter so tabs that lost the host together don't come back in lockstep.
+  function backoffDelay(attempt, opts = LINK_DEFAULTS, rand = Math.random) {
+    if (attempt <= 0) return 0;
+    const base = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(base * (0.8 + 0.4 * rand()));
+  }
+
+  function startRetry(link, now, reason) {
+    if (link.state === 'reconnecting') return;
+    link.state = 'reconnecting';
+    link.reason = String(reason || '');
+    link.retryAt = now + backoffDelay(link.attempt, link.opts);
+  }
+
+  // Sleep/wake or the browser coming back online: the old back-off says nothing about the new network.
+  function retryNow(link, now, reason) {
+    link.state = 'reconnecting';
+    link.reason = String(reason || '');
+    link.attempt = 0;
+    link.retryAt = now;
+  }
+
+  function retryDue(link, now) {
+    return link.state === 'reconnecting' && !link.inFlight && now >= link.retryAt;
+  }
+
+  function beginRetry(link) {
+    link.inFlight = true;
+    link.attempt += 1;
+  }
+
+  function retryFailed(link, now) {
+    link.inFlight = false;
+    link.retryAt = now + backoffDelay(link.attempt, link.opts);
+  }
+
+  // Fresh counters for the new subscription; `attempt` stays until traffic proves it works.
+  function resubscribed(link, now) {
+    link.inFlight = false;
+    link.state = 'connected';
+    link.reason = '';
+    link.subscribedAt = now;
+    link.peerErrors = 0;
+    link.publishErrors = 0;
+    link.echoes.clear();
+  }
+
+  function sleptThrough(lastTickAt, now, intervalMs, opts = LINK_DEFAULTS) {
+    return !!lastTickAt && now - lastTickAt - intervalMs > opts.sleepGapMs;
+  }
+
+  const api = {
+    LINK_DEFAULTS,
+    createLink,
+    noteReceived,
+    noteSent,
+    notePublishFailed,
+    notePeers,
+    notePeersFailed,
+    stallReason,
+    linkQuality,
+    worstQuality,
+    backoffDelay,
+    startRetry,
+    retryNow,
+    retryDue,
+    beginRetry,
+    retryFailed,
+    resubscribed,
+    sleptThrough,
+  };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PubsubLink = api;
+})(typeof self !== 'undefined' ? self : globalThis);